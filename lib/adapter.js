@@ -10,11 +10,21 @@
 module.exports = {
 	name: "bass-mongodb",
 	annotations: [],
+	cascadePersist: require('./util/cascade-persist'),
 	client: require('./client'),
 	clientFactory: require('./client-factory'),
 	connectionFactory: require('./connection-factory'),
+	loadRelation: require('./lazy-relation-batch').load,
 	mapper: require('./mapper'),
 	query: require('./query'),
+	types: require('./mapping/types'),
+	errors: {
+		ConversionError: require('./error/conversion-error'),
+		DocumentNotFoundError: require('./error/document-not-found-error'),
+		IndexSyncError: require('./error/index-sync-error'),
+		JoinWriteError: require('./error/join-write-error'),
+		OptimisticLockError: require('./error/optimistic-lock-error')
+	},
 	listeners: [
 		{
 			constructor: '',
@@ -0,0 +1,147 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * The BulkWriteReport keeps track of the outcome of every item
+ * of a bulk insert, update or upsert
+ *
+ * Item indexes always refer to the position in the array that was passed
+ * to the Client method
+ */
+module.exports = class BulkWriteReport {
+
+	constructor() {
+
+		/**
+		 * The number of inserted documents
+		 *
+		 * @type {Number}
+		 */
+		this.insertedCount = 0;
+
+		/**
+		 * The number of documents matched by updates
+		 *
+		 * @type {Number}
+		 */
+		this.matchedCount = 0;
+
+		/**
+		 * The number of documents that were actually modified
+		 *
+		 * @type {Number}
+		 */
+		this.modifiedCount = 0;
+
+		/**
+		 * The number of upserted documents
+		 *
+		 * @type {Number}
+		 */
+		this.upsertedCount = 0;
+
+		/**
+		 * Hash of item index to inserted id
+		 *
+		 * @type {Object}
+		 */
+		this.insertedIds = {};
+
+		/**
+		 * Hash of item index to upserted id
+		 *
+		 * @type {Object}
+		 */
+		this.upsertedIds = {};
+
+		/**
+		 * Hash of item index to the result of an executed updateEach item, matched and
+		 * modified are null when the counts of the bulk write can not tell
+		 *
+		 * @type {Object<Number, {matched: Boolean|null, modified: Boolean|null}>}
+		 */
+		this.results = {};
+
+		/**
+		 * Write errors reported by the server
+		 *
+		 * @type {Array<{index: Number, code: Number, message: String}>}
+		 */
+		this.writeErrors = [];
+
+		/**
+		 * Items that did not apply because of a version conflict or a missing document
+		 *
+		 * @type {Array<{index: Number, error: Error}>}
+		 */
+		this.conflicts = [];
+	}
+
+	/**
+	 * Create a report from a driver BulkWriteResult
+	 *
+	 * @param  {BulkWriteResult} result
+	 * @return {BulkWriteReport}
+	 */
+	static fromResult(result) {
+
+		const report = new BulkWriteReport();
+
+		if (!result) {
+			return report;
+		}
+
+		report.insertedCount = result.nInserted || 0;
+		report.matchedCount = result.nMatched || 0;
+		report.modifiedCount = result.nModified || 0;
+		report.upsertedCount = result.nUpserted || 0;
+
+		result.getInsertedIds().forEach(inserted => {
+			report.insertedIds[inserted.index] = inserted._id;
+		});
+
+		result.getUpsertedIds().forEach(upserted => {
+			report.upsertedIds[upserted.index] = upserted._id;
+		});
+
+		report.writeErrors = result.getWriteErrors().map(writeError => ({
+			index: writeError.index,
+			code: writeError.code,
+			message: writeError.errmsg
+		}));
+
+		return report;
+	}
+
+	/**
+	 * See if any item failed
+	 *
+	 * @return {Boolean}
+	 */
+	hasErrors() {
+		return this.writeErrors.length !== 0 || this.conflicts.length !== 0;
+	}
+
+	/**
+	 * See if an item was executed, in ordered mode nothing after
+	 * the first write error is executed
+	 *
+	 * @param  {Number}  index   the item index
+	 * @param  {Boolean} ordered if the bulk write was ordered
+	 * @return {Boolean}
+	 */
+	isExecuted(index, ordered) {
+		for (let i = 0; i < this.writeErrors.length; i++) {
+			if (this.writeErrors[i].index === index || (ordered && this.writeErrors[i].index < index)) {
+				return false;
+			}
+		}
+		return true;
+	}
+};
@@ -0,0 +1,254 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// native modules
+const EventEmitter = require('events');
+
+// third-party modules
+const async = require('async');
+
+/**
+ * The ChangeSubscription wraps a driver change stream on a document's collection
+ * and emits the changes as typed events
+ *
+ *     subscription.on('insert', event => ...);  // also 'update', 'replace', 'delete'
+ *     subscription.on('change', event => ...);  // every change
+ *     subscription.on('error', err => ...);
+ *
+ * Events are emitted in order and look like:
+ *
+ *     {
+ *         type: 'update',
+ *         id: '5a1b...',                  // the model id
+ *         model: Post,                    // the mapped model, null for deletes
+ *         updatedFields: { title: 'x' },  // updates only, by property name
+ *         removedFields: ['tags'],        // updates only, by property name
+ *         resumeToken: { _data: '...' },  // persist this to resume with options.resumeAfter
+ *         change: { ... }                 // the raw change event
+ *     }
+ */
+module.exports = class ChangeSubscription extends EventEmitter {
+
+	/**
+	 * The change event types that are emitted
+	 *
+	 * @type {Array<String>}
+	 */
+	static get types() {
+		return ['insert', 'update', 'replace', 'delete'];
+	}
+
+	/**
+	 *
+	 * @param {Metadata} metadata
+	 * @param {Mapper}   mapper   the adapter mapper
+	 * @param {Manager}  [manager] the bass Manager to map the models with, raw documents are emitted without it
+	 */
+	constructor(metadata, mapper, manager) {
+
+		super();
+
+		/**
+		 * @type {Metadata}
+		 */
+		this.metadata = metadata;
+
+		/**
+		 * @type {Mapper}
+		 */
+		this.mapper = mapper;
+
+		/**
+		 * @type {Manager|null}
+		 */
+		this.manager = manager || null;
+
+		/**
+		 * The driver change stream
+		 *
+		 * @type {ChangeStream|null}
+		 */
+		this.changeStream = null;
+
+		/**
+		 * The resume token of the last emitted change
+		 *
+		 * @type {Object|null}
+		 */
+		this.resumeToken = null;
+
+		/**
+		 * @type {Boolean}
+		 */
+		this.isClosed = false;
+
+		// map and emit one change at a time to keep them in order
+		this.queue = async.queue((change, callback) => this.emitChange(change, callback), 1);
+	}
+
+	/**
+	 * Start listening to a driver change stream
+	 *
+	 * @param  {ChangeStream} changeStream
+	 * @return {void}
+	 */
+	attach(changeStream) {
+
+		if (this.isClosed) {
+			changeStream.close(() => null);
+			return;
+		}
+
+		this.changeStream = changeStream;
+
+		changeStream.on('change', change => this.queue.push(change));
+		changeStream.on('error', err => this.emit('error', err));
+		changeStream.on('close', () => this.close());
+	}
+
+	/**
+	 * Map a raw change and emit it
+	 *
+	 * @param  {Object}   change
+	 * @param  {Function} cb
+	 * @return {void}
+	 */
+	emitChange(change, cb) {
+
+		if (this.isClosed) {
+			cb();
+			return;
+		}
+
+		this.mapChange(change, (err, event) => {
+
+			if (err) {
+				this.emit('error', err);
+				cb();
+				return;
+			}
+
+			this.resumeToken = event.resumeToken;
+
+			if (event.type !== null) {
+				this.emit(event.type, event);
+			}
+
+			this.emit('change', event);
+
+			cb();
+		});
+	}
+
+	/**
+	 * Map a raw change event to a subscription event
+	 *
+	 * @param  {Object}   change
+	 * @param  {Function} cb
+	 * @return {void}
+	 */
+	mapChange(change, cb) {
+
+		const metadata = this.metadata;
+		const idField = metadata.getFieldByProperty(metadata.idField);
+		const documentKey = change.documentKey || {};
+
+		const event = {
+			type: ChangeSubscription.types.indexOf(change.operationType) !== -1 ? change.operationType : null,
+			id: this.mapper.convertDbValueToModelValue(idField ? idField.type : null, documentKey[metadata.getIdFieldName()]),
+			model: null,
+			resumeToken: change._id,
+			change: change
+		};
+
+		if (change.updateDescription) {
+			event.updatedFields = this.mapUpdatedFields(change.updateDescription.updatedFields || {});
+			event.removedFields = (change.updateDescription.removedFields || []).map(name => this.mapFieldName(name));
+		}
+
+		if (!change.fullDocument) {
+			cb(null, event);
+			return;
+		}
+
+		if (!this.manager) {
+			event.model = change.fullDocument;
+			cb(null, event);
+			return;
+		}
+
+		this.manager.mapDataToModels(metadata, [change.fullDocument], (err, models) => {
+			event.model = models && models.length !== 0 ? models[0] : null;
+			cb(err || null, event);
+		});
+	}
+
+	/**
+	 * Map the updated fields of an update event to property names and model values
+	 *
+	 * @param  {Object} updatedFields
+	 * @return {Object}
+	 */
+	mapUpdatedFields(updatedFields) {
+
+		const mapped = {};
+
+		Object.keys(updatedFields).forEach(name => {
+
+			const property = this.mapFieldName(name);
+			const field = this.metadata.getFieldByProperty(property);
+
+			mapped[property] = field ?
+				this.mapper.convertDbValueToModelValue(field.type, updatedFields[name]) : updatedFields[name];
+		});
+
+		return mapped;
+	}
+
+	/**
+	 * Map a (dot notation) field name to its property name
+	 *
+	 * @param  {String} name
+	 * @return {String}
+	 */
+	mapFieldName(name) {
+		const parts = name.split('.');
+		parts[0] = this.metadata.getPropertyByFieldName(parts[0]) || parts[0];
+		return parts.join('.');
+	}
+
+	/**
+	 * Stop listening and close the change stream
+	 *
+	 * @param  {Function} [cb]
+	 * @return {void}
+	 */
+	close(cb) {
+
+		if (this.isClosed) {
+			cb && cb(null);
+			return;
+		}
+
+		this.isClosed = true;
+		this.queue.kill();
+
+		const done = err => {
+			this.emit('close');
+			cb && cb(err || null);
+		};
+
+		if (this.changeStream && !this.changeStream.isClosed()) {
+			this.changeStream.close(done);
+			return;
+		}
+
+		done(null);
+	}
+};
@@ -11,10 +11,31 @@
  * The Query Result Class
  * @type {QueryResult} Class Constructor
  */
-const QueryResult = require('bass').QueryResult;
+const QueryResult = require('./query-result');
 
 const ObjectID = require('mongodb').ObjectID;
 
+// third-party modules
+const async = require('async');
+
+// local modules
+const BulkWriteReport = require('./bulk-write-report');
+const ChangeSubscription = require('./change-subscription');
+const ConversionError = require('./error/conversion-error');
+const CursorStream = require('./cursor-stream');
+const DocumentNotFoundError = require('./error/document-not-found-error');
+const JoinWriteError = require('./error/join-write-error');
+const LookupBuilder = require('./lookup-builder');
+const Mapper = require('./mapper');
+const OptimisticLockError = require('./error/optimistic-lock-error');
+const PaginationToken = require('./pagination-token');
+const Query = require('./query');
+const QueryPlan = require('./query-plan');
+const getAdapterRelations = require('./util/adapter-relations');
+const getRelationCascade = require('./util/relation-cascade');
+const maskValues = require('./util/mask-values');
+const toPromise = require('./util/to-promise');
+
 /**
  * The Client class for MongoDB
  *
@@ -26,6 +47,42 @@ module.exports = class Client {
     constructor(db, logger) {
         this.db = db;
         this.logger = logger;
+
+        /**
+         * The driver session that all operations run in, set on the copies that withSession()
+         * creates and for the duration of a transaction started with startTransaction()
+         *
+         * @type {ClientSession|null}
+         */
+        this.session = null;
+
+        /**
+         * If the session was started by startTransaction() and ends with the transaction
+         *
+         * @type {Boolean}
+         */
+        this.isTransactionSession = false;
+
+        /**
+         * @type {Mapper|null}
+         */
+        this._mapper = null;
+    }
+
+    /**
+     * The adapter mapper, used to map property names in criteria and pipelines
+     *
+     * It uses the metadata registry of the booted connection to map embedded documents
+     *
+     * @type {Mapper}
+     */
+    get mapper() {
+
+        if (!this._mapper || (!this._mapper.registry && this.db.metadataRegistry)) {
+            this._mapper = new Mapper(this.db.metadataRegistry || null, this);
+        }
+
+        return this._mapper;
     }
 
     /**
@@ -34,13 +91,27 @@ module.exports = class Client {
      * @param  {Metadata}   metadata
      * @param  {string}     collection
      * @param  {Object}     data
-     * @param  {Function}   cb
-     * @return {void}
+     * @param  {Function}   [cb]
+     * @return {Promise|void}
      */
     insert(metadata, collection, data, cb) {
 
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.insert(metadata, collection, data, cb));
+        }
+
+        // the model could not be mapped, see Mapper.mappingErrorKey
+        if (data instanceof Object && data[Mapper.mappingErrorKey]) {
+            cb(data[Mapper.mappingErrorKey], null);
+            return;
+        }
+
         const start = new Date();
 
+        const joins = this.extractJoins(data);
+
+        data = this.createWriteData(data);
+
         this.db.collection(collection, (err, coll) => {
 
             if (err) {
@@ -48,7 +119,9 @@ module.exports = class Client {
                 return;
             }
 
-            coll.insert(data, (err, docs) => {
+            const operation = { name: 'insert', collection: collection, isWrite: true };
+
+            this.retry(operation, callback => coll.insertOne(data, this.createOperationOptions(), callback), (err, result) => {
 
                 if (err) {
                     cb(err, null);
@@ -56,17 +129,22 @@ module.exports = class Client {
                 }
 
                 const idFieldName = metadata.getIdFieldName();
-                if (idFieldName && idFieldName.length === 0) {
+                if (idFieldName && result.insertedId !== undefined) {
 
-                    data[idFieldName] = docs[0][idFieldName];
+                    data[idFieldName] = result.insertedId;
 
                 }
 
-                this.logger.debug(
-                    '[bass-mongodb] - insert [' + collection + ']: ' + JSON.stringify(data)
+                this.debug(() =>
+                    '[bass-mongodb] - insert [' + collection + ']: ' + this.formatPayload(data)
                     + ' : ' + ((new Date()) - start) + 'ms');
 
-                cb(null, data);
+                if (!joins) {
+                    cb(null, data);
+                    return;
+                }
+
+                this.saveJoins(metadata, data[idFieldName], joins, err => cb(err || null, err ? null : data));
 
             });
         });
@@ -75,15 +153,29 @@ module.exports = class Client {
     /**
      * Update a document
      *
+     * When the data carries a version, the update only applies to the previous version
+     * of the document, otherwise an OptimisticLockError (or a DocumentNotFoundError if
+     * the document was removed) is passed to the callback
+     *
      * @param  {Metadata}   metadata
      * @param  {string}     collection
      * @param  {ObjectID}   id
      * @param  {Object}     data
-     * @param  {Function}   cb
-     * @return {void}
+     * @param  {Function}   [cb]
+     * @return {Promise|void}
      */
     update(metadata, collection, id, data, cb) {
 
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.update(metadata, collection, id, data, cb));
+        }
+
+        // the model could not be mapped, see Mapper.mappingErrorKey
+        if (data instanceof Object && data[Mapper.mappingErrorKey]) {
+            cb(data[Mapper.mappingErrorKey], null);
+            return;
+        }
+
         const start = new Date();
 
         const idFieldName = metadata.getIdFieldName();
@@ -100,31 +192,90 @@ module.exports = class Client {
                     return;
                 }
 
+                const joins = this.extractJoins(data);
+
                 if (!(data instanceof Object)) {
                     data = {};
                 } else {
-                    data = Object.create(data);
+                    const writeData = this.createWriteData(data);
+                    data = writeData !== data ? writeData : Object.create(data);
                 }
 
-                const cond = {};
-                cond[idFieldName] = new ObjectID(id);
+                const idCond = {};
+                idCond[idFieldName] = new ObjectID(id);
 
-                if (data[metadata.versionProperty]) {
-                    cond[metadata.versionProperty] = data[metadata.versionProperty] - 1;
+                const cond = Object.assign({}, idCond);
+
+                const versionFieldName = this.getVersionFieldName(metadata);
+
+                let expectedVersion = null;
+
+                if (versionFieldName && data[versionFieldName]) {
+                    expectedVersion = data[versionFieldName] - 1;
+                    cond[versionFieldName] = expectedVersion;
                 }
 
                 // need to remove the id from the update data
                 delete data[idFieldName];
 
-                // cb(err, docs)
-                coll.updateOne(cond, {'$set' : data }, (err, data) => {
+                // relations that remove the documents they no longer reference
+                const orphanRelations = this.getCascadingRelations(metadata, 'orphanRemoval')
+                    .filter(relation => data[relation.name] !== undefined);
+
+                this.findRelationRefs(coll, idCond, orphanRelations, (err, previous) => {
+
+                    if (err) {
+                        cb(err, null);
+                        return;
+                    }
+
+                    // cb(err, docs)
+                    // a versioned update that is applied twice fails its version condition
+                    const operation = { name: 'update', collection: collection, isWrite: true, isIdempotent: expectedVersion === null };
 
-                    this.logger.debug(
-                        '[bass-mongodb] - update [' + collection + ']: ' + ' - ' + id + ' : ' +
-                        JSON.stringify(data) + ' : ' + ((new Date()) - start) + 'ms');
+                    this.retry(operation, callback => coll.updateOne(cond, {'$set' : data }, this.createOperationOptions(), callback), (err, result) => {
 
-                    cb(err, data && data.result);
+                        this.debug(() =>
+                            '[bass-mongodb] - update [' + collection + ']: ' + ' - ' + id + ' : ' +
+                            this.formatPayload(result) + ' : ' + ((new Date()) - start) + 'ms');
 
+                        if (err || expectedVersion === null || result.matchedCount !== 0) {
+
+                            if (err || result.matchedCount === 0) {
+                                cb(err, result && result.result);
+                                return;
+                            }
+
+                            const orphans = previous ? this.findOrphanRefs(orphanRelations, previous, data) : [];
+
+                            this.removeRelatedRefs(orphans, err => {
+
+                                if (err || !joins) {
+                                    cb(err || null, result.result);
+                                    return;
+                                }
+
+                                this.saveJoins(metadata, idCond[idFieldName], joins, err => cb(err || null, result.result));
+                            });
+                            return;
+                        }
+
+                        // nothing matched our version condition, find out if the document is gone
+                        // or if somebody else updated it in the meantime
+                        const projection = {};
+                        projection[versionFieldName] = 1;
+
+                        coll.findOne(idCond, this.createOperationOptions({ projection: projection }), (err, document) => {
+
+                            if (err) {
+                                cb(err, null);
+                            } else if (!document) {
+                                cb(new DocumentNotFoundError(collection, id), null);
+                            } else {
+                                cb(new OptimisticLockError(collection, id, expectedVersion, document[versionFieldName]), null);
+                            }
+                        });
+                    });
                 });
             });
         }
@@ -137,11 +288,15 @@ module.exports = class Client {
      * @param  {String}    collection
      * @param  {Object}    criteria
      * @param  {Object}    data
-     * @param  {Function}  cb
-     * @return {void}
+     * @param  {Function}  [cb]
+     * @return {Promise|void}
      */
     updateBy(metadata, collection, criteria, data, cb) {
 
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.updateBy(metadata, collection, criteria, data, cb));
+        }
+
         const start = new Date();
 
         if (!(criteria instanceof Object)) {
@@ -157,36 +312,362 @@ module.exports = class Client {
                 return;
             }
 
-            data = Object.create(data);
+            const update = this.convertDataToUpdate(data);
+
+            const operation = { name: 'updateBy', collection: collection, isWrite: true, isIdempotent: this.isIdempotentUpdate(update) };
+
+            // cb(err, numberOfRemovedDocuments)
+            this.retry(operation, callback => coll.updateMany(criteria, update, this.createOperationOptions(), callback), (err, result) => {
+
+                const elapsed = new Date() - start;
+
+                this.debug(() =>
+                    '[bass-mongodb] - updateBy [' + collection + ']: ' + ' - '
+                    + this.formatPayload(criteria) + ' : ' + this.formatPayload(update)
+                    + ' : ' + this.formatPayload(result) + ' : ' + elapsed + 'ms');
+
+                // the documents to update are found like a find with the same criteria
+                if (!err) {
+                    this.monitorQuery('updateBy', collection, criteria, elapsed,
+                        (verbosity, explained) => this.explainCursor(collection, coll => coll.find(criteria), criteria, null, verbosity, explained));
+                }
+
+                cb(err, result && result.modifiedCount || 0);
+            });
+        });
+    }
+
+    /**
+     * Insert many documents with a single bulk write
+     *
+     * Write errors do not fail the whole call, they are listed by item index
+     * on the report instead
+     *
+     * @param  {Metadata}      metadata
+     * @param  {String}        collection
+     * @param  {Array<Object>} documents
+     * @param  {Object}        [options]  driver bulk options, ordered (default true) or unordered
+     * @param  {Function}      [cb]
+     * @return {Promise|void}
+     */
+    insertMany(metadata, collection, documents, options, cb) {
+
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.insertMany(metadata, collection, documents, options, cb));
+        }
+
+        if (!Array.isArray(documents)) {
+            cb(new Error('insertMany expects an array of documents for ' + collection), null);
+            return;
+        }
+
+        const operations = documents.map(document => ({ insertOne: { document: document } }));
+
+        // cb(err, BulkWriteReport)
+        this.executeBulkWrite('insertMany', collection, operations, options, cb);
+    }
+
+    /**
+     * Update many documents by id with a single bulk write, each document
+     * with its own data
+     *
+     * Like update(), versioned data only applies to the previous version of a document,
+     * items that lost against a concurrent write (or whose document is gone) are listed
+     * on the report's conflicts with an OptimisticLockError (or DocumentNotFoundError),
+     * the report's results tell if each item matched and modified its document
+     *
+     * @param  {Metadata}                      metadata
+     * @param  {String}                        collection
+     * @param  {Array<{id: *, data: Object}>}  updates
+     * @param  {Object}                        [options]  driver bulk options, ordered (default true) or unordered
+     * @param  {Function}                      [cb]
+     * @return {Promise|void}
+     */
+    updateEach(metadata, collection, updates, options, cb) {
+
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.updateEach(metadata, collection, updates, options, cb));
+        }
+
+        const idFieldName = metadata.getIdFieldName();
+        if (!idFieldName || idFieldName.length === 0) {
+            cb(new Error('Could not find the Bass ID Field for ' + collection), null);
+            return;
+        }
+
+        if (!Array.isArray(updates)) {
+            cb(new Error('updateEach expects an array of updates for ' + collection), null);
+            return;
+        }
+
+        const versionFieldName = this.getVersionFieldName(metadata);
+        const ordered = !options || options.ordered !== false;
+
+        const items = updates.map((update, index) => {
+
+            const data = Object.assign({}, update.data);
+
+            const filter = {};
+            filter[idFieldName] = new ObjectID(update.id);
+
+            const item = {
+                index: index,
+                id: update.id,
+                oid: filter[idFieldName],
+                version: null
+            };
+
+            if (versionFieldName && data[versionFieldName]) {
+                item.version = data[versionFieldName];
+                filter[versionFieldName] = item.version - 1;
+            }
+
+            // need to remove the id from the update data
+            delete data[idFieldName];
+
+            item.operation = { updateOne: { filter: filter, update: { '$set': data } } };
+
+            return item;
+        });
+
+        this.executeBulkWrite('updateEach', collection, items.map(item => item.operation), options, (err, report) => {
+
+            if (err) {
+                cb(err, report);
+                return;
+            }
+
+            const executed = items.filter(item => report.isExecuted(item.index, ordered));
 
-            let $set = {};
-            if ('$set' in data) {
-                $set = data['$set'] || {};
-                delete data['$set'];
+            if (report.matchedCount >= executed.length) {
+                this.resolveUpdateEach(collection, executed, report, null, versionFieldName);
+                cb(null, report);
+                return;
             }
 
-            const update = {};
-            for (const m in data) {
-                if (m[0] !== '$') {
-                    $set[m] = data[m];
-                } else {
-                    update[m] = data[m];
+            // some updates did not match, find out which documents are gone or were updated by somebody else
+            const criteria = {};
+            criteria[idFieldName] = { '$in': executed.map(item => item.oid) };
+
+            const projection = {};
+            if (versionFieldName) {
+                projection[versionFieldName] = 1;
+            }
+
+            this.db.collection(collection, (err, coll) => {
+
+                if (err) {
+                    cb(err, report);
+                    return;
+                }
+
+                coll.find(criteria, this.createOperationOptions({ projection: projection })).toArray((err, documents) => {
+
+                    if (err) {
+                        cb(err, report);
+                        return;
+                    }
+
+                    const documentMap = {};
+                    documents.forEach(document => {
+                        documentMap[document[idFieldName].toString()] = document;
+                    });
+
+                    this.resolveUpdateEach(collection, executed, report, documentMap, versionFieldName);
+
+                    cb(null, report);
+                });
+            });
+        });
+    }
+
+    /**
+     * Set the per item results of an updateEach and list its conflicts
+     *
+     * The bulk write only reports how many items matched. Filters match by id (and version),
+     * so an item without a document did not match and an unversioned item with a document did.
+     * The remaining unmatched count is for the versioned items: like update(), an unmatched
+     * versioned item whose document still exists is an OptimisticLockError. When the count
+     * does not tell which of the versioned items lost, all of them are reported as conflicts
+     * and their results are null.
+     *
+     * @param  {String}                 collection
+     * @param  {Array<Object>}          executed          the executed items
+     * @param  {BulkWriteReport}        report
+     * @param  {Object|null}            documents         hash of id to current document, null if every item matched
+     * @param  {String|null}            versionFieldName
+     * @return {void}
+     */
+    resolveUpdateEach(collection, executed, report, documents, versionFieldName) {
+
+        const getDocument = item => documents ? documents[item.oid.toString()] || null : {};
+
+        const existing = executed.filter(item => getDocument(item) !== null);
+        const versioned = existing.filter(item => item.version !== null);
+        const unversionedCount = existing.length - versioned.length;
+
+        const unmatchedCount = Math.max(0, existing.length - report.matchedCount);
+
+        // null if the matched count can not tell
+        let isVersionedMatched = true;
+        if (unmatchedCount !== 0) {
+            isVersionedMatched = unmatchedCount >= versioned.length ? false : null;
+        }
+
+        // every matched versioned item is modified, it gets a new version
+        const versionedMatchedCount = Math.max(0, report.matchedCount - unversionedCount);
+        const unversionedModifiedCount = report.modifiedCount - versionedMatchedCount;
+
+        let isUnversionedModified = null;
+        if (unversionedModifiedCount <= 0) {
+            isUnversionedModified = false;
+        } else if (unversionedModifiedCount >= unversionedCount) {
+            isUnversionedModified = true;
+        }
+
+        executed.forEach(item => {
+
+            const document = getDocument(item);
+
+            if (!document) {
+
+                report.results[item.index] = { matched: false, modified: false };
+                report.conflicts.push({
+                    index: item.index,
+                    error: new DocumentNotFoundError(collection, item.id)
+                });
+
+            } else if (item.version === null) {
+
+                report.results[item.index] = { matched: true, modified: isUnversionedModified };
+
+            } else {
+
+                report.results[item.index] = { matched: isVersionedMatched, modified: isVersionedMatched };
+
+                if (isVersionedMatched !== true) {
+                    report.conflicts.push({
+                        index: item.index,
+                        error: new OptimisticLockError(collection, item.id, item.version - 1, document[versionFieldName])
+                    });
                 }
             }
+        });
+    }
+
+    /**
+     * Insert or update documents matching criteria
+     *
+     * Pass a criteria object with a data object to upsert a single document, or an array of
+     * criteria with an array of data (of the same length) to upsert many documents with a single
+     * bulk write. The data may use update operators the same way as updateBy().
+     *
+     * @param  {Metadata}             metadata
+     * @param  {String}               collection
+     * @param  {Object|Array<Object>} criteria
+     * @param  {Object|Array<Object>} data
+     * @param  {Object}               [options]  driver bulk options, ordered (default true) or unordered
+     * @param  {Function}             [cb]
+     * @return {Promise|void}
+     */
+    upsertBy(metadata, collection, criteria, data, options, cb) {
+
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.upsertBy(metadata, collection, criteria, data, options, cb));
+        }
+
+        const isBulk = Array.isArray(criteria);
+
+        if (isBulk !== Array.isArray(data) || (isBulk && criteria.length !== data.length)) {
+            cb(new Error('upsertBy expects criteria and data of the same length for ' + collection), null);
+            return;
+        }
+
+        const criterias = isBulk ? criteria : [criteria];
+        const datas = isBulk ? data : [data];
+
+        // an empty filter would upsert over the first document of the collection
+        if (criterias.some(filter => !(filter instanceof Object) || Array.isArray(filter))) {
+            cb(new Error('upsertBy expects criteria objects for ' + collection), null);
+            return;
+        }
 
-            if (Object.keys($set).length !== 0) {
-                update['$set'] = $set;
+        const operations = criterias.map((filter, index) => ({
+            updateOne: {
+                filter: filter,
+                update: this.convertDataToUpdate(datas[index]),
+                upsert: true
             }
+        }));
 
-            // cb(err, numberOfRemovedDocuments)
-            coll.updateMany(criteria, update, (err, result) => {
+        // cb(err, BulkWriteReport)
+        this.executeBulkWrite('upsertBy', collection, operations, options, cb);
+    }
 
-                this.logger.debug(
-                    '[bass-mongodb] - updateBy [' + collection + ']: ' + ' - '
-                    + JSON.stringify(criteria) + ' : ' + JSON.stringify(update)
-                    + ' : ' + JSON.stringify(result) + ' : ' + ((new Date()) - start) + 'ms');
+    /**
+     * Run bulk write operations and build a report for them
+     *
+     * @param  {String}        method     the calling method name for logging
+     * @param  {String}        collection
+     * @param  {Array<Object>} operations
+     * @param  {Object|null}   options
+     * @param  {Function}      cb
+     * @return {void}
+     */
+    executeBulkWrite(method, collection, operations, options, cb) {
 
-                cb(err, result && result.modifiedCount || 0);
+        const start = new Date();
+
+        if (operations.length === 0) {
+            cb(null, new BulkWriteReport());
+            return;
+        }
+
+        options = this.createOperationOptions(Object.assign({ ordered: true }, options));
+
+        this.db.collection(collection, (err, coll) => {
+
+            if (err) {
+                cb(err, null);
+                return;
+            }
+
+            // bulk writes that failed part way are not retried, see RetryPolicy.isPartialWrite()
+            const operation = { name: method, collection: collection, isWrite: true };
+
+            this.retry(operation, callback => coll.bulkWrite(operations, options, callback), (err, result) => {
+
+                // write errors still come with a result, without one the whole bulk write failed
+                result = result || (err && err.result);
+
+                if (err && !result) {
+                    cb(err, null);
+                    return;
+                }
+
+                const report = BulkWriteReport.fromResult(result);
+
+                this.debug(() =>
+                    '[bass-mongodb] - ' + method + ' [' + collection + ']: ' + operations.length + ' items : '
+                    + report.writeErrors.length + ' errors : ' + ((new Date()) - start) + 'ms');
+
+                // write errors are on the report, anything else (like a write concern error) is passed on
+                cb(report.writeErrors.length === 0 ? err : null, report);
             });
         });
     }
@@ -197,11 +678,15 @@ module.exports = class Client {
      * @param  {Metadata}   metadata
      * @param  {string}     collection
      * @param  {ObjectID}   id
-     * @param  {Function}   cb
-     * @return {void}
+     * @param  {Function}   [cb]
+     * @return {Promise|void}
      */
     remove(metadata, collection, id, cb) {
 
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.remove(metadata, collection, id, cb));
+        }
+
         const idFieldName = metadata.getIdFieldName();
         if (!idFieldName || idFieldName.length === 0) {
 
@@ -216,9 +701,48 @@ module.exports = class Client {
             const cond = {};
             cond[idFieldName] = id;
 
-            // cb(err, numberOfRemovedDocuments)
-            this.removeOneBy(metadata, collection, cond, (err, data) => {
-                cb(err, data && data.deletedCount || 0);
+            const relations = this.getCascadingRelations(metadata, 'remove');
+
+            this.db.collection(collection, (err, coll) => {
+
+                if (err) {
+                    cb(err, 0);
+                    return;
+                }
+
+                // the documents to remove along with this one
+                this.findRelationRefs(coll, cond, relations, (err, refs) => {
+
+                    if (err) {
+                        cb(err, 0);
+                        return;
+                    }
+
+                    // cb(err, numberOfRemovedDocuments)
+                    this.removeOneBy(metadata, collection, cond, (err, count) => {
+
+                        if (err || !count) {
+                            cb(err, count || 0);
+                            return;
+                        }
+
+                        const related = [];
+
+                        relations.forEach(relation => {
+                            [].concat((refs || {})[relation.name] || []).forEach(ref => related.push({ relation: relation, ref: ref }));
+                        });
+
+                        this.removeRelatedRefs(related, err => {
+
+                            if (err) {
+                                cb(err, count);
+                                return;
+                            }
+
+                            this.removeJoins(metadata, id, err => cb(err || null, count));
+                        });
+                    });
+                });
             });
         }
     }
@@ -229,11 +753,15 @@ module.exports = class Client {
      * @param  {Metadata}  metadata
      * @param  {String}    collection
      * @param  {Object}    criteria
-     * @param  {Function}  cb
-     * @return {void}
+     * @param  {Function}  [cb]
+     * @return {Promise|void}
      */
     removeOneBy(metadata, collection, criteria, cb) {
 
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.removeOneBy(metadata, collection, criteria, cb));
+        }
+
         const start = new Date();
 
         if (!(criteria instanceof Object)) {
@@ -248,12 +776,20 @@ module.exports = class Client {
 
             } else {
 
+                // removing a document by id twice removes it once, by other criteria a second
+                // deleteOne could remove another matching document
+                const idFieldName = metadata.getIdFieldName();
+                const isById = Object.keys(criteria).length === 1 && !!idFieldName && criteria[idFieldName] !== undefined &&
+                    !(criteria[idFieldName] instanceof Object && Object.keys(criteria[idFieldName]).some(key => key[0] === '$'));
+
+                const operation = { name: 'removeOneBy', collection: collection, isWrite: true, isIdempotent: isById };
+
                 // cb(err, numberOfRemovedDocuments)
-                coll.deleteOne(criteria, (err, data) => {
+                this.retry(operation, callback => coll.deleteOne(criteria, this.createOperationOptions(), callback), (err, data) => {
 
-                    this.logger.debug(
+                    this.debug(() =>
                         '[bass-mongodb] - removeOneBy [' + collection + ']: ' + ' - '
-                        + JSON.stringify(criteria) + ' : ' + ((new Date()) - start) + 'ms');
+                        + this.formatPayload(criteria) + ' : ' + ((new Date()) - start) + 'ms');
 
                     cb(err, data && data.deletedCount || 0);
                 });
@@ -267,11 +803,15 @@ module.exports = class Client {
      * @param  {Metadata}  metadata
      * @param  {String}    collection
      * @param  {Object}    criteria
-     * @param  {Function}  cb
-     * @return {void}
+     * @param  {Function}  [cb]
+     * @return {Promise|void}
      */
     removeBy(metadata, collection, criteria, cb) {
 
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.removeBy(metadata, collection, criteria, cb));
+        }
+
         const start = new Date();
 
         if (!criteria) {
@@ -286,12 +826,14 @@ module.exports = class Client {
 
             } else {
 
+                const operation = { name: 'removeBy', collection: collection, isWrite: true, isIdempotent: true };
+
                 // cb(err, numberOfRemovedDocuments)
-                coll.deleteMany(criteria, (err, data) => {
+                this.retry(operation, callback => coll.deleteMany(criteria, this.createOperationOptions(), callback), (err, data) => {
 
-                    this.logger.debug(
+                    this.debug(() =>
                         '[bass-mongodb] - removeBy [' + collection + ']: ' + ' - '
-                        + JSON.stringify(criteria) + ' : ' + ((new Date()) - start) + 'ms');
+                        + this.formatPayload(criteria) + ' : ' + ((new Date()) - start) + 'ms');
 
                     cb(err, data && data.deletedCount || 0);
                 });
@@ -305,10 +847,25 @@ module.exports = class Client {
      * @param  {Metadata}   metadata
      * @param  {string}     collection
      * @param  {ObjectID}   id
-     * @param  {Function}   cb
-     * @return {void}
+     * @param  {Object}     [options]
+     * @param  {Array|Object} [options.projection] see createProjection()
+     * @param  {Array|String} [options.populate]   relations to populate, see Query.populate()
+     * @param  {Number}     [options.depth]        how deep to populate
+     * @param  {Function}   [cb]
+     * @return {Promise|void}
      */
-    find(metadata, collection, id, cb) {
+    find(metadata, collection, id, options, cb) {
+
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.find(metadata, collection, id, options, cb));
+        }
+
+        options = options || {};
 
         var idFieldName = metadata.getIdFieldName();
 
@@ -322,16 +879,37 @@ module.exports = class Client {
 
             this.db.collection(collection, (err, coll) => {
 
+                if (err) {
+                    cb(err, null);
+                    return;
+                }
+
                 const cond = {};
                 cond[idFieldName] = id;
 
+                const projection = this.createProjection(metadata, options.projection);
+
                 const time = new Date() - start;
 
-                this.logger.debug(
+                this.debug(() =>
                     '[bass-mongodb] - find [' + collection + ']: ' + id + ' : ' + time + 'ms');
 
-                // cb(err, item)
-                coll.findOne(cond, cb);
+                const populate = this.createPopulate(options.populate, options.depth);
+
+                if (populate) {
+                    this.retry({ name: 'find', collection: collection }, callback => this.findAggregated(metadata, coll, cond,
+                        { limit: 1, projection: projection, populate: populate }, callback), (err, items) => {
+
+                        cb(err, items && items.length !== 0 ? this.markPartialDocuments(items, projection)[0] : null);
+                    });
+                    return;
+                }
+
+                this.retry({ name: 'find', collection: collection }, callback =>
+                    coll.findOne(cond, this.createOperationOptions(projection.options), callback), (err, item) => {
+
+                    cb(err, item ? this.markPartialDocuments([item], projection)[0] : item);
+                });
             });
         }
     }
@@ -342,59 +920,154 @@ module.exports = class Client {
      * @param  {Metadata} metadata
      * @param  {string}   collection
      * @param  {Query}    query
-     * @param  {Function} cb
-     * @return {void}
+     * @param  {Object}   [options]
+     * @param  {Array|Object} [options.projection] see createProjection()
+     * @param  {Function} [cb]
+     * @return {Promise|void}
      */
-    findByQuery(metadata, collection, query, cb) {
+    findByQuery(metadata, collection, query, options, cb) {
 
-        const mongoCriteria = this.convertQueryToCriteria(query);
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.findByQuery(metadata, collection, query, options, cb));
+        }
+
+        options = options || {};
+
+        const conditions = query.getConditions();
+        const projection = this.createProjection(metadata, options.projection);
+
+        let mongoCriteria;
+        let cursorOptions;
+
+        try {
+            mongoCriteria = this.convertQueryToCriteria(query, metadata);
+            cursorOptions = this.createCursorOptions(metadata, query);
+        } catch (err) {
+            cb(err, null);
+            return;
+        }
+
+        let seek;
+
+        try {
+            seek = this.createSeekPagination(metadata, query, mongoCriteria);
+        } catch (err) {
+            cb(err, null);
+            return;
+        }
+
+        if (seek && conditions[Query.textCondition] && conditions[Query.textCondition].sortByScore) {
+            cb(new Error('A keyset paginated query can not be sorted by text score'), null);
+            return;
+        }
+
+        // the point to find the documents near to, see Query.near()
+        const near = conditions[Query.nearCondition] || null;
+
+        if (seek && near) {
+            cb(new Error('A keyset paginated query can not be a near query'), null);
+            return;
+        }
 
         const start = new Date();
 
         this.db.collection(collection, (err, coll) => {
 
-            // get the mongo cursor
-            const cursor = coll.find(mongoCriteria);
-
-            // apply "pagination" to cursor
-            if (query.getSort() !== null){
-                cursor.sort(query._sort);
+            if (err) {
+                cb(err, null);
+                return;
             }
 
+            const criteria = seek ? seek.criteria : mongoCriteria;
+            const text = this.addTextScore(conditions, projection.options, seek ? seek.sort : query.getSort());
+            const sort = text.sort;
+
+            // the relations to load with $lookup stages, see Query.populate()
+            const populate = conditions[Query.populateCondition] ?
+                this.createPopulate(conditions[Query.populateCondition].relations, conditions[Query.populateCondition].depth) : null;
+
             // initialize a query result for our response
             const queryResult = new QueryResult(query);
 
             // use a callback for finalization to support cursor.count()
             const finish = (callback) => {
 
-                if (query.getSkip() !== null){
-                    cursor.skip(query.getSkip());
-                }
+                // fetch one more result to know if there is a next page
+                const limit = query.getLimit() !== null ? query.getLimit() + (seek ? 1 : 0) : null;
 
-                if (query.getLimit() !== null){
-                    cursor.limit(query.getLimit());
-                }
+                const done = (err, documents) => {
 
-                // get our results as an array of documents
-                cursor.toArray((err, documents) => {
+                    if (seek && documents && documents.length > query.getLimit()) {
+                        documents = documents.slice(0, query.getLimit());
+                        queryResult.nextToken = this.createSeekToken(seek.sort, documents[documents.length - 1]);
+                    }
 
                     // add documents to the query result
-                    queryResult.setData(documents);
+                    queryResult.setData(documents && this.markPartialDocuments(documents, projection));
 
-                    this.logger.debug(
+                    const elapsed = new Date() - start;
+
+                    this.debug(() =>
                         '[bass-mongodb] - findByQuery [' + collection + ']: ' +
-                        	JSON.stringify(query) + ' : ' + ((new Date()) - start) + 'ms');
+                        	this.formatPayload(query) + ' : ' + elapsed + 'ms');
+
+                    if (!err) {
+                        this.monitorQuery('findByQuery', collection, criteria, elapsed,
+                            (verbosity, explained) => this.explain(metadata, collection, query, verbosity, explained));
+                    }
 
                     // execute callback with query result
                     callback(err, queryResult);
+                };
+
+                // the query is run as an aggregation to find near documents or to populate relations
+                const fetch = populate || near ? callback => this.findAggregated(metadata, coll, criteria, {
+                    sort: sort,
+                    skip: query.getSkip(),
+                    limit: limit,
+                    projection: projection,
+                    textScore: text.isSearch,
+                    near: near,
+                    populate: populate,
+                    cursorOptions: cursorOptions
+                }, callback) : callback => {
+
+                    // a new cursor for every attempt, see retry()
+                    const cursor = coll.find(criteria, this.createOperationOptions(Object.assign({}, text.options, cursorOptions)));
+
+                    // apply "pagination" to cursor
+                    if (sort !== null) {
+                        cursor.sort(sort);
+                    }
 
-                });
+                    if (query.getSkip() !== null){
+                        cursor.skip(query.getSkip());
+                    }
+
+                    if (limit !== null){
+                        cursor.limit(limit);
+                    }
+
+                    // get our results as an array of documents
+                    cursor.toArray(callback);
+                };
+
+                this.retry({ name: 'findByQuery', collection: collection }, fetch, done);
             };
 
             // if we are told to, fetch the total count
             if (query.getCountFoundRows()){
 
-                cursor.count((err, count) => {
+                // counts the mapped criteria, so that a seek query is not limited to the following pages
+                const countRows = near ? callback => this.countNear(metadata, coll, near, mongoCriteria, callback) :
+                    callback => coll.find(mongoCriteria, this.createOperationOptions(cursorOptions)).count(callback);
+
+                this.retry({ name: 'findByQuery', collection: collection }, countRows, (err, count) => {
                     if (err){
 
                         cb(err, null);
@@ -420,25 +1093,50 @@ module.exports = class Client {
      * @param  {Metadata} metadata
      * @param  {string}   collection
      * @param  {Query}    query
-     * @param  {Function} cb
-     * @return {void}
+     * @param  {Function} [cb]
+     * @return {Promise|void}
      */
     findCountByQuery(metadata, collection, query, cb) {
 
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.findCountByQuery(metadata, collection, query, cb));
+        }
+
     	const start = new Date();
 
-        const mongoCriteria = this.convertQueryToCriteria(query);
+        let mongoCriteria;
+        let cursorOptions;
+
+        try {
+            mongoCriteria = this.convertQueryToCriteria(query, metadata);
+            cursorOptions = this.createCursorOptions(metadata, query);
+        } catch (err) {
+            cb(err, null);
+            return;
+        }
+
+        const near = query.getConditions()[Query.nearCondition];
 
         this.db.collection(collection, (err, coll) => {
 
-            coll.find(mongoCriteria).count((err, count) => {
+            if (err) {
+                cb(err, null);
+                return;
+            }
+
+            const done = (err, count) => {
 
-                this.logger.debug(
+                this.debug(() =>
                     '[bass-mongodb] - findCountByQuery [' + collection + ']: ' +
-                    	JSON.stringify(query) + ' : ' + ((new Date()) - start) + 'ms');
+                    	this.formatPayload(query) + ' : ' + ((new Date()) - start) + 'ms');
 
                 cb(err, count);
-            });
+            };
+
+            const count = near ? callback => this.countNear(metadata, coll, near, mongoCriteria, callback) :
+                callback => coll.find(mongoCriteria, this.createOperationOptions(cursorOptions)).count(callback);
+
+            this.retry({ name: 'findCountByQuery', collection: collection }, count, done);
         });
     }
 
@@ -451,10 +1149,25 @@ module.exports = class Client {
      * @param  {Object}    sort
      * @param  {Number}    skip
      * @param  {Number}    limit
-     * @param  {Function}  cb
-     * @return {void}
+     * @param  {Object}    [options]
+     * @param  {Array|Object} [options.projection] see createProjection()
+     * @param  {Array|String} [options.populate]   relations to populate, see Query.populate()
+     * @param  {Number}    [options.depth]         how deep to populate
+     * @param  {Function}  [cb]
+     * @return {Promise|void}
      */
-    findBy(metadata, collection, criteria, sort, skip, limit, cb) {
+    findBy(metadata, collection, criteria, sort, skip, limit, options, cb) {
+
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.findBy(metadata, collection, criteria, sort, skip, limit, options, cb));
+        }
+
+        options = options || {};
 
     	const start = new Date();
 
@@ -462,6 +1175,8 @@ module.exports = class Client {
             criteria = {};
         }
 
+        const projection = this.createProjection(metadata, options.projection);
+
         this.db.collection(collection, (err, coll) => {
 
             if (err) {
@@ -469,7 +1184,88 @@ module.exports = class Client {
                 return;
             }
 
-            const cursor = coll.find(criteria);
+            const populate = this.createPopulate(options.populate, options.depth);
+
+            const done = (err, items) => {
+
+                const elapsed = new Date() - start;
+
+                this.debug(() =>
+                    '[bass-mongodb] - findBy [' + collection + ']: ' +
+                    	this.formatPayload(criteria) + ' : ' + elapsed + 'ms');
+
+                if (!err) {
+                    this.monitorQuery('findBy', collection, criteria, elapsed, (verbosity, explained) => this.explainCursor(collection, coll => {
+                        const cursor = coll.find(criteria);
+                        if (sort) {
+                            cursor.sort(sort);
+                        }
+                        return cursor;
+                    }, criteria, sort, verbosity, explained));
+                }
+
+            	cb(err, items && this.markPartialDocuments(items, projection));
+            };
+
+            if (populate) {
+                this.retry({ name: 'findBy', collection: collection }, callback => this.findAggregated(metadata, coll, criteria, {
+                    sort: sort,
+                    skip: skip && !isNaN(skip) ? skip : null,
+                    limit: limit && !isNaN(limit) ? limit : null,
+                    projection: projection,
+                    populate: populate
+                }, callback), done);
+                return;
+            }
+
+            this.retry({ name: 'findBy', collection: collection }, callback => {
+
+                const cursor = coll.find(criteria, this.createOperationOptions(projection.options));
+
+                if (sort) {
+                    cursor.sort(sort);
+                }
+
+                if (skip && !isNaN(skip)) {
+                    cursor.skip(skip);
+                }
+
+                if (limit && !isNaN(limit)) {
+                    cursor.limit(limit);
+                }
+
+                cursor.toArray(callback);
+
+            }, done);
+        });
+    }
+
+    /**
+     * Stream documents by simple criteria
+     *
+     * Returns an object mode Readable (and async iterator) which reads the cursor in batches as
+     * it is consumed. With options.manager every batch is mapped to Bass models, otherwise the
+     * raw documents are streamed. Destroying the stream closes the cursor.
+     *
+     * @param  {Metadata}  metadata
+     * @param  {String}    collection
+     * @param  {Object}    criteria
+     * @param  {Object}    [sort]
+     * @param  {Number}    [skip]
+     * @param  {Number}    [limit]
+     * @param  {Object}    [options]
+     * @param  {Number}    [options.batchSize=100] the number of documents to fetch and map at once
+     * @param  {Manager}   [options.manager]       the bass Manager to map the models with
+     * @param  {Array|Object} [options.projection] see createProjection()
+     * @return {CursorStream}
+     */
+    findStream(metadata, collection, criteria, sort, skip, limit, options) {
+
+        options = options || {};
+
+        return this.createCursorStream(metadata, collection, options, (coll, findOptions) => {
+
+            const cursor = coll.find(criteria || {}, findOptions);
 
             if (sort) {
                 cursor.sort(sort);
@@ -483,127 +1279,1892 @@ module.exports = class Client {
                 cursor.limit(limit);
             }
 
-            cursor.toArray((err, items) => {
+            this.debug(() =>
+                '[bass-mongodb] - findStream [' + collection + ']: ' + this.formatPayload(criteria));
 
-                this.logger.debug(
-                    '[bass-mongodb] - findBy [' + collection + ']: ' +
-                    	JSON.stringify(criteria) + ' : ' + ((new Date()) - start) + 'ms');
+            return cursor;
+        });
+    }
 
-            	cb(err, items);
-            });
+    /**
+     * Stream documents based on a Query, see findStream()
+     *
+     * @param  {Metadata}  metadata
+     * @param  {String}    collection
+     * @param  {Query}     query
+     * @param  {Object}    [options]
+     * @param  {Number}    [options.batchSize=100]
+     * @param  {Manager}   [options.manager]
+     * @param  {Array|Object} [options.projection]
+     * @return {CursorStream}
+     */
+    findByQueryStream(metadata, collection, query, options) {
+
+        options = options || {};
+
+        return this.createCursorStream(metadata, collection, options, (coll, findOptions) => {
+
+            const text = this.addTextScore(query.getConditions(),
+                Object.assign({}, findOptions, this.createCursorOptions(metadata, query)), query.getSort());
+            const criteria = this.convertQueryToCriteria(query, metadata);
+            const near = query.getConditions()[Query.nearCondition];
+
+            this.debug(() =>
+                '[bass-mongodb] - findByQueryStream [' + collection + ']: ' + this.formatPayload(query));
+
+            // near queries are run as a $geoNear aggregation
+            if (near) {
+
+                const pipeline = this.createFindPipeline(metadata, criteria, {
+                    sort: text.sort,
+                    skip: query.getSkip(),
+                    limit: query.getLimit(),
+                    projection: text.options.projection,
+                    near: near
+                });
+
+                const aggregateOptions = Object.assign({}, text.options);
+                delete aggregateOptions.projection;
+
+                return coll.aggregate(pipeline, aggregateOptions);
+            }
+
+            const cursor = coll.find(criteria, text.options);
+
+            if (text.sort !== null) {
+                cursor.sort(text.sort);
+            }
+
+            if (query.getSkip() !== null) {
+                cursor.skip(query.getSkip());
+            }
+
+            if (query.getLimit() !== null) {
+                cursor.limit(query.getLimit());
+            }
+
+            return cursor;
         });
     }
 
     /**
-     * Find documents where a field has a value in an array of values
+     * Create a CursorStream for a cursor that is opened on the first read
      *
-     * @param {Metadata} metadata The metadata for the document type you are fetching
-     * @param {String} field The document's field to search by
-     * @param {Array.<(String|Number)>} values Array of values to search for
-     * @param {Object|null} sort Object hash of field names to sort by, -1 value means DESC, otherwise ASC
-     * @param {Number|null} limit The limit to restrict results
-     * @param {Function} cb Callback function
+     * @param  {Metadata} metadata
+     * @param  {String}   collection
+     * @param  {Object}   options
+     * @param  {Function} createCursor createCursor(collection, findOptions) returns the driver cursor
+     * @return {CursorStream}
      */
-    findWhereIn(metadata, field, values, sort, limit, cb) {
+    createCursorStream(metadata, collection, options, createCursor) {
 
-        var criteria = {};
-        criteria[field] = {'$in' : values};
+        const batchSize = options.batchSize || 100;
+        const manager = options.manager || null;
+        const projection = this.createProjection(metadata, options.projection);
 
-        this.findBy(
-            metadata,
-            metadata.collection,
-            criteria ,
-            sort,
-            null,
-            limit || undefined,
-            cb
-        );
+        const open = cb => {
+
+            this.db.collection(collection, (err, coll) => {
+
+                if (err) {
+                    cb(err, null);
+                    return;
+                }
+
+                let cursor;
+
+                try {
+                    cursor = createCursor(coll, this.createOperationOptions(
+                        Object.assign({ batchSize: batchSize }, projection.options)));
+                } catch (e) {
+                    cb(e, null);
+                    return;
+                }
+
+                cb(null, cursor);
+            });
+        };
+
+        return new CursorStream(open, {
+            batchSize: batchSize,
+            map: (documents, cb) => {
+                documents = this.markPartialDocuments(documents, projection);
+                if (!manager) {
+                    cb(null, documents);
+                    return;
+                }
+                manager.mapDataToModels(metadata, documents, cb);
+            }
+        });
     }
 
     /**
-     * Create a collection
+     * Explain how a query is executed, see QueryPlan
      *
-     * @param  {Metadata}  metadata
-     * @param  {String}    collection
-     * @param  {Function}  cb
-     * @return {void}
+     * The query is either a Query, mapped like for findByQuery(), or mapped criteria. Queries
+     * with a near point or relations to populate are explained as their aggregation, keyset
+     * paginated queries with their seek criteria and sort.
+     *
+     * @param  {Metadata}     metadata
+     * @param  {String}       collection
+     * @param  {Query|Object} query
+     * @param  {String}       [verbosity='queryPlanner'] queryPlanner, executionStats or allPlansExecution
+     * @param  {Function}     [cb]      receives a QueryPlan
+     * @return {Promise|void}
      */
-    create(metadata, collection, cb) {
+    explain(metadata, collection, query, verbosity, cb) {
+
+        if (typeof verbosity === 'function') {
+            cb = verbosity;
+            verbosity = null;
+        }
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.explain(metadata, collection, query, verbosity, cb));
+        }
+
+        if (!query || typeof query.getConditions !== 'function') {
+            const criteria = query || {};
+            this.explainCursor(collection, coll => coll.find(criteria), criteria, null, verbosity, cb);
+            return;
+        }
+
+        let criteria;
+        let cursorOptions;
+        let seek;
+
+        try {
+            criteria = this.convertQueryToCriteria(query, metadata);
+            cursorOptions = this.createCursorOptions(metadata, query);
+            seek = this.createSeekPagination(metadata, query, criteria);
+        } catch (err) {
+            cb(err, null);
+            return;
+        }
+
+        // findByQuery() fetches one more result to know if there is a next page
+        const sort = seek ? seek.sort : query.getSort();
+        const limit = query.getLimit() !== null ? query.getLimit() + (seek ? 1 : 0) : null;
+
+        if (seek) {
+            criteria = seek.criteria;
+        }
+
+        const conditions = query.getConditions();
+        const text = this.addTextScore(conditions, cursorOptions, sort);
+        const near = conditions[Query.nearCondition];
+        const populate = conditions[Query.populateCondition];
+
+        this.explainCursor(collection, coll => {
+
+            if (near || populate) {
+
+                const options = Object.assign({}, text.options);
+                delete options.projection;
+
+                return coll.aggregate(this.createFindPipeline(metadata, criteria, {
+                    sort: text.sort,
+                    skip: query.getSkip(),
+                    limit: limit,
+                    textScore: text.isSearch,
+                    near: near,
+                    populate: populate ? this.createPopulate(populate.relations, populate.depth) : null
+                }), options);
+            }
+
+            const cursor = coll.find(criteria, text.options);
+
+            if (text.sort !== null) {
+                cursor.sort(text.sort);
+            }
+
+            if (query.getSkip() !== null) {
+                cursor.skip(query.getSkip());
+            }
+
+            if (limit !== null) {
+                cursor.limit(limit);
+            }
+
+            return cursor;
 
-        this.db.createCollection(collection, cb);
+        }, criteria, sort, verbosity, cb);
     }
 
     /**
-     * Drop a collection
+     * Explain a cursor
+     *
+     * Explains do not run in the client's session, they are not allowed in transactions.
      *
-     * @param  {Metadata}  metadata
      * @param  {String}   collection
-     * @param  {Function} cb
+     * @param  {Function} createCursor createCursor(collection) returns the driver cursor
+     * @param  {Object}   criteria     the mapped criteria, to suggest a missing index
+     * @param  {Object}   [sort]       the mapped sort, to suggest a missing index
+     * @param  {String}   [verbosity='queryPlanner']
+     * @param  {Function} cb           receives a QueryPlan
      * @return {void}
      */
-    drop(metadata, collection, cb) {
+    explainCursor(collection, createCursor, criteria, sort, verbosity, cb) {
 
         this.db.collection(collection, (err, coll) => {
-        	if (err) {
-        		cb(err);
-        		return;
-			}
-            coll.drop(cb);
+
+            if (err) {
+                cb(err, null);
+                return;
+            }
+
+            let cursor;
+
+            try {
+                cursor = createCursor(coll);
+            } catch (e) {
+                cb(e, null);
+                return;
+            }
+
+            cursor.explain(verbosity || 'queryPlanner', (err, explain) => {
+                cb(err, err ? null : new QueryPlan(explain, criteria, sort));
+            });
         });
     }
 
     /**
-     * Rename a collection
+     * Report an operation to the slow query monitor of the connection, if it is slow
+     * and slow queries are monitored, see SlowQueryMonitor
      *
-     * @param  {Metadata}  metadata
-     * @param  {String}    collection
-     * @param  {String}    newName
-     * @param  {Function}  cb
+     * @param  {String}   operation
+     * @param  {String}   collection
+     * @param  {Object}   criteria   the mapped criteria
+     * @param  {Number}   elapsed    in ms
+     * @param  {Function} explain    explain(verbosity, cb) explains the operation's query
      * @return {void}
      */
-    rename(metadata, collection, newName, cb) {
-        this.db.collection(collection, function(err, coll){
-            coll.rename(newName, cb);
-        });
+    monitorQuery(operation, collection, criteria, elapsed, explain) {
+
+        const monitor = typeof this.db.getSlowQueryMonitor === 'function' ? this.db.getSlowQueryMonitor() : null;
+
+        if (!monitor || !monitor.isSlow(elapsed)) {
+            return;
+        }
+
+        monitor.report({
+            operation: operation,
+            collection: collection,
+            criteria: criteria,
+            elapsed: elapsed
+        }, explain);
     }
 
     /**
-     * Get a list of all of the collection names in the current database
+     * Run a driver operation with the retry policy of the connection, if operations are
+     * retried, see RetryPolicy
+     *
+     * Operations in a transaction are not retried on their own, the whole transaction is
+     * retried by Connection.withTransaction()
      *
+     * @param  {Object}   operation { name, collection, isWrite, isIdempotent }
+     * @param  {Function} fn        fn(cb) runs the operation, again for every attempt
      * @param  {Function} cb
      * @return {void}
      */
-    listCollections(cb) {
-        this.db.collections(cb);
+    retry(operation, fn, cb) {
+
+        const policy = typeof this.db.getRetryPolicy === 'function' ? this.db.getRetryPolicy() : null;
+
+        if (!policy || (this.session && this.session.inTransaction())) {
+            fn(cb);
+            return;
+        }
+
+        policy.run(operation, fn, cb);
     }
 
     /**
-     * Convert a Bass Query to MongoDB criteria format
+     * See if applying an update twice has the same effect as applying it once
      *
-     * @param  {Query} query
-     * @return {Object}
+     * @param  {Object}  update the update document, see convertDataToUpdate()
+     * @return {Boolean}
      */
-    convertQueryToCriteria(query) {
+    isIdempotentUpdate(update) {
 
-        const newQuery = {};
+        const operators = ['$set', '$unset', '$setOnInsert', '$min', '$max', '$addToSet'];
 
-        const conditions = query.getConditions();
+        return Object.keys(update).every(operator => operators.indexOf(operator) !== -1);
+    }
 
-        for (let field in conditions){
+    /**
+     * Find documents where a field has a value in an array of values
+     *
+     * @param {Metadata} metadata The metadata for the document type you are fetching
+     * @param {String} field The document's field to search by
+     * @param {Array.<(String|Number)>} values Array of values to search for
+     * @param {Object|null} sort Object hash of field names to sort by, -1 value means DESC, otherwise ASC
+     * @param {Number|null} limit The limit to restrict results
+     * @param {Function} [cb] Callback function
+     * @return {Promise|void}
+     */
+    findWhereIn(metadata, field, values, sort, limit, cb) {
 
-            if (typeof conditions[field] === 'object' &&
-                conditions[field].constructor.name !== 'ObjectID' &&
-                conditions[field].constructor.name !== 'ObjectId'){
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.findWhereIn(metadata, field, values, sort, limit, cb));
+        }
 
-                if (Array.isArray(conditions[field])) {
-                    newQuery[field] = conditions[field];
+        var criteria = {};
+        criteria[field] = {'$in' : values};
+
+        this.findBy(
+            metadata,
+            metadata.collection,
+            criteria ,
+            sort,
+            null,
+            limit || undefined,
+            cb
+        );
+    }
+
+    /**
+     * Run an aggregation pipeline
+     *
+     * Property names in $match, $sort and $project stages are mapped to their field names
+     * (and $match values converted to their field types) up to the first stage that reshapes
+     * the documents ($group, $replaceRoot, $facet, etc.).
+     *
+     * With options.hydrate the results are mapped to models by the given bass Manager, which
+     * is only possible when every result still has the shape of the document. A hydrated stream
+     * maps the results in batches of options.batchSize (100), see CursorStream.
+     *
+     * @param  {Metadata}       metadata
+     * @param  {String}         collection
+     * @param  {Array<Object>}  pipeline
+     * @param  {Object}         [options]
+     * @param  {Boolean}        [options.allowDiskUse]
+     * @param  {Number}         [options.maxTimeMS]
+     * @param  {Number}         [options.batchSize]
+     * @param  {Boolean}        [options.stream=false]   receive a Readable stream instead of an array
+     * @param  {Boolean}        [options.hydrate=false]  map the results to models
+     * @param  {Manager}        [options.manager]        the bass Manager to hydrate the models with
+     * @param  {Function}       [cb]
+     * @return {Promise|void}
+     */
+    aggregate(metadata, collection, pipeline, options, cb) {
+
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.aggregate(metadata, collection, pipeline, options, cb));
+        }
+
+        options = options || {};
+
+        if (!Array.isArray(pipeline)) {
+            cb(new Error('The aggregation pipeline for ' + collection + ' must be an array'), null);
+            return;
+        }
+
+        if (options.hydrate && (!options.manager || typeof options.manager.mapDataToModels !== 'function')) {
+            cb(new Error('Hydrating aggregation results requires options.manager'), null);
+            return;
+        }
+
+        const start = new Date();
+
+        const dbPipeline = this.mapPipelineToDatabase(metadata, pipeline);
+
+        const aggregateOptions = {};
+
+        ['allowDiskUse', 'maxTimeMS', 'batchSize', 'collation', 'hint', 'comment'].forEach(name => {
+            if (options[name] !== undefined && options[name] !== null) {
+                aggregateOptions[name] = options[name];
+            }
+        });
+
+        this.db.collection(collection, (err, coll) => {
+
+            if (err) {
+                cb(err, null);
+                return;
+            }
+
+            this.debug(() =>
+                '[bass-mongodb] - aggregate [' + collection + ']: ' +
+                    this.formatPayload(dbPipeline) + ' : ' + ((new Date()) - start) + 'ms');
+
+            if (options.stream) {
+
+                const cursor = coll.aggregate(dbPipeline, this.createOperationOptions(aggregateOptions));
+
+                if (!options.hydrate) {
+                    cb(null, cursor);
+                    return;
+                }
+
+                // hydrated in batches, so that relations are merged in with a single query per batch
+                cb(null, new CursorStream(callback => callback(null, cursor), {
+                    batchSize: options.batchSize,
+                    map: (documents, callback) =>
+                        this.hydrateAggregationResults(metadata, collection, documents, options.manager, callback)
+                }));
+                return;
+            }
+
+            // $out replaces its collection with the same documents again, $merge may not
+            const operation = {
+                name: 'aggregate',
+                collection: collection,
+                isWrite: dbPipeline.some(stage => stage.$out || stage.$merge),
+                isIdempotent: !dbPipeline.some(stage => stage.$merge)
+            };
+
+            this.retry(operation, callback =>
+                coll.aggregate(dbPipeline, this.createOperationOptions(aggregateOptions)).toArray(callback), (err, documents) => {
+
+                if (err) {
+                    cb(err, null);
+                    return;
+                }
+
+                if (!options.hydrate) {
+                    cb(null, documents);
+                    return;
+                }
+
+                this.hydrateAggregationResults(metadata, collection, documents, options.manager, cb);
+            });
+        });
+    }
+
+    /**
+     * Map the property names in an aggregation pipeline to field names
+     *
+     * Mapping stops at the first stage after which the documents no longer have the shape of
+     * the document ($group, $replaceRoot, $facet, etc.), later stages are passed as they are.
+     *
+     * @param  {Metadata}      metadata
+     * @param  {Array<Object>} pipeline
+     * @return {Array<Object>}
+     */
+    mapPipelineToDatabase(metadata, pipeline) {
+
+        const reshaping = ['$group', '$replaceRoot', '$replaceWith', '$bucket', '$bucketAuto',
+            '$facet', '$count', '$sortByCount'];
+
+        let isMapped = true;
+
+        return pipeline.map(stage => {
+
+            if (!isMapped || !(stage instanceof Object)) {
+                return stage;
+            }
+
+            const operator = Object.keys(stage)[0];
+
+            if (reshaping.indexOf(operator) !== -1) {
+                isMapped = false;
+                return stage;
+            }
+
+            switch (operator) {
+
+                case '$match':
+                    return { $match: this.mapper.mapCriteriaToDatabase(metadata, stage.$match) };
+
+                case '$sort':
+                case '$project':
+                    return { [operator]: this.mapPipelineKeysToDatabase(metadata, operator, stage[operator]) };
+
+                default:
+                    return stage;
+            }
+        });
+    }
+
+    /**
+     * Map the property names of a $sort or $project specification to field names
+     *
+     * @param  {Metadata} metadata
+     * @param  {String}   operator     $sort or $project
+     * @param  {Object}   specification
+     * @return {Object}
+     */
+    mapPipelineKeysToDatabase(metadata, operator, specification) {
+
+        const mapped = {};
+
+        Object.keys(specification || {}).forEach(key => {
+            // a projected relation keeps its whole DBRef
+            const name = operator === '$project' ?
+                this.mapper.mapPropertyNameToDatabase(metadata, key) :
+                this.mapper.mapCriteriaKeyToDatabase(metadata, key).name;
+            mapped[name] = specification[key];
+        });
+
+        return mapped;
+    }
+
+    /**
+     * Map aggregation results to models
+     *
+     * @param  {Metadata}      metadata
+     * @param  {String}        collection
+     * @param  {Array<Object>} documents
+     * @param  {Manager}       manager
+     * @param  {Function}      cb
+     * @return {void}
+     */
+    hydrateAggregationResults(metadata, collection, documents, manager, cb) {
+
+        const idFieldName = metadata.getIdFieldName();
+        const relations = metadata.relations || {};
+
+        const names = metadata.fields.map(field => field.name);
+
+        Object.keys(relations['one-to-one'] || {}).forEach(property => {
+            const relation = relations['one-to-one'][property];
+            names.push(relation.column || relation.field);
+        });
+
+        Object.keys(relations['one-to-many'] || {}).forEach(property => {
+            names.push(relations['one-to-many'][property].field);
+        });
+
+        const mismatch = documents.find(document => !(document instanceof Object) ||
+            document[idFieldName] === undefined ||
+            Object.keys(document).some(name => names.indexOf(name) === -1));
+
+        if (mismatch !== undefined) {
+
+            // only report the id and field names, the values may hold personal data
+            const detail = !(mismatch instanceof Object) ? 'a result is not an object' :
+                mismatch[idFieldName] === undefined ? 'a result is missing the field "' + idFieldName + '"' :
+                'the result ' + mismatch[idFieldName] + ' has the unknown fields "' +
+                    Object.keys(mismatch).filter(name => names.indexOf(name) === -1).join('", "') + '"';
+
+            cb(new Error('Can not hydrate aggregation results of ' + collection +
+                ', the result does not match the document ' + metadata.name + ': ' + detail), null);
+            return;
+        }
+
+        manager.mapDataToModels(metadata, documents, cb);
+    }
+
+    /**
+     * Watch a document's collection for changes, see ChangeSubscription
+     *
+     * The criteria are mapped like find criteria and matched against the changed document, delete
+     * events only carry the document's id and are not filtered by them. Update events include the
+     * current version of the document unless options.fullDocument is set to 'default', which can
+     * not be combined with criteria: update events would have no document to match.
+     *
+     * To pick up where a previous subscription left off, persist event.resumeToken and pass it
+     * as options.resumeAfter.
+     *
+     * @param  {Metadata}      metadata
+     * @param  {Object}        [criteria]
+     * @param  {Object}        [options]
+     * @param  {Array<String>} [options.types]        the change types to watch, defaults to all of them
+     * @param  {Object}        [options.resumeAfter]  a resume token
+     * @param  {Object}        [options.startAfter]   a resume token, also valid after an invalidate
+     * @param  {String}        [options.fullDocument='updateLookup']
+     * @param  {Number}        [options.batchSize]
+     * @param  {Number}        [options.maxAwaitTimeMS]
+     * @param  {Manager}       [options.manager]      the bass Manager to map the models with
+     * @return {ChangeSubscription}
+     * @throws {Error} for criteria with a fullDocument option other than 'updateLookup'
+     */
+    watch(metadata, criteria, options) {
+
+        options = options || {};
+
+        const hasCriteria = criteria instanceof Object && Object.keys(criteria).length !== 0;
+
+        if (hasCriteria && options.fullDocument && options.fullDocument !== 'updateLookup') {
+            throw new Error('Watching ' + metadata.collection + ' with criteria requires fullDocument "updateLookup", ' +
+                'the update events of fullDocument "' + options.fullDocument + '" have no document to match the criteria');
+        }
+
+        const types = options.types || ChangeSubscription.types;
+        const subscription = new ChangeSubscription(metadata, this.mapper, options.manager);
+
+        const match = { operationType: { $in: types } };
+
+        if (hasCriteria) {
+
+            const documentCriteria = this.prefixCriteria(
+                this.mapper.mapCriteriaToDatabase(metadata, criteria), 'fullDocument.');
+
+            match.$or = types.indexOf('delete') !== -1 ?
+                [{ operationType: 'delete' }, documentCriteria] : [documentCriteria];
+        }
+
+        const watchOptions = {
+            fullDocument: options.fullDocument || 'updateLookup'
+        };
+
+        ['resumeAfter', 'startAfter', 'batchSize', 'maxAwaitTimeMS', 'collation'].forEach(name => {
+            if (options[name] !== undefined && options[name] !== null) {
+                watchOptions[name] = options[name];
+            }
+        });
+
+        // the driver resolves the collection synchronously, defer until the caller had a chance
+        // to add its "error" listener to the returned subscription
+        process.nextTick(() => this.db.collection(metadata.collection, (err, coll) => {
+
+            if (err) {
+                subscription.emit('error', err);
+                subscription.close();
+                return;
+            }
+
+            this.debug(() =>
+                '[bass-mongodb] - watch [' + metadata.collection + ']: ' + this.formatPayload(match));
+
+            let changeStream;
+
+            try {
+                changeStream = coll.watch([{ $match: match }], this.createOperationOptions(watchOptions));
+            } catch (e) {
+                subscription.emit('error', e);
+                subscription.close();
+                return;
+            }
+
+            subscription.attach(changeStream);
+        }));
+
+        return subscription;
+    }
+
+    /**
+     * Create a collection
+     *
+     * @param  {Metadata}  metadata
+     * @param  {String}    collection
+     * @param  {Function}  [cb]
+     * @return {Promise|void}
+     */
+    create(metadata, collection, cb) {
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.create(metadata, collection, cb));
+        }
+
+        // apply the $jsonSchema validator if validation is enabled
+        this.db.createCollection(collection, this.db.createValidationOptions(metadata) || {}, cb);
+    }
+
+    /**
+     * Drop a collection
+     *
+     * @param  {Metadata}  metadata
+     * @param  {String}   collection
+     * @param  {Function} [cb]
+     * @return {Promise|void}
+     */
+    drop(metadata, collection, cb) {
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.drop(metadata, collection, cb));
+        }
+
+        this.db.collection(collection, (err, coll) => {
+        	if (err) {
+        		cb(err);
+        		return;
+			}
+            coll.drop(cb);
+        });
+    }
+
+    /**
+     * Rename a collection
+     *
+     * @param  {Metadata}  metadata
+     * @param  {String}    collection
+     * @param  {String}    newName
+     * @param  {Function}  [cb]
+     * @return {Promise|void}
+     */
+    rename(metadata, collection, newName, cb) {
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.rename(metadata, collection, newName, cb));
+        }
+        this.db.collection(collection, function(err, coll){
+            coll.rename(newName, cb);
+        });
+    }
+
+    /**
+     * Get a list of all of the collection names in the current database
+     *
+     * @param  {Function} [cb]
+     * @return {Promise|void}
+     */
+    listCollections(cb) {
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.listCollections(cb));
+        }
+        this.db.collections(cb);
+    }
+
+    /**
+     * Start a new driver session and get a copy of this client that runs all operations in it
+     *
+     * This client is left as is, end the session with endSession() on the copy.
+     *
+     * @param  {Object} [options] driver session options
+     * @return {Client}
+     * @throws Error
+     */
+    startSession(options) {
+        return this.withSession(this.db.startSession(options));
+    }
+
+    /**
+     * End the session of a client returned by startSession()
+     *
+     * @param  {Function} [cb]
+     * @return {Promise|void}
+     */
+    endSession(cb) {
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.endSession(cb));
+        }
+
+        if (!this.session) {
+            cb(null);
+            return;
+        }
+
+        this.session.endSession(err => cb(err || null));
+    }
+
+    /**
+     * Get a copy of this client that runs all operations in the given session
+     *
+     * @param  {ClientSession} session
+     * @return {Client}
+     */
+    withSession(session) {
+        const client = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+        client.session = session;
+        client.isTransactionSession = false;
+        // the mapper queries relations through its client
+        client._mapper = null;
+        return client;
+    }
+
+    /**
+     * Run a function in a multi-document transaction, see Connection.withTransaction()
+     *
+     * The function receives a copy of this client bound to the transaction's session
+     *
+     * @param  {Function} fn        fn(client, session) or fn(client, session, cb)
+     * @param  {Object}   [options]
+     * @param  {Function} [cb]
+     * @return {Promise|void}
+     */
+    withTransaction(fn, options, cb) {
+
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.withTransaction(fn, options, cb));
+        }
+
+        const transaction = fn.length > 2 ?
+            (session, done) => fn(this.withSession(session), session, done) :
+            session => fn(this.withSession(session), session);
+
+        this.db.withTransaction(transaction, options, cb);
+    }
+
+    /**
+     * Start a transaction (used by the bass Manager)
+     *
+     * The transaction's session is bound to this client, which is the client of the manager
+     * and of its unit of work: every operation of the manager, including manager.flush(), runs
+     * in the transaction until manager.commitTransaction() or manager.rollbackTransaction().
+     * A client that already has a session (see withSession()) starts the transaction in it.
+     *
+     *     await manager.startTransaction();
+     *     manager.persist(wallet);
+     *     await manager.flush();
+     *     await manager.commitTransaction();
+     *
+     * @param  {Function} [cb]  cb(err, client)
+     * @return {Promise|void}
+     */
+    startTransaction(cb) {
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.startTransaction(cb));
+        }
+
+        try {
+
+            if (!this.session) {
+                this.session = this.db.startSession();
+                this.isTransactionSession = true;
+            }
+
+            this.session.startTransaction();
+
+        } catch (err) {
+
+            this.endTransactionSession(() => cb(err, null));
+            return;
+        }
+
+        cb(null, this);
+    }
+
+    /**
+     * Commit the transaction started with startTransaction() (used by the bass Manager)
+     *
+     * @param  {Function} [cb]
+     * @return {Promise|void}
+     */
+    commitTransaction(cb) {
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.commitTransaction(cb));
+        }
+
+        if (!this.session || !this.session.inTransaction()) {
+            cb(new Error('There is no transaction to commit'), null);
+            return;
+        }
+
+        this.session.commitTransaction(err => this.endTransactionSession(() => cb(err || null, null)));
+    }
+
+    /**
+     * Roll back the transaction started with startTransaction() (used by the bass Manager)
+     *
+     * @param  {Function} [cb]
+     * @return {Promise|void}
+     */
+    rollbackTransaction(cb) {
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.rollbackTransaction(cb));
+        }
+
+        if (!this.session || !this.session.inTransaction()) {
+            cb(new Error('There is no transaction to roll back'), null);
+            return;
+        }
+
+        this.session.abortTransaction(err => this.endTransactionSession(() => cb(err || null, null)));
+    }
+
+    /**
+     * End the session after a transaction and unbind it from this client, if startTransaction() started it
+     *
+     * @param  {Function} cb
+     * @return {void}
+     * @protected
+     */
+    endTransactionSession(cb) {
+
+        if (!this.isTransactionSession) {
+            cb(null);
+            return;
+        }
+
+        const session = this.session;
+
+        this.session = null;
+        this.isTransactionSession = false;
+
+        session.endSession(err => cb(err || null));
+    }
+
+    /**
+     * Get the relations of a document that cascade an operation, see util/relation-cascade
+     *
+     * @param  {Metadata} metadata
+     * @param  {String}   operation persist, remove or orphanRemoval
+     * @return {Array<{property: String, name: String, document: String, isMany: Boolean}>}
+     */
+    getCascadingRelations(metadata, operation) {
+
+        const relations = metadata.relations || {};
+        const cascading = [];
+
+        Object.keys(relations['one-to-one'] || {}).forEach(property => {
+            const relation = relations['one-to-one'][property];
+            if (getRelationCascade(metadata, property)[operation]) {
+                cascading.push({ property: property, name: relation.column || relation.field, document: relation.document, isMany: false });
+            }
+        });
+
+        Object.keys(relations['one-to-many'] || {}).forEach(property => {
+            const relation = relations['one-to-many'][property];
+            if (getRelationCascade(metadata, property)[operation]) {
+                cascading.push({ property: property, name: relation.field, document: relation.document, isMany: true });
+            }
+        });
+
+        return cascading;
+    }
+
+    /**
+     * Find the DBRefs that a stored document holds for some relations
+     *
+     * @param  {Collection}    coll
+     * @param  {Object}        cond      the document's id condition
+     * @param  {Array<Object>} relations see getCascadingRelations()
+     * @param  {Function}      cb        receives the document with only the relation fields, or null
+     * @return {void}
+     */
+    findRelationRefs(coll, cond, relations, cb) {
+
+        if (relations.length === 0) {
+            cb(null, null);
+            return;
+        }
+
+        const projection = {};
+        relations.forEach(relation => {
+            projection[relation.name] = 1;
+        });
+
+        coll.findOne(cond, this.createOperationOptions({ projection: projection }), cb);
+    }
+
+    /**
+     * Find the DBRefs that an update removes from relations with orphan removal
+     *
+     * @param  {Array<Object>} relations see getCascadingRelations()
+     * @param  {Object}        previous  the stored relation fields
+     * @param  {Object}        data      the update
+     * @return {Array<{relation: Object, ref: DBRef}>}
+     */
+    findOrphanRefs(relations, previous, data) {
+
+        const orphans = [];
+        const getId = ref => ref && ref.oid !== undefined && ref.oid !== null ? String(ref.oid) : null;
+
+        relations.forEach(relation => {
+
+            const kept = [].concat(data[relation.name] || []).map(getId);
+
+            [].concat(previous[relation.name] || []).forEach(ref => {
+                if (getId(ref) !== null && kept.indexOf(getId(ref)) === -1) {
+                    orphans.push({ relation: relation, ref: ref });
+                }
+            });
+        });
+
+        return orphans;
+    }
+
+    /**
+     * Remove related documents by their DBRefs, cascading further
+     *
+     * @param  {Array<{relation: Object, ref: DBRef}>} related
+     * @param  {Function} cb
+     * @return {void}
+     */
+    removeRelatedRefs(related, cb) {
+
+        if (related.length === 0) {
+            cb(null);
+            return;
+        }
+
+        const registry = this.db.metadataRegistry;
+
+        if (!registry) {
+            cb(new Error('Cascading removes require a booted connection'));
+            return;
+        }
+
+        async.eachSeries(related, (item, callback) => {
+
+            let relationMetadata;
+
+            try {
+                relationMetadata = registry.getMetadataByName(item.relation.document);
+            } catch (err) {
+                callback(err);
+                return;
+            }
+
+            this.debug(() =>
+                '[bass-mongodb] - cascade remove [' + relationMetadata.collection + ']: ' + item.ref.oid);
+
+            this.remove(relationMetadata, relationMetadata.collection, item.ref.oid, err => callback(err));
+
+        }, err => cb(err || null));
+    }
+
+    /**
+     * Find the rows of a join collection
+     *
+     * @param  {String}   collection the join collection
+     * @param  {String}   column     the column to search by
+     * @param  {Array<*>} values
+     * @param  {Function} [cb]
+     * @return {Promise|void}
+     */
+    findJoins(collection, column, values, cb) {
+
+        if (typeof cb !== 'function') {
+            return toPromise(cb => this.findJoins(collection, column, values, cb));
+        }
+
+        const start = new Date();
+
+        const criteria = {};
+        criteria[column] = { '$in': values };
+
+        this.db.collection(collection, (err, coll) => {
+
+            if (err) {
+                cb(err, null);
+                return;
+            }
+
+            coll.find(criteria, this.createOperationOptions()).toArray((err, rows) => {
+
+                this.debug(() =>
+                    '[bass-mongodb] - findJoins [' + collection + ']: ' +
+                        this.formatPayload(criteria) + ' : ' + ((new Date()) - start) + 'ms');
+
+                cb(err, rows);
+            });
+        });
+    }
+
+    /**
+     * Get the related ids of join collection relations from mapped data, see Mapper.joinsKey
+     *
+     * @param  {Object} data
+     * @return {Object|null}
+     */
+    extractJoins(data) {
+        return data instanceof Object && data[Mapper.joinsKey] instanceof Object ? data[Mapper.joinsKey] : null;
+    }
+
+    /**
+     * Get the data to write from data mapped by bass
+     *
+     * The keys the adapter mapper adds are removed, and embedded documents are written as
+     * the adapter mapper mapped them under their field names, see Mapper.embedsKey
+     *
+     * @param  {Object} data
+     * @return {Object} the data, or a copy if it holds keys of the adapter mapper
+     */
+    createWriteData(data) {
+
+        if (!(data instanceof Object) || (!(Mapper.joinsKey in data) && !(Mapper.embedsKey in data))) {
+            return data;
+        }
+
+        const writeData = Object.assign({}, data);
+
+        delete writeData[Mapper.joinsKey];
+        delete writeData[Mapper.embedsKey];
+
+        (data[Mapper.embedsKey] || []).forEach(embed => {
+
+            delete writeData[embed.property];
+
+            if (embed.value === undefined) {
+                delete writeData[embed.name];
+            } else {
+                writeData[embed.name] = embed.value;
+            }
+        });
+
+        return writeData;
+    }
+
+    /**
+     * Save the join collection rows of a document, rows that are no longer related are removed
+     *
+     * The rows are written after the document, in the client's session. A failed write is
+     * passed to the callback as a JoinWriteError, use a transaction to write the document and
+     * its rows atomically.
+     *
+     * @param  {Metadata} metadata
+     * @param  {*}        id       the document's database id
+     * @param  {Object}   joins    the related database ids by relation property
+     * @param  {Function} cb
+     * @return {void}
+     */
+    saveJoins(metadata, id, joins, cb) {
+
+        let relations;
+
+        try {
+            relations = getAdapterRelations(metadata).filter(relation => relation.joinCollection && joins[relation.property]);
+        } catch (err) {
+            cb(err);
+            return;
+        }
+
+        this.writeJoins(metadata, id, relations, relation => {
+
+            const relatedIds = joins[relation.property];
+
+            const removed = {};
+            removed[relation.joinColumn] = id;
+            removed[relation.inverseJoinColumn] = { '$nin': relatedIds };
+
+            return [{ deleteMany: { filter: removed } }].concat(relatedIds.map(relatedId => {
+
+                const row = {};
+                row[relation.joinColumn] = id;
+                row[relation.inverseJoinColumn] = relatedId;
+
+                return { updateOne: { filter: row, update: { '$setOnInsert': row }, upsert: true } };
+            }));
+
+        }, cb);
+    }
+
+    /**
+     * Remove the join collection rows of a removed document
+     *
+     * @param  {Metadata} metadata
+     * @param  {*}        id       the document's database id
+     * @param  {Function} cb
+     * @return {void}
+     */
+    removeJoins(metadata, id, cb) {
+
+        let relations;
+
+        try {
+            relations = getAdapterRelations(metadata).filter(relation => relation.joinCollection);
+        } catch (err) {
+            cb(err);
+            return;
+        }
+
+        this.writeJoins(metadata, id, relations, relation => {
+
+            const criteria = {};
+            criteria[relation.joinColumn] = id;
+
+            return [{ deleteMany: { filter: criteria } }];
+
+        }, cb);
+    }
+
+    /**
+     * Write the join collection rows of a document, relation by relation, with a single ordered
+     * bulk write each in the client's session, see saveJoins()
+     *
+     * @param  {Metadata}      metadata
+     * @param  {*}             id            the document's database id
+     * @param  {Array<Object>} relations     see util/adapter-relations
+     * @param  {Function}      getOperations getOperations(relation) returns the bulk write operations
+     * @param  {Function}      cb
+     * @return {void}
+     */
+    writeJoins(metadata, id, relations, getOperations, cb) {
+
+        async.eachSeries(relations, (relation, callback) => {
+
+            const fail = err => callback(new JoinWriteError(metadata.collection, id, relation.joinCollection, err));
+
+            this.db.collection(relation.joinCollection, (err, coll) => {
+
+                if (err) {
+                    fail(err);
+                    return;
+                }
+
+                const operations = getOperations(relation);
+
+                this.debug(() =>
+                    '[bass-mongodb] - writeJoins [' + relation.joinCollection + ']: ' + id + ' : ' + operations.length);
+
+                coll.bulkWrite(operations, this.createOperationOptions({ ordered: true }), err => err ? fail(err) : callback(null));
+            });
+
+        }, err => cb(err || null));
+    }
+
+    /**
+     * Create the $text criteria of a text search, see Query.search()
+     *
+     * @param  {Object} search
+     * @return {Object}
+     */
+    createTextCriteria(search) {
+
+        const text = { $search: search.search };
+
+        if (search.language) {
+            text.$language = search.language;
+        }
+
+        if (search.caseSensitive) {
+            text.$caseSensitive = true;
+        }
+
+        if (search.diacriticSensitive) {
+            text.$diacriticSensitive = true;
+        }
+
+        return text;
+    }
+
+    /**
+     * Add the relevance score of a text search query to the find options, and to the sort
+     * when the query is sorted by score
+     *
+     * @param  {Object}      conditions the query's conditions
+     * @param  {Object}      options    the find options
+     * @param  {Object|null} sort
+     * @return {{options: Object, sort: Object|null, isSearch: Boolean}}
+     */
+    addTextScore(conditions, options, sort) {
+
+        const search = conditions[Query.textCondition];
+
+        if (!search) {
+            return { options: options, sort: sort, isSearch: false };
+        }
+
+        const score = {};
+        score[Query.textScoreField] = { $meta: 'textScore' };
+
+        options = Object.assign({}, options, { projection: Object.assign({}, options.projection, score) });
+
+        if (search.sortByScore) {
+            sort = Object.assign({}, score, sort || {});
+        }
+
+        return { options: options, sort: sort, isSearch: true };
+    }
+
+    /**
+     * Create the relations to populate from find options
+     *
+     * @param  {Array|String} [relations] property paths, "*" for every relation
+     * @param  {Number}       [depth]
+     * @return {{relations: Array<String>, depth: Number|null}|null}
+     */
+    createPopulate(relations, depth) {
+
+        if (!relations || relations.length === 0) {
+            return null;
+        }
+
+        return { relations: [].concat(relations), depth: depth || null };
+    }
+
+    /**
+     * Create the $geoNear stage of a near query, see Query.near()
+     *
+     * @param  {Metadata} metadata
+     * @param  {Object}   near     the query's near condition
+     * @param  {Object}   criteria mapped criteria
+     * @return {Object}
+     * @throws {Error} for criteria with a text search, which $geoNear does not support
+     */
+    createGeoNear(metadata, near, criteria) {
+
+        if (criteria.$text) {
+            throw new Error('A near query can not search text');
+        }
+
+        const geoNear = {
+            near: near.point,
+            key: this.mapper.mapPropertyNameToDatabase(metadata, near.property),
+            distanceField: Query.distanceField,
+            spherical: true,
+            query: criteria
+        };
+
+        if (typeof near.maxDistance === 'number') {
+            geoNear.maxDistance = near.maxDistance;
+        }
+
+        if (typeof near.minDistance === 'number') {
+            geoNear.minDistance = near.minDistance;
+        }
+
+        return { $geoNear: geoNear };
+    }
+
+    /**
+     * Create the pipeline of a find that is run as an aggregation
+     *
+     * The documents are matched by a $geoNear stage for near queries, and the relations to
+     * populate are looked up in to every document's __populated field, see LookupBuilder
+     *
+     * @param  {Metadata} metadata
+     * @param  {Object}   criteria              mapped criteria
+     * @param  {Object}   options
+     * @param  {Object}   [options.sort]
+     * @param  {Number}   [options.skip]
+     * @param  {Number}   [options.limit]
+     * @param  {Object}   [options.projection]  the driver projection
+     * @param  {Boolean}  [options.textScore]   add the text score of a text search
+     * @param  {Object}   [options.near]        the query's near condition
+     * @param  {Object}   [options.populate]    see createPopulate()
+     * @return {Array<Object>}
+     * @throws {Error} for unknown relations, or if there is no booted connection to populate them
+     */
+    createFindPipeline(metadata, criteria, options) {
+
+        let lookups = [];
+
+        if (options.populate) {
+
+            const registry = this.db.metadataRegistry;
+
+            if (!registry) {
+                throw new Error('Populating relations requires a booted connection');
+            }
+
+            lookups = new LookupBuilder(registry, this.mapper).build(metadata, options.populate.relations, options.populate.depth);
+        }
+
+        // $geoNear has to be the first stage, the documents are sorted by distance unless there is a sort
+        const pipeline = [options.near ? this.createGeoNear(metadata, options.near, criteria) : { $match: criteria }];
+
+        if (options.sort && Object.keys(options.sort).length !== 0) {
+            pipeline.push({ $sort: options.sort });
+        }
+
+        if (options.skip) {
+            pipeline.push({ $skip: options.skip });
+        }
+
+        if (options.limit) {
+            pipeline.push({ $limit: options.limit });
+        }
+
+        if (options.projection && Object.keys(options.projection).length !== 0) {
+
+            const projection = Object.assign({}, options.projection);
+
+            // an inclusion would drop the distance
+            if (options.near && Object.keys(projection).some(name => projection[name] === 1 || projection[name] === true)) {
+                projection[Query.distanceField] = 1;
+            }
+
+            pipeline.push({ $project: projection });
+        }
+
+        // the score is kept with the documents until it is added
+        if (options.textScore) {
+            const score = {};
+            score[Query.textScoreField] = { $meta: 'textScore' };
+            pipeline.push({ $addFields: score });
+        }
+
+        return pipeline.concat(lookups);
+    }
+
+    /**
+     * Find documents with an aggregation, for near queries and to populate relations,
+     * see createFindPipeline()
+     *
+     * @param  {Metadata}   metadata
+     * @param  {Collection} coll
+     * @param  {Object}     criteria             mapped criteria
+     * @param  {Object}     options                 see createFindPipeline()
+     * @param  {Object}     [options.projection]    see createProjection()
+     * @param  {Object}     [options.cursorOptions] see createCursorOptions()
+     * @param  {Function}   cb
+     * @return {void}
+     */
+    findAggregated(metadata, coll, criteria, options, cb) {
+
+        let pipeline;
+
+        try {
+            pipeline = this.createFindPipeline(metadata, criteria, Object.assign({}, options, {
+                projection: options.projection ? options.projection.options.projection : null
+            }));
+        } catch (err) {
+            cb(err, null);
+            return;
+        }
+
+        const start = new Date();
+
+        coll.aggregate(pipeline, this.createOperationOptions(options.cursorOptions)).toArray((err, documents) => {
+
+            this.debug(() =>
+                '[bass-mongodb] - findAggregated [' + coll.collectionName + ']: ' +
+                    this.formatPayload(pipeline[0]) + ' : ' + ((new Date()) - start) + 'ms');
+
+            cb(err, documents ? this.markPopulatedDocuments(documents) : null);
+        });
+    }
+
+    /**
+     * Count the documents of a near query, within its max and min distance
+     *
+     * @param  {Metadata}   metadata
+     * @param  {Collection} coll
+     * @param  {Object}     near     the query's near condition
+     * @param  {Object}     criteria mapped criteria
+     * @param  {Function}   cb
+     * @return {void}
+     */
+    countNear(metadata, coll, near, criteria, cb) {
+
+        let geoNear;
+
+        try {
+            geoNear = this.createGeoNear(metadata, near, criteria);
+        } catch (err) {
+            cb(err, null);
+            return;
+        }
+
+        coll.aggregate([geoNear, { $count: 'count' }], this.createOperationOptions()).toArray((err, results) => {
+            cb(err, err ? null : (results.length !== 0 ? results[0].count : 0));
+        });
+    }
+
+    /**
+     * Move the looked up documents of populated documents to a non enumerable __populated
+     * property, so that they are not written back, recursively
+     *
+     * @param  {Array<Object>} documents
+     * @return {Array<Object>}
+     */
+    markPopulatedDocuments(documents) {
+
+        const field = LookupBuilder.populatedField;
+
+        documents.forEach(document => {
+
+            const populated = document[field];
+
+            if (!(populated instanceof Object)) {
+                return;
+            }
+
+            delete document[field];
+
+            Object.defineProperty(document, field, {
+                value: populated,
+                writable: false,
+                enumerable: false
+            });
+
+            Object.keys(populated).forEach(property => this.markPopulatedDocuments(populated[property]));
+        });
+
+        return documents;
+    }
+
+    /**
+     * Log a debug message, the message is only built when the logger logs debug messages
+     *
+     * @param  {Function} message returns the message
+     * @return {void}
+     */
+    debug(message) {
+
+        if (!this.logger || typeof this.logger.debug !== 'function' ||
+            (typeof this.logger.isDebugEnabled === 'function' && !this.logger.isDebugEnabled())) {
+            return;
+        }
+
+        this.logger.debug(message());
+    }
+
+    /**
+     * Format a payload (data, criteria, etc.) for the logs, redacted by the connection's
+     * redaction function (see Connection.getRedactor()), values are masked by default
+     *
+     * @param  {*} payload
+     * @return {String}
+     */
+    formatPayload(payload) {
+
+        const redact = typeof this.db.getRedactor === 'function' ? this.db.getRedactor() : maskValues;
+
+        return JSON.stringify(redact ? redact(payload) : payload);
+    }
+
+    /**
+     * Create the options for a driver operation, adding the current session
+     *
+     * @param  {Object} [options]
+     * @return {Object}
+     */
+    createOperationOptions(options) {
+
+        const operationOptions = Object.assign({}, options);
+
+        if (this.session) {
+            operationOptions.session = this.session;
+        }
+
+        return operationOptions;
+    }
+
+    /**
+     * Create the driver projection for a projection in property names
+     *
+     * The projection is either a list of properties to include or an object of properties
+     * to include (1) or exclude (0), or to slice ({$slice: 10}) or match ({$elemMatch: {...}})
+     * arrays. The id and version fields are always included.
+     *
+     * The result also holds the database fields that are loaded completely, which are the only
+     * fields that a model loaded with the projection writes back, see markPartialDocuments().
+     *
+     * @param  {Metadata}     metadata
+     * @param  {Array|Object} [projection]
+     * @return {{options: Object, loadedFields: Array<String>|null}}
+     */
+    createProjection(metadata, projection) {
+
+        if (!projection || (Array.isArray(projection) ? projection : Object.keys(projection)).length === 0) {
+            return { options: {}, loadedFields: null };
+        }
+
+        if (Array.isArray(projection)) {
+            projection = projection.reduce((obj, property) => {
+                obj[property] = 1;
+                return obj;
+            }, {});
+        }
+
+        const idFieldName = metadata.getIdFieldName();
+        const versionFieldName = this.getVersionFieldName(metadata);
+
+        const dbProjection = {};
+
+        Object.keys(projection).forEach(property => {
+            dbProjection[this.mapper.mapPropertyNameToDatabase(metadata, property)] = projection[property];
+        });
+
+        const isIncluded = value => value === 1 || value === true;
+        const isInclusion = Object.keys(dbProjection).some(name => name !== idFieldName && isIncluded(dbProjection[name]));
+
+        if (isInclusion && versionFieldName) {
+            dbProjection[versionFieldName] = 1;
+        }
+
+        // the root names of the fields that are sliced, matched or loaded in part
+        const partial = Object.keys(dbProjection)
+            .filter(name => name.indexOf('.') !== -1 || dbProjection[name] instanceof Object)
+            .map(name => name.split('.')[0]);
+
+        let loadedFields;
+
+        if (isInclusion) {
+
+            loadedFields = Object.keys(dbProjection).filter(name =>
+                isIncluded(dbProjection[name]) && partial.indexOf(name) === -1);
+
+            if (dbProjection[idFieldName] === undefined) {
+                loadedFields.push(idFieldName);
+            }
+
+        } else {
+
+            const relations = metadata.relations || {};
+
+            loadedFields = metadata.fields.map(field => field.name)
+                .concat(Object.keys(relations['one-to-one'] || {}).map(property =>
+                    relations['one-to-one'][property].column || relations['one-to-one'][property].field))
+                .concat(Object.keys(relations['one-to-many'] || {}).map(property =>
+                    relations['one-to-many'][property].field))
+                .filter(name => dbProjection[name] === undefined && partial.indexOf(name) === -1);
+        }
+
+        return {
+            options: { projection: dbProjection },
+            loadedFields: loadedFields
+        };
+    }
+
+    /**
+     * Mark documents that were loaded with a projection, so that the models
+     * mapped from them only write back the fields that were loaded
+     *
+     * @param  {Array<Object>} documents
+     * @param  {Object}        projection the result of createProjection()
+     * @return {Array<Object>}
+     */
+    markPartialDocuments(documents, projection) {
+
+        if (!projection.loadedFields) {
+            return documents;
+        }
+
+        documents.forEach(document => {
+            if (document instanceof Object) {
+                Object.defineProperty(document, '__loadedFields', {
+                    value: projection.loadedFields,
+                    writable: false,
+                    enumerable: false
+                });
+            }
+        });
+
+        return documents;
+    }
+
+    /**
+     * Get the database field name of a document's version property
+     *
+     * @param  {Metadata} metadata
+     * @return {String|null}
+     */
+    getVersionFieldName(metadata) {
+
+        if (!metadata.versionProperty) {
+            return null;
+        }
+
+        return metadata.getFieldNameByProperty(metadata.versionProperty) || metadata.versionProperty;
+    }
+
+    /**
+     * Convert data to a MongoDB update, plain fields are $set and
+     * update operators ($inc, $push, etc.) are kept as they are
+     *
+     * @param  {Object} data
+     * @return {Object}
+     */
+    convertDataToUpdate(data) {
+
+        let $set = {};
+        if (data && data['$set']) {
+            $set = Object.assign($set, data['$set']);
+        }
+
+        const update = {};
+        for (const m in data) {
+            if (m === '$set') {
+                continue;
+            }
+            if (m[0] !== '$') {
+                $set[m] = data[m];
+            } else {
+                update[m] = data[m];
+            }
+        }
+
+        if (Object.keys($set).length !== 0) {
+            update['$set'] = $set;
+        }
+
+        return update;
+    }
+
+    /**
+     * Create the sort and criteria of a keyset paginated query, see Query.after()
+     *
+     * The results are sorted by the query's sort plus the id as tiebreaker, and the criteria
+     * only match results that come after the sort values in the query's pagination token.
+     *
+     * @param  {Metadata} metadata
+     * @param  {Query}    query
+     * @param  {Object}   criteria the query's criteria
+     * @return {{sort: Object, criteria: Object}|null} null if the query is not keyset paginated
+     * @throws Error
+     */
+    createSeekPagination(metadata, query, criteria) {
+
+        const conditions = query.getConditions();
+
+        if (!conditions || !Object.prototype.hasOwnProperty.call(conditions, Query.afterCondition)) {
+            return null;
+        }
+
+        if (query.getSkip() !== null && query.getSkip() !== 0) {
+            throw new Error('A keyset paginated query can not be combined with skip');
+        }
+
+        if (query.getLimit() === null || isNaN(query.getLimit())) {
+            throw new Error('A keyset paginated query requires a limit');
+        }
+
+        const idFieldName = metadata.getIdFieldName();
+        const sort = Object.assign({}, query.getSort());
+
+        if (sort[idFieldName] === undefined) {
+            sort[idFieldName] = 1;
+        }
+
+        const token = conditions[Query.afterCondition];
+
+        if (token === null || token === undefined || token === '') {
+            return { sort: sort, criteria: criteria };
+        }
+
+        const values = PaginationToken.decode(token, sort);
+        const fields = Object.keys(sort);
+
+        if (values.length !== fields.length) {
+            throw new Error('Invalid pagination token: ' + token);
+        }
+
+        // {$or: [{a: {$gt: va}}, {a: va, b: {$gt: vb}}, {a: va, b: vb, _id: {$gt: vid}}]}
+        const after = [];
+
+        fields.forEach((field, i) => {
+
+            const seek = this.createSeekCondition(field, sort[field], values[i]);
+
+            if (seek === null) {
+                return;
+            }
+
+            const condition = {};
+
+            // null also matches missing fields, which sort the same
+            fields.slice(0, i).forEach((previous, j) => {
+                condition[previous] = values[j];
+            });
+
+            after.push(Object.assign(condition, seek));
+        });
+
+        return {
+            sort: sort,
+            criteria: Object.keys(criteria).length === 0 ? { $or: after } : { $and: [criteria, { $or: after }] }
+        };
+    }
+
+    /**
+     * Create the criteria that match the values of a sort field that come after a value
+     *
+     * MongoDB sorts null and missing fields before any other value, $gt and $lt never match them:
+     *
+     * - ascending after null: every value that is not null
+     * - ascending after a value: greater values
+     * - descending after null: nothing, nulls come last
+     * - descending after a value: smaller values, then nulls
+     *
+     * @param  {String}      field
+     * @param  {Number}      direction 1 or -1
+     * @param  {*}           value
+     * @return {Object|null} null if no value comes after the value
+     */
+    createSeekCondition(field, direction, value) {
+
+        const isNull = value === null || value === undefined;
+
+        if (direction !== -1) {
+            return { [field]: isNull ? { $ne: null } : { $gt: value } };
+        }
+
+        if (isNull) {
+            return null;
+        }
+
+        return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    }
+
+    /**
+     * Create the pagination token that points after a document
+     *
+     * @param  {Object} sort
+     * @param  {Object} document
+     * @return {String}
+     */
+    createSeekToken(sort, document) {
+        return PaginationToken.encode(sort, Object.keys(sort).map(field =>
+            field.split('.').reduce((value, name) => value instanceof Object ? value[name] : undefined, document)));
+    }
+
+    /**
+     * Prefix the field names of (mapped) criteria, ie. to match a change event's fullDocument
+     *
+     * @param  {Object} criteria
+     * @param  {String} prefix
+     * @return {Object}
+     */
+    prefixCriteria(criteria, prefix) {
+
+        const prefixed = {};
+
+        Object.keys(criteria).forEach(key => {
+
+            if (['$or', '$and', '$nor'].indexOf(key) !== -1 && Array.isArray(criteria[key])) {
+                prefixed[key] = criteria[key].map(sub => this.prefixCriteria(sub, prefix));
+            } else if (key[0] === '$') {
+                prefixed[key] = criteria[key];
+            } else {
+                prefixed[prefix + key] = criteria[key];
+            }
+        });
+
+        return prefixed;
+    }
+
+    /**
+     * Convert a Bass Query to MongoDB criteria format
+     *
+     * The criteria of the Query's builder methods (see Query.criteriaCondition) are in property
+     * names, they are mapped when the metadata is given.
+     *
+     * @param  {Query}    query
+     * @param  {Metadata} [metadata]
+     * @return {Object}
+     * @throws {Error} for condition values that could not be converted to their field type
+     */
+    convertQueryToCriteria(query, metadata) {
+
+        const newQuery = {};
+
+        const conditions = query.getConditions();
+
+        // bass converts the conditions, values that could not be converted hold their error
+        const conversionError = ConversionError.find(conditions);
+
+        if (conversionError) {
+            throw conversionError.error;
+        }
+
+        for (let field in conditions){
+
+            // the pagination token, see createSeekPagination(), the relations to populate, the point
+            // of a near query, see createGeoNear(), the cursor options, and the builder's criteria
+            if (field === Query.afterCondition || field === Query.populateCondition || field === Query.nearCondition ||
+                field === Query.optionsCondition || field === Query.criteriaCondition) {
+                continue;
+            }
+
+            if (field === Query.textCondition) {
+                newQuery.$text = this.createTextCriteria(conditions[field]);
+                continue;
+            }
+
+            if (typeof conditions[field] === 'object' &&
+                conditions[field].constructor.name !== 'ObjectID' &&
+                conditions[field].constructor.name !== 'ObjectId'){
+
+                if (Array.isArray(conditions[field])) {
+                    newQuery[field] = conditions[field];
                 } else {
 
                     const tmp = {};
 
                     for (let i in conditions[field]) {
-                        // '$i' is our operator - $gt, $lt, etc.
-                        if (isNaN(i)) {
+                        // '$i' is our operator - $gt, $lt, etc., geo operators are prefixed already
+                        if (isNaN(i) && i[0] !== '$') {
                             tmp['$' + i] = conditions[field][i];
                         } else {
                             tmp[i] = conditions[field][i];
@@ -622,6 +3183,31 @@ module.exports = class Client {
             }
         }
 
-        return newQuery;
+        const criteria = conditions[Query.criteriaCondition] || [];
+
+        return Query.mergeCriteria(newQuery, metadata ?
+            criteria.map(item => this.mapper.mapCriteriaToDatabase(metadata, item)) : criteria);
+    }
+
+    /**
+     * Create the driver options of a Query's cursor options, see Query.getCursorOptions()
+     *
+     * @param  {Metadata} metadata
+     * @param  {Query}    query
+     * @return {Object}
+     */
+    createCursorOptions(metadata, query) {
+
+        const options = Object.assign({}, query.getConditions()[Query.optionsCondition]);
+
+        if (options.hint instanceof Object) {
+            const hint = {};
+            Object.keys(options.hint).forEach(property => {
+                hint[this.mapper.mapPropertyNameToDatabase(metadata, property)] = options.hint[property];
+            });
+            options.hint = hint;
+        }
+
+        return options;
     }
 };
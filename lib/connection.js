@@ -7,14 +7,46 @@
  * file that was distributed with this source code.
  */
 
+// native modules
+const EventEmitter = require('events');
+
+// third-party modules
+const _ = require('lodash');
+const async = require('async');
+
 // bass modules
 const BassConnection = require('bass').Connection;
 
 // local modules
 const IdStrategy = require('./id-strategy');
+const IndexSynchronizer = require('./index-synchronizer');
+const SchemaBuilder = require('./schema-builder');
+const RetryPolicy = require('./retry-policy');
+const SlowQueryMonitor = require('./slow-query-monitor');
+const getAdapterMetadata = require('./util/adapter-metadata');
+const maskValues = require('./util/mask-values');
+const toPromise = require('./util/to-promise');
 
 /**
  * The Mongodb adapter's Connection class
+ *
+ * Connections emit events through connection.events. With the "monitoring" connection option
+ * they emit the driver's command monitoring events as commandStarted, commandSucceeded and
+ * commandFailed, see monitorCommands():
+ *
+ *     options: {
+ *         monitoring: {
+ *             commands: true,                     // emit command events
+ *             redact: payload => payload,         // redacts logged payloads and event commands, see getRedactor()
+ *             log: 'debug'                        // log every command at this level, false by default
+ *         }
+ *     }
+ *
+ *     connection.events.on('commandFailed', event => ...);
+ *
+ * They also emit the lifecycle of the connection to the deployment, see monitorTopology():
+ * disconnect, reconnect, timeout and close.
+ *
  * @param {*} connection
  * @constructor
  */
@@ -22,30 +54,530 @@ module.exports = class Connection extends BassConnection {
 
 	/**
 	 *
-	 * @param  {Metadata} metadataRegistry
-	 * @param  {Function} cb
+	 * @param {Db}          connection the native database
+	 * @param {Logger}      logger
+	 * @param {MongoClient} [client]   the native client the database belongs to
+	 */
+	constructor(connection, logger, client) {
+
+		super(connection, logger);
+
+		/**
+		 * The native MongoClient, needed for sessions and transactions
+		 *
+		 * @type {MongoClient|null}
+		 */
+		this.client = client || null;
+
+		/**
+		 * @type {SlowQueryMonitor|null}
+		 */
+		this.slowQueryMonitor = null;
+
+		/**
+		 * @type {RetryPolicy|null}
+		 */
+		this.retryPolicy = null;
+
+		/**
+		 * The emitter of the command and lifecycle events
+		 *
+		 * @type {EventEmitter}
+		 */
+		this.events = new EventEmitter();
+
+		if (this.client && typeof this.client.on === 'function') {
+			this.monitorCommands(this.client);
+			this.monitorTopology(this.client);
+		}
+	}
+
+	/**
+	 * Get the monitoring config
+	 *
+	 * Configured with the "monitoring" connection option:
+	 * { commands: true, redact: null, log: false }
+	 *
+	 * @return {Object}
+	 */
+	getMonitoringConfig() {
+
+		const options = this.options && this.options.monitoring;
+
+		return Object.assign({
+			commands: !!options,
+			redact: null,
+			log: false
+		}, options instanceof Object ? options : {});
+	}
+
+	/**
+	 * Get the function that redacts payloads before they are logged or emitted
+	 *
+	 * The "redact" monitoring option is called with a copy of the payload, so it can modify it.
+	 * Without one the values of payloads are masked, see util/mask-values, and with redact: false
+	 * payloads are logged and emitted as they are.
+	 *
+	 * @return {Function|null}
+	 */
+	getRedactor() {
+
+		const redact = this.getMonitoringConfig().redact;
+
+		if (redact === false) {
+			return null;
+		}
+
+		return typeof redact === 'function' ? payload => redact(_.cloneDeep(payload)) : maskValues;
+	}
+
+	/**
+	 * Emit the command monitoring events of a MongoClient
+	 *
+	 * The driver only emits them when it is connected with monitorCommands, see
+	 * ConnectionFactory.createOptions(). Every event has the operation (the command name),
+	 * the collection (if there is one), the database, the requestId and the connectionId:
+	 *
+	 *     commandStarted:   { ..., command: { ... } }                 // redacted, see getRedactor()
+	 *     commandSucceeded: { ..., duration: 3, documentCount: 20, modifiedCount: null, writeErrorCount: null }
+	 *     commandFailed:    { ..., duration: 3, errorCode: 11000, errorName: 'DuplicateKey', message: '...' }
+	 *
+	 * Durations are in ms. The document count is the number of documents in the first (or next) batch
+	 * of a cursor, or the number of documents that were written.
+	 *
+	 * @param  {MongoClient} client
 	 * @return {void}
 	 */
+	monitorCommands(client) {
+
+		// the started commands by request id, to know the collection of their outcome
+		const started = {};
+
+		client.on('commandStarted', event => {
+
+			const command = {
+				operation: event.commandName,
+				collection: this.getCommandCollection(event.commandName, event.command),
+				database: event.databaseName,
+				requestId: event.requestId,
+				connectionId: event.connectionId
+			};
+
+			started[event.requestId] = command;
+
+			if (this.events.listenerCount('commandStarted') !== 0) {
+				const redact = this.getRedactor();
+				this.events.emit('commandStarted', Object.assign({ command: redact ? redact(event.command) : event.command }, command));
+			}
+		});
+
+		const getCommand = event => {
+
+			const command = started[event.requestId] || {
+				operation: event.commandName,
+				collection: null,
+				database: event.databaseName,
+				requestId: event.requestId,
+				connectionId: event.connectionId
+			};
+
+			delete started[event.requestId];
+
+			return command;
+		};
+
+		client.on('commandSucceeded', event => {
+
+			const reply = event.reply || {};
+			const batch = reply.cursor && (reply.cursor.firstBatch || reply.cursor.nextBatch);
+
+			const succeeded = Object.assign({}, getCommand(event), {
+				duration: event.duration,
+				documentCount: Array.isArray(batch) ? batch.length : (typeof reply.n === 'number' ? reply.n : null),
+				modifiedCount: typeof reply.nModified === 'number' ? reply.nModified : null,
+				writeErrorCount: Array.isArray(reply.writeErrors) ? reply.writeErrors.length : null
+			});
+
+			this.logCommand(succeeded, succeeded.documentCount !== null ? succeeded.documentCount + ' documents' : 'ok');
+			this.events.emit('commandSucceeded', succeeded);
+		});
+
+		client.on('commandFailed', event => {
+
+			const failure = event.failure || {};
+
+			const failed = Object.assign({}, getCommand(event), {
+				duration: event.duration,
+				errorCode: failure.code !== undefined ? failure.code : null,
+				errorName: failure.codeName || failure.name || null,
+				message: failure.message || null
+			});
+
+			this.logCommand(failed, 'failed: ' + failed.errorName + ' ' + failed.message);
+			this.events.emit('commandFailed', failed);
+		});
+	}
+
+	/**
+	 * Get the collection that a command runs on
+	 *
+	 * @param  {String} name    the command name
+	 * @param  {Object} command
+	 * @return {String|null}
+	 */
+	getCommandCollection(name, command) {
+
+		if (!(command instanceof Object)) {
+			return null;
+		}
+
+		// getMore names the collection in "collection", most other commands in their name
+		if (typeof command[name] === 'string') {
+			return command[name];
+		}
+
+		return typeof command.collection === 'string' ? command.collection : null;
+	}
+
+	/**
+	 * Log a command event at the configured level
+	 *
+	 * @param  {Object} event
+	 * @param  {String} outcome
+	 * @return {void}
+	 */
+	logCommand(event, outcome) {
+
+		const level = this.getMonitoringConfig().log;
+
+		if (!level || !this.logger || typeof this.logger[level] !== 'function') {
+			return;
+		}
+
+		this.logger[level]('[bass-mongodb] - command ' + event.operation +
+			(event.collection ? ' [' + event.collection + ']' : '') + ': ' + outcome + ' : ' + event.duration + 'ms');
+	}
+
+	/**
+	 * Emit the lifecycle events of a MongoClient's connection to the deployment
+	 *
+	 *     disconnect: { servers: ['db1:27017', ...] }          // there is no writable server anymore
+	 *     reconnect:  { servers: [...], downtime: 4200 }        // a writable server is back, downtime in ms
+	 *     timeout:    { address: 'db1:27017', duration: 10000, error: Error } // a server did not respond
+	 *     close:      {}                                        // the client was closed
+	 *
+	 * A replica set failover shows up as a disconnect while the set elects a new primary,
+	 * followed by a reconnect once the new primary is discovered.
+	 *
+	 * @param  {MongoClient} client
+	 * @return {void}
+	 */
+	monitorTopology(client) {
+
+		let disconnectedAt = null;
+
+		const getServers = description => Array.from(description && description.servers instanceof Map ?
+			description.servers.keys() : []);
+
+		client.on('topologyDescriptionChanged', event => {
+
+			const wasWritable = this.isWritableTopology(event.previousDescription);
+			const isWritable = this.isWritableTopology(event.newDescription);
+
+			if (wasWritable && !isWritable) {
+
+				disconnectedAt = new Date();
+
+				this.logLifecycle('warn', 'disconnected, no writable server');
+				this.events.emit('disconnect', { servers: getServers(event.newDescription) });
+
+			} else if (!wasWritable && isWritable && disconnectedAt !== null) {
+
+				const downtime = new Date() - disconnectedAt;
+
+				disconnectedAt = null;
+
+				this.logLifecycle('info', 'reconnected after ' + downtime + 'ms');
+				this.events.emit('reconnect', { servers: getServers(event.newDescription), downtime: downtime });
+			}
+		});
+
+		client.on('serverHeartbeatFailed', event => {
+
+			const failure = event.failure || {};
+
+			if (failure.name !== 'MongoNetworkTimeoutError') {
+				return;
+			}
+
+			this.logLifecycle('warn', 'timeout of ' + event.connectionId + ': ' + failure.message);
+			this.events.emit('timeout', { address: event.connectionId, duration: event.duration, error: failure });
+		});
+
+		client.on('close', () => this.events.emit('close', {}));
+	}
+
+	/**
+	 * See if a topology description has a server that accepts writes
+	 *
+	 * @param  {TopologyDescription} description
+	 * @return {Boolean}
+	 */
+	isWritableTopology(description) {
+
+		if (!description || !(description.servers instanceof Map)) {
+			return false;
+		}
+
+		return Array.from(description.servers.values()).some(server =>
+			['RSPrimary', 'Standalone', 'Mongos', 'LoadBalancer'].indexOf(server.type) !== -1);
+	}
+
+	/**
+	 * Log a lifecycle event if we have a logger
+	 *
+	 * @param  {String} level
+	 * @param  {String} message
+	 * @return {void}
+	 */
+	logLifecycle(level, message) {
+		if (this.logger && typeof this.logger[level] === 'function') {
+			this.logger[level]('[bass-mongodb] - connection ' + message);
+		}
+	}
+
+	/**
+	 * Get the policy that retries operations that failed with transient errors, see RetryPolicy
+	 *
+	 * Configured with the "retry" connection option, { maxAttempts: 3, initialDelay: 100 }
+	 *
+	 * @return {RetryPolicy|null} null if operations are not retried
+	 */
+	getRetryPolicy() {
+
+		const options = this.options && this.options.retry;
+
+		if (!options || options.enabled === false) {
+			return null;
+		}
+
+		if (!this.retryPolicy) {
+			this.retryPolicy = new RetryPolicy(options === true ? {} : options, this.logger);
+		}
+
+		return this.retryPolicy;
+	}
+
+	/**
+	 * Get the monitor that reports slow queries, see SlowQueryMonitor
+	 *
+	 * Configured with the "slowQueries" connection option, { threshold: 100, explain: true }
+	 *
+	 * @return {SlowQueryMonitor|null} null if slow queries are not monitored
+	 */
+	getSlowQueryMonitor() {
+
+		const options = this.options && this.options.slowQueries;
+
+		if (!options || options.enabled === false) {
+			return null;
+		}
+
+		if (!this.slowQueryMonitor) {
+			this.slowQueryMonitor = new SlowQueryMonitor(options === true ? {} : options, this.logger);
+		}
+
+		return this.slowQueryMonitor;
+	}
+
+	/**
+	 * Close the connection, closing the MongoClient that its database belongs to
+	 *
+	 * @param  {Boolean}  [force=false] force close, emitting no events
+	 * @param  {Function} [cb]
+	 * @return {Promise|void}
+	 */
+	close(force, cb) {
+
+		if (typeof force === 'function') {
+			cb = force;
+			force = false;
+		}
+
+		if (typeof cb !== 'function') {
+			return toPromise(cb => this.close(force, cb));
+		}
+
+		if (!this.client) {
+			cb(null);
+			return;
+		}
+
+		this.client.close(!!force, err => cb(err || null));
+	}
+
+	/**
+	 * Boot the connection, synchronizing the declared indexes and the schema validators
+	 * of all documents
+	 *
+	 * Index synchronization is configured with the "indexes" connection option:
+	 * { sync: true, dropUndeclared: false, dryRun: false }, see IndexSynchronizer
+	 *
+	 * The callback receives a report: { indexes: { collection: {...} }, validators: [collection] }
+	 *
+	 * @param  {MetadataRegistry} metadataRegistry
+	 * @param  {Function} [cb]
+	 * @return {Promise|void}
+	 */
 	boot(metadataRegistry, cb) {
 
-		var i,
-			metadata,
-			self = this;
+		if (typeof cb !== 'function') {
+			return toPromise(cb => this.boot(metadataRegistry, cb));
+		}
 
-		for (i in metadataRegistry.metas) {
+		this.metadataRegistry = metadataRegistry;
 
-			metadata = metadataRegistry.metas[i];
+		const options = (this.options && this.options.indexes) || {};
 
-			if (metadata) {
-				metadata.indexes.single.forEach(function(index) {
-					self.collection(metadata.collection, function(err, collection) {
-						collection.ensureIndex({ fieldName : index.field, unique : index.isUnique, sparse : index.isSparse });
-					});
+		const report = {
+			indexes: {},
+			validators: []
+		};
+
+		async.series([
+
+			callback => {
+
+				if (options.sync === false) {
+					callback(null);
+					return;
+				}
+
+				const synchronizer = new IndexSynchronizer(this, this.logger);
+
+				synchronizer.synchronize(metadataRegistry, options, (err, indexReport) => {
+					report.indexes = indexReport || {};
+					callback(err);
 				});
+			},
+
+			callback => this.synchronizeValidators(metadataRegistry, (err, collections) => {
+				report.validators = collections || [];
+				callback(err);
+			})
+
+		], err => cb(err || null, report));
+	}
+
+	/**
+	 * Apply the generated $jsonSchema validators to all collections with collMod,
+	 * creating collections that do not exist yet
+	 *
+	 * @param  {MetadataRegistry} metadataRegistry
+	 * @param  {Function}         cb receives the names of the validated collections
+	 * @return {void}
+	 */
+	synchronizeValidators(metadataRegistry, cb) {
+
+		const config = this.getValidationConfig();
+
+		if (!config.enabled || config.onBoot === false) {
+			cb(null, []);
+			return;
+		}
+
+		const collections = {};
+
+		for (const i in metadataRegistry.metas) {
+
+			const metadata = metadataRegistry.metas[i];
+
+			if (metadata && metadata.collection && !metadata.isEmbedded) {
+				collections[metadata.collection] = (collections[metadata.collection] || []).concat([metadata]);
 			}
 		}
 
-		cb(null);
+		const validated = [];
+
+		async.eachSeries(Object.keys(collections), (collection, callback) => {
+
+			const options = this.createValidationOptions(collections[collection]);
+
+			if (!options) {
+				callback(null);
+				return;
+			}
+
+			this.command(Object.assign({ collMod: collection }, options), err => {
+
+				// the collection does not exist yet (NamespaceNotFound)
+				if (err && err.code === 26) {
+					this.createCollection(collection, options, err => {
+						if (!err) {
+							validated.push(collection);
+						}
+						callback(err);
+					});
+					return;
+				}
+
+				if (!err) {
+					validated.push(collection);
+				}
+
+				callback(err);
+			});
+
+		}, err => cb(err || null, validated));
+	}
+
+	/**
+	 * Get the connection's schema validation config
+	 *
+	 * Configured with the "validation" connection option:
+	 * { enabled: false, level: 'strict', action: 'error', onBoot: true }
+	 *
+	 * @return {Object}
+	 */
+	getValidationConfig() {
+		return Object.assign({
+			enabled: false,
+			level: 'strict',
+			action: 'error',
+			onBoot: true
+		}, this.options && this.options.validation);
+	}
+
+	/**
+	 * Create the createCollection / collMod validation options for a collection
+	 *
+	 * Documents can override the connection's validation config in
+	 * metadata.adapters['bass-mongodb'].validation. When more than one document is stored
+	 * in the collection, a document has to match any of their schemas.
+	 *
+	 * @param  {Metadata|Array<Metadata>} metadata
+	 * @return {Object|null} null if validation is not enabled
+	 */
+	createValidationOptions(metadata) {
+
+		const config = this.getValidationConfig();
+
+		const metas = [].concat(metadata).filter(meta =>
+			Object.assign({}, config, getAdapterMetadata(meta).validation).enabled);
+
+		if (metas.length === 0) {
+			return null;
+		}
+
+		const validation = Object.assign({}, config, getAdapterMetadata(metas[0]).validation);
+		const builder = new SchemaBuilder(this.metadataRegistry);
+		const schemas = metas.map(meta => builder.build(meta));
+
+		return {
+			validator: { $jsonSchema: schemas.length === 1 ? schemas[0] : { anyOf: schemas } },
+			validationLevel: validation.level,
+			validationAction: validation.action
+		};
 	}
 
 	/**
@@ -59,6 +591,149 @@ module.exports = class Connection extends BassConnection {
 		this.connection.collection(name, cb);
 	}
 
+	/**
+	 * Create a collection
+	 *
+	 * @param  {String}   name
+	 * @param  {Object}   options
+	 * @param  {Function} cb
+	 * @return {void}
+	 */
+	createCollection(name, options, cb) {
+		this.connection.createCollection(name, options || {}, cb);
+	}
+
+	/**
+	 * Get all of the collections in the database
+	 *
+	 * @param  {Function} cb
+	 * @return {void}
+	 */
+	collections(cb) {
+		this.connection.collections(cb);
+	}
+
+	/**
+	 * Run a database command
+	 *
+	 * @param  {Object}   command
+	 * @param  {Function} cb
+	 * @return {void}
+	 */
+	command(command, cb) {
+		this.connection.command(command, cb);
+	}
+
+	/**
+	 * Start a new driver session
+	 *
+	 * @param  {Object} [options] driver session options
+	 * @return {ClientSession}
+	 * @throws Error
+	 */
+	startSession(options) {
+
+		if (!this.client) {
+			throw new Error('Sessions are not supported without a MongoClient');
+		}
+
+		return this.client.startSession(options);
+	}
+
+	/**
+	 * Run a function in a multi-document transaction
+	 *
+	 * The function receives the session to pass on to Client operations (see Client.withSession()),
+	 * and either returns a Promise or accepts a callback as second argument. The transaction is
+	 * committed when the function succeeds and aborted when it fails. The whole transaction is
+	 * retried on a TransientTransactionError and the commit is retried on an
+	 * UnknownTransactionCommitResult, up to options.maxAttempts times.
+	 *
+	 * @param  {Function} fn                           fn(session) or fn(session, cb)
+	 * @param  {Object}   [options]
+	 * @param  {Number}   [options.maxAttempts=5]      the maximum number of attempts
+	 * @param  {Object}   [options.session]            driver session options
+	 * @param  {Object}   [options.transaction]        driver transaction options (readConcern, writeConcern, etc.)
+	 * @param  {Function} [cb]                         receives the result of the function
+	 * @return {Promise|void}
+	 */
+	withTransaction(fn, options, cb) {
+
+		if (typeof options === 'function') {
+			cb = options;
+			options = null;
+		}
+
+		if (typeof cb !== 'function') {
+			return toPromise(cb => this.withTransaction(fn, options, cb));
+		}
+
+		options = options || {};
+
+		const maxAttempts = options.maxAttempts || 5;
+
+		let session;
+
+		try {
+			session = this.startSession(options.session);
+		} catch (err) {
+			cb(err);
+			return;
+		}
+
+		const hasErrorLabel = (err, label) =>
+			err instanceof Object && typeof err.hasErrorLabel === 'function' && err.hasErrorLabel(label);
+
+		const execute = () => {
+			if (fn.length > 1) {
+				return toPromise(done => fn(session, done));
+			}
+			return new Promise(resolve => resolve(fn(session)));
+		};
+
+		const commit = (attempt) => session.commitTransaction().catch(err => {
+			if (hasErrorLabel(err, 'UnknownTransactionCommitResult') && attempt < maxAttempts) {
+				return commit(attempt + 1);
+			}
+			throw err;
+		});
+
+		const run = (attempt) => {
+
+			// a session that can not start the transaction throws, which has to reach cb
+			return new Promise(resolve => resolve(session.startTransaction(options.transaction)))
+				.then(execute)
+				.then(result => commit(attempt).then(() => result))
+				.catch(err => {
+
+					const abort = session.inTransaction() ?
+						session.abortTransaction().catch(() => null) : Promise.resolve();
+
+					return abort.then(() => {
+
+						if (hasErrorLabel(err, 'TransientTransactionError') && attempt < maxAttempts) {
+
+							if (this.logger) {
+								this.logger.debug('[bass-mongodb] - retrying transaction after: ' + err.message);
+							}
+
+							return run(attempt + 1);
+						}
+
+						throw err;
+					});
+				});
+		};
+
+		run(1).then(result => {
+			session.endSession();
+			cb(null, result);
+		}, err => {
+			session.endSession();
+			cb(err);
+		});
+	}
+
 	/**
 	 * Instantiate a new IdStrategy instance
 	 * @param {String|*} idStrategy
@@ -68,4 +743,4 @@ module.exports = class Connection extends BassConnection {
 		return new IdStrategy(idStrategy);
 	}
 
-}
\ No newline at end of file
+}
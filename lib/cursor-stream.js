@@ -0,0 +1,207 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// native modules
+const { Readable } = require('stream');
+
+/**
+ * The CursorStream is an object mode Readable over a driver cursor
+ *
+ * Documents are read from the cursor in batches, only when the consumer asks for more, and
+ * every batch is mapped at once (so that relations are merged in with a single query per batch).
+ * The cursor is closed when the stream ends or is destroyed.
+ *
+ * The stream is also an async iterator:
+ *
+ *     for await (const model of client.findStream(...)) { ... }
+ */
+module.exports = class CursorStream extends Readable {
+
+	/**
+	 *
+	 * @param {Function} open                   open(cb) calls back with the driver cursor
+	 * @param {Object}   [options]
+	 * @param {Number}   [options.batchSize=100] the number of documents to read and map at once
+	 * @param {Function} [options.map]           map(documents, cb) maps a batch of documents
+	 */
+	constructor(open, options) {
+
+		options = options || {};
+
+		const batchSize = options.batchSize || 100;
+
+		super({ objectMode: true, highWaterMark: batchSize });
+
+		/**
+		 * @type {Function}
+		 */
+		this.open = open;
+
+		/**
+		 * @type {Number}
+		 */
+		this.batchSize = batchSize;
+
+		/**
+		 * @type {Function|null}
+		 */
+		this.map = options.map || null;
+
+		/**
+		 * The driver cursor, once it is opened
+		 *
+		 * @type {Cursor|null}
+		 */
+		this.cursor = null;
+
+		/**
+		 * Whether a batch is being read
+		 *
+		 * @type {Boolean}
+		 */
+		this.isReading = false;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_read() {
+
+		if (this.isReading) {
+			return;
+		}
+
+		this.isReading = true;
+
+		if (this.cursor) {
+			this.readBatch();
+			return;
+		}
+
+		this.open((err, cursor) => {
+
+			if (err) {
+				this.destroy(err);
+				return;
+			}
+
+			this.cursor = cursor;
+
+			if (this.destroyed) {
+				this.closeCursor();
+				return;
+			}
+
+			this.readBatch();
+		});
+	}
+
+	/**
+	 * Read the next batch of documents from the cursor and push them
+	 *
+	 * @return {void}
+	 */
+	readBatch() {
+
+		const documents = [];
+
+		const next = () => {
+
+			this.cursor.next((err, document) => {
+
+				if (err) {
+					this.destroy(err);
+					return;
+				}
+
+				if (document !== null && document !== undefined) {
+					documents.push(document);
+					if (documents.length < this.batchSize && !this.destroyed) {
+						next();
+						return;
+					}
+				}
+
+				this.pushBatch(documents, document === null || document === undefined);
+			});
+		};
+
+		next();
+	}
+
+	/**
+	 * Map and push a batch of documents
+	 *
+	 * @param  {Array<Object>} documents
+	 * @param  {Boolean}       isLast    whether the cursor is exhausted
+	 * @return {void}
+	 */
+	pushBatch(documents, isLast) {
+
+		if (this.destroyed) {
+			return;
+		}
+
+		const push = (err, items) => {
+
+			if (this.destroyed) {
+				return;
+			}
+
+			if (err) {
+				this.destroy(err);
+				return;
+			}
+
+			this.isReading = false;
+
+			let wantsMore = true;
+
+			(items || []).forEach(item => {
+				wantsMore = this.push(item);
+			});
+
+			if (isLast) {
+				this.push(null);
+				this.closeCursor();
+			} else if (wantsMore) {
+				this._read();
+			}
+		};
+
+		if (documents.length === 0 || !this.map) {
+			push(null, documents);
+			return;
+		}
+
+		this.map(documents, push);
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_destroy(err, cb) {
+		this.closeCursor();
+		cb(err);
+	}
+
+	/**
+	 * Close the driver cursor
+	 *
+	 * @return {void}
+	 */
+	closeCursor() {
+
+		const cursor = this.cursor;
+
+		if (cursor && !(typeof cursor.isClosed === 'function' && cursor.isClosed())) {
+			cursor.close(() => null);
+		}
+	}
+};
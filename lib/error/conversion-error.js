@@ -0,0 +1,65 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error for a model value that could not be converted to its field type, see
+ * Mapper.convertModelValueToDbValue()
+ */
+module.exports = class ConversionError extends Error {
+
+	/**
+	 *
+	 * @param {String} type  the field type
+	 * @param {Error}  error the error of the conversion
+	 */
+	constructor(type, error) {
+
+		super('Could not convert a value to "' + type + '": ' + error.message);
+
+		this.name = 'ConversionError';
+
+		/**
+		 * @type {String}
+		 */
+		this.type = type;
+
+		/**
+		 * @type {Error}
+		 */
+		this.error = error;
+	}
+
+	/**
+	 * Find a ConversionError in a converted value, ie. in the values of an embedded document
+	 *
+	 * @param  {*} value
+	 * @return {ConversionError|null}
+	 */
+	static find(value) {
+
+		if (value instanceof ConversionError) {
+			return value;
+		}
+
+		if (!(value instanceof Object) || (!Array.isArray(value) && value.constructor !== Object)) {
+			return null;
+		}
+
+		const values = Array.isArray(value) ? value : Object.keys(value).map(key => value[key]);
+
+		for (let i = 0; i < values.length; i++) {
+			const error = ConversionError.find(values[i]);
+			if (error) {
+				return error;
+			}
+		}
+
+		return null;
+	}
+};
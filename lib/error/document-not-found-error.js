@@ -0,0 +1,40 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error for a write that targeted a document that does not exist (anymore)
+ */
+module.exports = class DocumentNotFoundError extends Error {
+
+	/**
+	 *
+	 * @param {String} collection the collection name
+	 * @param {*}      id         the document id
+	 */
+	constructor(collection, id) {
+
+		super('Could not find document ' + id + ' in ' + collection);
+
+		this.name = 'DocumentNotFoundError';
+
+		/**
+		 * The collection name
+		 *
+		 * @type {String}
+		 */
+		this.collection = collection;
+
+		/**
+		 * The document id
+		 *
+		 * @type {*}
+		 */
+		this.id = id;
+	}
+};
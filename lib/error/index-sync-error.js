@@ -0,0 +1,33 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error for indexes that could not be created or dropped while booting
+ */
+module.exports = class IndexSyncError extends Error {
+
+	/**
+	 *
+	 * @param {Array<{collection: String, index: String, error: Error}>} errors
+	 */
+	constructor(errors) {
+
+		super('Could not synchronize indexes: ' + errors.map(
+			failure => failure.collection + '.' + failure.index + ' (' + failure.error.message + ')').join(', '));
+
+		this.name = 'IndexSyncError';
+
+		/**
+		 * The failed index operations
+		 *
+		 * @type {Array<{collection: String, index: String, error: Error}>}
+		 */
+		this.errors = errors;
+	}
+};
@@ -0,0 +1,50 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error for join collection rows that could not be written after their document was
+ *
+ * Outside of a transaction the document stays written, writing it again replaces its rows.
+ */
+module.exports = class JoinWriteError extends Error {
+
+	/**
+	 *
+	 * @param {String} collection     the document's collection
+	 * @param {*}      id             the document's database id
+	 * @param {String} joinCollection
+	 * @param {Error}  error          the error of the write
+	 */
+	constructor(collection, id, joinCollection, error) {
+
+		super('Could not write the ' + joinCollection + ' rows of ' + collection + ' ' + id + ': ' + error.message);
+
+		this.name = 'JoinWriteError';
+
+		/**
+		 * @type {String}
+		 */
+		this.collection = collection;
+
+		/**
+		 * @type {*}
+		 */
+		this.id = id;
+
+		/**
+		 * @type {String}
+		 */
+		this.joinCollection = joinCollection;
+
+		/**
+		 * @type {Error}
+		 */
+		this.error = error;
+	}
+};
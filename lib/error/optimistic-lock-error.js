@@ -0,0 +1,60 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Error for a versioned update that lost against a concurrent write
+ *
+ * The document still exists, but its version no longer matches the version
+ * the update was based on
+ */
+module.exports = class OptimisticLockError extends Error {
+
+	/**
+	 *
+	 * @param {String}   collection      the collection name
+	 * @param {*}        id              the document id
+	 * @param {Number}   expectedVersion the version the update expected to find
+	 * @param {Number}   actualVersion   the version currently stored
+	 */
+	constructor(collection, id, expectedVersion, actualVersion) {
+
+		super('Optimistic lock failed for ' + collection + ' ' + id + ': expected version ' +
+			expectedVersion + ' but found version ' + actualVersion);
+
+		this.name = 'OptimisticLockError';
+
+		/**
+		 * The collection name
+		 *
+		 * @type {String}
+		 */
+		this.collection = collection;
+
+		/**
+		 * The document id
+		 *
+		 * @type {*}
+		 */
+		this.id = id;
+
+		/**
+		 * The version the update expected to find
+		 *
+		 * @type {Number}
+		 */
+		this.expectedVersion = expectedVersion;
+
+		/**
+		 * The version currently stored
+		 *
+		 * @type {Number}
+		 */
+		this.actualVersion = actualVersion;
+	}
+};
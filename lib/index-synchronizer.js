@@ -0,0 +1,519 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// third-party modules
+const _ = require('lodash');
+const async = require('async');
+
+// local modules
+const GeoJSON = require('./mapping/geo-json');
+const IndexSyncError = require('./error/index-sync-error');
+const getAdapterMetadata = require('./util/adapter-metadata');
+
+/**
+ * The IndexSynchronizer creates the indexes declared in the metadata
+ * and optionally drops the ones that are no longer declared
+ *
+ * Indexes are declared by the bass @Bass:Index annotation (metadata.indexes.single), in
+ * metadata.indexes.compound, or in metadata.adapters['bass-mongodb'].indexes:
+ *
+ *     {
+ *         fields: { title: 'text', createdAt: -1 },  // property names, or an array of property names
+ *         name: 'idx_title',
+ *         unique: true,
+ *         sparse: true,
+ *         expireAfterSeconds: 3600,
+ *         partialFilterExpression: { deletedAt: { $exists: false } },
+ *         collation: { locale: 'en', strength: 2 },
+ *         weights: { title: 10 },
+ *         defaultLanguage: 'english'
+ *     }
+ *
+ * A collection can only have one text index, so text fields of @Bass:Index annotations are
+ * merged in to one index. The text index can also be declared on its own:
+ *
+ *     metadata.adapters['bass-mongodb'].text = {
+ *         fields: { title: 10, body: 1 },  // property names with their weights, or an array of property names
+ *         defaultLanguage: 'english',
+ *         languageOverride: 'lang'
+ *     }
+ *
+ * Fields with a geometry type (point, polygon, etc.) get a 2dsphere index unless they have a
+ * geo index declared, or metadata.adapters['bass-mongodb'].geoIndexes is false.
+ */
+module.exports = class IndexSynchronizer {
+
+	/**
+	 *
+	 * @param {Connection} connection
+	 * @param {Logger}     logger
+	 */
+	constructor(connection, logger) {
+		this.connection = connection;
+		this.logger = logger;
+	}
+
+	/**
+	 * Synchronize the indexes of all the collections in a metadata registry
+	 *
+	 * The callback receives a report of the changes per collection:
+	 *
+	 *     { collectionName: { created: [], dropped: [], changed: [], undeclared: [] } }
+	 *
+	 * @param  {MetadataRegistry} metadataRegistry
+	 * @param  {Object}           [options]
+	 * @param  {Boolean}          [options.dropUndeclared=false] drop indexes which are not declared anymore
+	 * @param  {Boolean}          [options.dryRun=false]         only report what would change
+	 * @param  {Function}         cb
+	 * @return {void}
+	 */
+	synchronize(metadataRegistry, options, cb) {
+
+		options = options || {};
+
+		let indexes;
+
+		try {
+			indexes = this.buildCollectionIndexes(metadataRegistry);
+		} catch (err) {
+			cb(err, null);
+			return;
+		}
+
+		const report = {};
+		const errors = [];
+
+		async.eachSeries(Object.keys(indexes), (collection, callback) => {
+
+			this.synchronizeCollection(collection, indexes[collection], options, (err, collectionReport) => {
+
+				if (err) {
+					errors.push({ collection: collection, index: '*', error: err });
+				} else {
+					report[collection] = collectionReport;
+					collectionReport.errors.forEach(failure => errors.push(failure));
+					delete collectionReport.errors;
+				}
+
+				callback(null);
+			});
+
+		}, () => {
+			cb(errors.length !== 0 ? new IndexSyncError(errors) : null, report);
+		});
+	}
+
+	/**
+	 * Synchronize the indexes of a single collection
+	 *
+	 * @param  {String}        collection
+	 * @param  {Array<Object>} declared   the normalized index declarations
+	 * @param  {Object}        options
+	 * @param  {Function}      cb
+	 * @return {void}
+	 */
+	synchronizeCollection(collection, declared, options, cb) {
+
+		this.connection.collection(collection, (err, coll) => {
+
+			if (err) {
+				cb(err);
+				return;
+			}
+
+			coll.indexes((err, existing) => {
+
+				// the collection does not exist yet (NamespaceNotFound)
+				if (err && err.code === 26) {
+					err = null;
+					existing = [];
+				}
+
+				if (err) {
+					cb(err);
+					return;
+				}
+
+				const diff = this.diff(declared, existing || []);
+
+				const report = {
+					created: [],
+					dropped: [],
+					changed: diff.changed.map(index => index.name),
+					undeclared: diff.undeclared.map(index => index.name),
+					errors: []
+				};
+
+				const drop = options.dropUndeclared ? diff.undeclared.concat(diff.changed) : [];
+				const create = options.dropUndeclared ? diff.create.concat(diff.changed) : diff.create;
+
+				if (!options.dropUndeclared) {
+					diff.changed.forEach(index => this.log('warn',
+						'index ' + collection + '.' + index.name + ' does not match its declaration, enable dropUndeclared to rebuild it'));
+				}
+
+				if (options.dryRun) {
+					report.dropped = drop.map(index => index.name);
+					report.created = create.map(index => index.name);
+					this.log('info', 'index dry run [' + collection + ']: ' + JSON.stringify(report));
+					cb(null, report);
+					return;
+				}
+
+				async.series([
+
+					callback => async.eachSeries(drop, (index, done) => {
+						coll.dropIndex(index.name, err => {
+							if (err) {
+								report.errors.push({ collection: collection, index: index.name, error: err });
+							} else {
+								report.dropped.push(index.name);
+								this.log('debug', 'dropped index ' + collection + '.' + index.name);
+							}
+							done(null);
+						});
+					}, callback),
+
+					callback => async.eachSeries(create, (index, done) => {
+						coll.createIndex(index.key, index.options, err => {
+							if (err) {
+								report.errors.push({ collection: collection, index: index.name, error: err });
+							} else {
+								report.created.push(index.name);
+								this.log('debug', 'created index ' + collection + '.' + index.name);
+							}
+							done(null);
+						});
+					}, callback)
+
+				], () => cb(null, report));
+			});
+		});
+	}
+
+	/**
+	 * Compare declared indexes to the existing ones
+	 *
+	 * @param  {Array<Object>} declared
+	 * @param  {Array<Object>} existing the result of collection.indexes()
+	 * @return {{create: Array, changed: Array, undeclared: Array}}
+	 */
+	diff(declared, existing) {
+
+		const existingByName = {};
+		existing.forEach(index => {
+			existingByName[index.name] = index;
+		});
+
+		const declaredNames = declared.map(index => index.name);
+
+		return {
+			create: declared.filter(index => !existingByName[index.name]),
+			changed: declared.filter(index => existingByName[index.name] &&
+				!this.isSameIndex(index, existingByName[index.name])),
+			undeclared: existing.filter(index => index.name !== '_id_' && declaredNames.indexOf(index.name) === -1)
+		};
+	}
+
+	/**
+	 * See if an existing index matches a declaration
+	 *
+	 * @param  {Object}  declared
+	 * @param  {Object}  existing
+	 * @return {Boolean}
+	 */
+	isSameIndex(declared, existing) {
+
+		const options = declared.options;
+		if (this.isTextIndex(declared)) {
+			if (!existing.key || existing.key._fts !== 'text') {
+				return false;
+			}
+			// the indexed fields are only listed in the weights of the existing index
+			const textFields = Object.keys(declared.key).filter(field => declared.key[field] === 'text');
+			if (!_.isEqual(textFields.sort(), Object.keys(existing.weights || {}).sort())) {
+				return false;
+			}
+			if (options.weights && !_.isEqual(options.weights, _.pick(existing.weights, Object.keys(options.weights)))) {
+				return false;
+			}
+		} else if (!_.isEqual(_.toPairs(declared.key), _.toPairs(existing.key))) {
+			return false;
+		}
+
+		if (!!options.unique !== !!existing.unique || !!options.sparse !== !!existing.sparse) {
+			return false;
+		}
+
+		if (options.expireAfterSeconds !== existing.expireAfterSeconds) {
+			return false;
+		}
+
+		if (!_.isEqual(options.partialFilterExpression, existing.partialFilterExpression)) {
+			return false;
+		}
+
+		if (options.collation && !_.isEqual(options.collation,
+				_.pick(existing.collation || {}, Object.keys(options.collation)))) {
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Build the normalized index declarations for every collection in a registry
+	 *
+	 * @param  {MetadataRegistry} metadataRegistry
+	 * @return {Object} hash of collection name to index declarations
+	 */
+	buildCollectionIndexes(metadataRegistry) {
+
+		const indexes = {};
+
+		for (const i in metadataRegistry.metas) {
+
+			const metadata = metadataRegistry.metas[i];
+
+			if (!metadata || !metadata.collection || metadata.isEmbedded) {
+				continue;
+			}
+
+			if (!indexes[metadata.collection]) {
+				indexes[metadata.collection] = [];
+			}
+
+			const collectionIndexes = indexes[metadata.collection];
+
+			// documents sharing a collection (inheritance) can declare the same index
+			this.buildIndexes(metadata).forEach(index => {
+				if (!collectionIndexes.some(other => other.name === index.name)) {
+					collectionIndexes.push(index);
+				}
+			});
+		}
+
+		Object.keys(indexes).forEach(collection => {
+
+			const textIndexes = indexes[collection].filter(index => this.isTextIndex(index));
+
+			if (textIndexes.length > 1) {
+				throw new Error('The collection ' + collection + ' can only have one text index, found: ' +
+					textIndexes.map(index => index.name).join(', '));
+			}
+		});
+
+		return indexes;
+	}
+
+	/**
+	 * Build the normalized index declarations for a document
+	 *
+	 * @param  {Metadata} metadata
+	 * @return {Array<{name: String, key: Object, options: Object}>}
+	 */
+	buildIndexes(metadata) {
+
+		const metaIndexes = metadata.indexes || {};
+		const declarations = [];
+		const textFields = {};
+
+		(metaIndexes.single || []).forEach(index => {
+
+			// merged in to one text index
+			if (index.type === 'text') {
+				textFields[index.field] = 'text';
+				return;
+			}
+
+			const fields = {};
+			fields[index.field] = index.type || index.direction || 1;
+			declarations.push(Object.assign({}, index, { fields: fields }));
+		});
+
+		if (Object.keys(textFields).length !== 0) {
+			declarations.push({ fields: textFields });
+		}
+
+		(metaIndexes.compound || []).forEach(index => declarations.push(index));
+
+		(getAdapterMetadata(metadata).indexes || []).forEach(index => declarations.push(index));
+
+		const text = getAdapterMetadata(metadata).text;
+
+		if (text) {
+			declarations.push(this.buildTextDeclaration(metadata, text));
+		}
+
+		if (getAdapterMetadata(metadata).geoIndexes !== false) {
+			metadata.fields.filter(field => GeoJSON.isFieldType(field.type)).forEach(field => {
+				if (!declarations.some(declaration => this.isGeoDeclaration(declaration, field.property))) {
+					const fields = {};
+					fields[field.property] = '2dsphere';
+					declarations.push({ fields: fields });
+				}
+			});
+		}
+
+		return declarations.map(declaration => this.normalizeIndex(metadata, declaration));
+	}
+
+	/**
+	 * Build the index declaration of a document's text index
+	 *
+	 * @param  {Metadata} metadata
+	 * @param  {Object}   text     see metadata.adapters['bass-mongodb'].text
+	 * @return {Object}
+	 * @throws Error
+	 */
+	buildTextDeclaration(metadata, text) {
+
+		const properties = Array.isArray(text.fields) ? text.fields : Object.keys(text.fields || {});
+
+		if (properties.length === 0) {
+			throw new Error('Invalid text index declaration on ' + metadata.name + ': ' + JSON.stringify(text));
+		}
+
+		const fields = {};
+		properties.forEach(property => {
+			fields[property] = 'text';
+		});
+
+		const declaration = Object.assign({}, text, { fields: fields });
+
+		if (!Array.isArray(text.fields)) {
+			declaration.weights = Object.assign({}, text.fields, text.weights);
+		}
+
+		return declaration;
+	}
+
+	/**
+	 * See if an index declaration has a geo index on a property
+	 *
+	 * @param  {Object}  declaration
+	 * @param  {String}  property
+	 * @return {Boolean}
+	 */
+	isGeoDeclaration(declaration, property) {
+		const fields = declaration.fields;
+		return fields instanceof Object && !Array.isArray(fields) &&
+			(fields[property] === '2dsphere' || fields[property] === '2d');
+	}
+
+	/**
+	 * See if a normalized index is a text index
+	 *
+	 * @param  {{key: Object}} index
+	 * @return {Boolean}
+	 */
+	isTextIndex(index) {
+		return Object.keys(index.key).some(field => index.key[field] === 'text');
+	}
+
+	/**
+	 * Normalize an index declaration in to a key, name and driver options
+	 *
+	 * @param  {Metadata} metadata
+	 * @param  {Object}   declaration
+	 * @return {{name: String, key: Object, options: Object}}
+	 * @throws Error
+	 */
+	normalizeIndex(metadata, declaration) {
+
+		let fields = declaration.fields;
+
+		if (typeof fields === 'string') {
+			fields = [fields];
+		}
+
+		if (Array.isArray(fields)) {
+			fields = fields.reduce((obj, field) => {
+				obj[field] = 1;
+				return obj;
+			}, {});
+		}
+
+		if (!(fields instanceof Object) || Object.keys(fields).length === 0) {
+			throw new Error('Invalid index declaration on ' + metadata.name + ': ' + JSON.stringify(declaration));
+		}
+
+		const key = {};
+		Object.keys(fields).forEach(property => {
+			key[this.mapFieldName(metadata, property)] = fields[property];
+		});
+
+		const options = {
+			name: declaration.name || Object.keys(key).map(field => field + '_' + key[field]).join('_')
+		};
+
+		if (declaration.unique || declaration.isUnique) {
+			options.unique = true;
+		}
+
+		if (declaration.sparse || declaration.isSparse) {
+			options.sparse = true;
+		}
+
+		if (declaration.expireAfterSeconds !== undefined && declaration.expireAfterSeconds !== null) {
+			options.expireAfterSeconds = declaration.expireAfterSeconds;
+		}
+
+		if (declaration.partialFilterExpression) {
+			options.partialFilterExpression = declaration.partialFilterExpression;
+		}
+
+		if (declaration.collation) {
+			options.collation = declaration.collation;
+		}
+
+		if (declaration.weights) {
+			options.weights = {};
+			Object.keys(declaration.weights).forEach(property => {
+				options.weights[this.mapFieldName(metadata, property)] = declaration.weights[property];
+			});
+		}
+
+		if (declaration.defaultLanguage) {
+			options.default_language = declaration.defaultLanguage;
+		}
+
+		if (declaration.languageOverride) {
+			options.language_override = declaration.languageOverride;
+		}
+
+		return { name: options.name, key: key, options: options };
+	}
+
+	/**
+	 * Map a (dot notation) property name to its field name
+	 *
+	 * @param  {Metadata} metadata
+	 * @param  {String}   property
+	 * @return {String}
+	 */
+	mapFieldName(metadata, property) {
+		const parts = property.split('.');
+		parts[0] = metadata.getFieldNameByProperty(parts[0]) || parts[0];
+		return parts.join('.');
+	}
+
+	/**
+	 * Log a message if we have a logger
+	 *
+	 * @param  {String} level
+	 * @param  {String} message
+	 * @return {void}
+	 */
+	log(level, message) {
+		if (this.logger && typeof this.logger[level] === 'function') {
+			this.logger[level]('[bass-mongodb] - ' + message);
+		}
+	}
+};
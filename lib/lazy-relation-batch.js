@@ -0,0 +1,202 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * The LazyRelationBatch loads a lazy relation for all the models of a result set at once
+ *
+ * The relation of a model is undefined (and not enumerable) until it is loaded with
+ * LazyRelationBatch.load(), which loads the related documents of every model in the batch that
+ * has not loaded them yet with a single query. The relation is then a plain property with the
+ * related model (or array of models for one-to-many relations):
+ *
+ *     const author = await LazyRelationBatch.load(post, 'author'); // loads the authors of every post
+ *     post.author.name;                                              // loaded
+ *
+ * Assigning the property replaces the relation without loading it. The database ids of relations
+ * that were not loaded are kept in model.__lazyRelations so that they are persisted untouched.
+ */
+module.exports = class LazyRelationBatch {
+
+	/**
+	 *
+	 * @param {Boolean}  isMany whether this is a one-to-many relation
+	 * @param {Function} load   load(ids, cb) calls back with the related models for the database ids
+	 * @param {Function} getId  getId(model) returns the id of a related model
+	 */
+	constructor(isMany, load, getId) {
+
+		/**
+		 * @type {Boolean}
+		 */
+		this.isMany = isMany;
+
+		/**
+		 * @type {Function}
+		 */
+		this.loader = load;
+
+		/**
+		 * @type {Function}
+		 */
+		this.getId = getId;
+
+		/**
+		 * The relations that were not loaded yet
+		 *
+		 * @type {Array<Object>}
+		 */
+		this.entries = [];
+
+		/**
+		 * The load that is running
+		 *
+		 * @type {Promise|null}
+		 */
+		this.promise = null;
+	}
+
+	/**
+	 * Load a relation of a model, lazy relations of the model's batch that were not loaded yet
+	 * are loaded first, other relations are returned as they are
+	 *
+	 * @param  {Object} model
+	 * @param  {String} property
+	 * @return {Promise} resolves with the related model(s)
+	 */
+	static load(model, property) {
+
+		const entry = model.__lazyRelations && model.__lazyRelations[property];
+
+		if (!entry || entry.isLoaded) {
+			return Promise.resolve(model[property]);
+		}
+
+		return entry.batch.load().then(() => model[property]);
+	}
+
+	/**
+	 * Replace a model's relation with a lazy accessor
+	 *
+	 * @param  {Object}        model
+	 * @param  {String}        property
+	 * @param  {Array<*>}      ids      the database ids of the related documents
+	 * @return {void}
+	 */
+	attach(model, property, ids) {
+
+		const entry = {
+			batch: this,
+			model: model,
+			property: property,
+			ids: ids,
+			isLoaded: false
+		};
+
+		if (!model.__lazyRelations) {
+			Object.defineProperty(model, '__lazyRelations', { value: {}, writable: false, enumerable: false });
+		}
+
+		model.__lazyRelations[property] = entry;
+
+		Object.defineProperty(model, property, {
+			get: () => undefined,
+			set: value => this.resolve(entry, value),
+			enumerable: false,
+			configurable: true
+		});
+
+		this.entries.push(entry);
+	}
+
+	/**
+	 * Load the relations of every model in the batch that were not loaded yet
+	 *
+	 * @return {Promise}
+	 */
+	load() {
+
+		if (this.promise !== null) {
+			return this.promise;
+		}
+
+		const entries = this.entries.filter(entry => !entry.isLoaded);
+		const ids = [];
+		const seen = {};
+
+		entries.forEach(entry => entry.ids.forEach(id => {
+			if (!seen[String(id)]) {
+				seen[String(id)] = true;
+				ids.push(id);
+			}
+		}));
+
+		this.promise = new Promise((resolve, reject) => {
+
+			if (ids.length === 0) {
+				resolve([]);
+				return;
+			}
+
+			this.loader(ids, (err, models) => err ? reject(err) : resolve(models || []));
+
+		}).then(models => {
+
+			const modelMap = {};
+
+			models.forEach(model => {
+				modelMap[String(this.getId(model))] = model;
+			});
+
+			entries.forEach(entry => {
+
+				// assigned while loading
+				if (entry.isLoaded) {
+					return;
+				}
+
+				const related = entry.ids.map(id => modelMap[String(id)]).filter(model => model);
+
+				this.resolve(entry, this.isMany ? related : (related[0] || null));
+			});
+
+			this.entries = this.entries.filter(entry => !entry.isLoaded);
+
+		}).then(() => {
+
+			this.promise = null;
+
+		}, err => {
+
+			// allow the next load to try again
+			this.promise = null;
+			throw err;
+		});
+
+		return this.promise;
+	}
+
+	/**
+	 * Replace the accessor of a relation with its value
+	 *
+	 * @param  {Object} entry
+	 * @param  {*}      value
+	 * @return {void}
+	 */
+	resolve(entry, value) {
+
+		entry.isLoaded = true;
+
+		Object.defineProperty(entry.model, entry.property, {
+			value: value,
+			writable: true,
+			enumerable: true,
+			configurable: true
+		});
+	}
+};
@@ -0,0 +1,283 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local modules
+const getAdapterRelations = require('./util/adapter-relations');
+const getRelationFetch = require('./util/relation-fetch');
+const getRelationOrder = require('./util/relation-order');
+
+/**
+ * The LookupBuilder compiles the relations to populate in to $lookup stages
+ *
+ * Relations are given as property paths, "*" stands for every (eager) relation of a document:
+ *
+ *     ['author', 'comments', 'comments.author']  // the author, and the comments with their author
+ *     ['*']                                      // every relation, as deep as the depth
+ *
+ * The related documents of every relation are added to the results in
+ * document.__populated[property], recursively for nested relations.
+ */
+module.exports = class LookupBuilder {
+
+	/**
+	 * The field that the related documents are looked up in to
+	 *
+	 * @type {String}
+	 */
+	static get populatedField() {
+		return '__populated';
+	}
+
+	/**
+	 *
+	 * @param {MetadataRegistry} metadataRegistry
+	 * @param {Mapper}           mapper
+	 */
+	constructor(metadataRegistry, mapper) {
+		this.metadataRegistry = metadataRegistry;
+		this.mapper = mapper;
+	}
+
+	/**
+	 * Build the $lookup stages for a document
+	 *
+	 * @param  {Metadata}      metadata
+	 * @param  {Array<String>} relations property paths
+	 * @param  {Number}        [depth]   how deep to populate, defaults to the deepest path (1 for "*")
+	 * @return {Array<Object>}
+	 * @throws {Error} for unknown relations
+	 */
+	build(metadata, relations, depth) {
+
+		const paths = [].concat(relations || []).map(path => String(path).split('.'));
+
+		if (!depth) {
+			depth = Math.max.apply(null, [1].concat(paths.map(path => path.length)));
+		}
+
+		return this.buildStages(metadata, paths, depth);
+	}
+
+	/**
+	 * Build the $lookup stages for one level of property paths
+	 *
+	 * @param  {Metadata}             metadata
+	 * @param  {Array<Array<String>>} paths
+	 * @param  {Number}               depth    the levels that are left
+	 * @return {Array<Object>}
+	 * @protected
+	 */
+	buildStages(metadata, paths, depth) {
+
+		if (depth < 1) {
+			return [];
+		}
+
+		// nested paths by relation property
+		const nested = {};
+
+		paths.forEach(path => {
+
+			const properties = path[0] === '*' ? this.getRelationProperties(metadata) : [path[0]];
+
+			// "*" continues on every level
+			const rest = path[0] === '*' && path.length === 1 ? ['*'] : path.slice(1);
+
+			properties.forEach(property => {
+				nested[property] = nested[property] || [];
+				if (rest.length !== 0) {
+					nested[property].push(rest);
+				}
+			});
+		});
+
+		return Object.keys(nested).map(property => {
+
+			const relation = this.getRelation(metadata, property);
+			const relationMetadata = this.metadataRegistry.getMetadataByName(relation.document);
+			const children = this.buildStages(relationMetadata, nested[property], depth - 1);
+
+			return { $lookup: this.buildLookup(metadata, relation, relationMetadata, children) };
+		});
+	}
+
+	/**
+	 * Build the $lookup of a relation
+	 *
+	 * @param  {Metadata}      metadata
+	 * @param  {Object}        relation         see getRelation()
+	 * @param  {Metadata}      relationMetadata
+	 * @param  {Array<Object>} children         the stages of the nested relations
+	 * @return {Object}
+	 * @protected
+	 */
+	buildLookup(metadata, relation, relationMetadata, children) {
+
+		const as = LookupBuilder.populatedField + '.' + relation.property;
+		const relatedId = '$' + relationMetadata.getIdFieldName();
+		const order = [];
+
+		if (relation.sort) {
+			order.push({ $sort: this.mapper.mapSortToDatabase(relationMetadata, relation.sort) });
+		}
+
+		// the limit of owning relations is applied in the order of their references, see Mapper
+		if (relation.limit && relation.type !== 'reference') {
+			order.push({ $limit: relation.limit });
+		}
+
+		if (relation.type === 'reference') {
+			return {
+				from: relationMetadata.collection,
+				let: { ids: this.buildRefIdsExpression('$' + relation.name, relation.isMany) },
+				pipeline: [{ $match: { $expr: { $in: [relatedId, '$$ids'] } } }].concat(order, children),
+				as: as
+			};
+		}
+
+		if (relation.type === 'mappedBy') {
+			return {
+				from: relationMetadata.collection,
+				let: { id: '$' + metadata.getIdFieldName() },
+				pipeline: [{
+					$match: { $expr: { $in: ['$$id', this.buildRefIdsExpression('$' + relation.backReference, relation.isBackReferenceMany)] } }
+				}].concat(order, children),
+				as: as
+			};
+		}
+
+		return {
+			from: relation.joinCollection,
+			let: { id: '$' + metadata.getIdFieldName() },
+			pipeline: [
+				{ $match: { $expr: { $eq: ['$' + relation.joinColumn, '$$id'] } } },
+				{
+					$lookup: {
+						from: relationMetadata.collection,
+						let: { relatedId: '$' + relation.inverseJoinColumn },
+						pipeline: [{ $match: { $expr: { $eq: [relatedId, '$$relatedId'] } } }],
+						as: 'document'
+					}
+				},
+				{ $unwind: '$document' },
+				{ $replaceRoot: { newRoot: '$document' } }
+			].concat(order, children),
+			as: as
+		};
+	}
+
+	/**
+	 * Build the expression for the ids of the DBRef (or array of DBRefs) in a field
+	 *
+	 * Aggregation field paths can not read a DBRef's $id, so it is read as the
+	 * second entry of the DBRef's key/value pairs. DBRefs hold object ids as hex strings,
+	 * they are converted to ObjectIDs (which needs MongoDB 4.0), other ids are kept as they
+	 * are, see Mapper.convertRefIdToDatabase()
+	 *
+	 * @param  {String}  field  the field path, ie. "$author"
+	 * @param  {Boolean} isMany
+	 * @return {Object}
+	 * @protected
+	 */
+	buildRefIdsExpression(field, isMany) {
+
+		const getId = ref => ({
+			$let: {
+				vars: { pair: { $arrayElemAt: [{ $objectToArray: ref }, 1] } },
+				in: { $convert: { input: '$$pair.v', to: 'objectId', onError: '$$pair.v', onNull: null } }
+			}
+		});
+
+		if (isMany) {
+			return { $map: { input: { $ifNull: [field, []] }, as: 'ref', in: getId('$$ref') } };
+		}
+
+		return { $cond: [{ $eq: [{ $type: field }, 'object'] }, [getId(field)], []] };
+	}
+
+	/**
+	 * Get the properties of the relations that "*" populates
+	 *
+	 * @param  {Metadata} metadata
+	 * @return {Array<String>}
+	 * @protected
+	 */
+	getRelationProperties(metadata) {
+
+		const relations = metadata.relations || {};
+
+		return Object.keys(relations['one-to-one'] || {})
+			.concat(Object.keys(relations['one-to-many'] || {}))
+			.concat(getAdapterRelations(metadata).map(relation => relation.property))
+			.filter(property => getRelationFetch(metadata, property) !== 'lazy');
+	}
+
+	/**
+	 * Get what is needed to look up a relation
+	 *
+	 * @param  {Metadata} metadata
+	 * @param  {String}   property
+	 * @return {Object}
+	 * @throws {Error} for unknown relations
+	 */
+	getRelation(metadata, property) {
+
+		const relations = metadata.relations || {};
+		const order = getRelationOrder(metadata, property);
+
+		if (relations['one-to-one'] && relations['one-to-one'][property]) {
+			const relation = relations['one-to-one'][property];
+			return {
+				property: property,
+				type: 'reference',
+				document: relation.document,
+				name: relation.column || relation.field,
+				isMany: false
+			};
+		}
+
+		if (relations['one-to-many'] && relations['one-to-many'][property]) {
+			const relation = relations['one-to-many'][property];
+			return {
+				property: property,
+				type: 'reference',
+				document: relation.document,
+				name: relation.field,
+				isMany: true,
+				sort: order.sort,
+				limit: order.limit
+			};
+		}
+
+		const relation = getAdapterRelations(metadata).find(adapterRelation => adapterRelation.property === property);
+
+		if (!relation) {
+			throw new Error('Can not populate unknown relation "' + metadata.name + '.' + property + '"');
+		}
+
+		if (relation.joinCollection) {
+			return Object.assign({}, relation, { type: 'join' });
+		}
+
+		const relationMetadata = this.metadataRegistry.getMetadataByName(relation.document);
+		const backRelations = relationMetadata.relations || {};
+		const backReference = this.mapper.getCriteriaRelation(relationMetadata, relation.mappedBy);
+
+		if (!backReference) {
+			throw new Error('Relation "' + metadata.name + '.' + property + '" is mapped by unknown relation "' +
+				relation.document + '.' + relation.mappedBy + '"');
+		}
+
+		return Object.assign({}, relation, {
+			type: 'mappedBy',
+			backReference: backReference,
+			isBackReferenceMany: !!(backRelations['one-to-many'] && backRelations['one-to-many'][relation.mappedBy])
+		});
+	}
+};
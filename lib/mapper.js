@@ -11,16 +11,67 @@
 const _ = require('lodash');
 const async = require('async');
 
-const { DBRef, ObjectID, Binary } = require('mongodb');
+const { DBRef, ObjectID } = require('mongodb');
 
 const { AdapterMapper } = require('bass');
 
+// local modules
+const ConversionError = require('./error/conversion-error');
+const GeoJSON = require('./mapping/geo-json');
+const LazyRelationBatch = require('./lazy-relation-batch');
+const getAdapterMetadata = require('./util/adapter-metadata');
+const getAdapterRelations = require('./util/adapter-relations');
+const getRelationCascade = require('./util/relation-cascade');
+const getRelationFetch = require('./util/relation-fetch');
+const getRelationOrder = require('./util/relation-order');
+const types = require('./mapping/types');
+
 module.exports = class Mapper extends AdapterMapper {
 
+	/**
+	 * The key of the mapped data that holds the related ids of join collection relations,
+	 * the client saves them in the join collections, see Client.saveJoins()
+	 *
+	 * @type {String}
+	 */
+	static get joinsKey() {
+		return '$joins';
+	}
+
+	/**
+	 * The key of the mapped data that holds the embedded documents as this mapper maps them,
+	 * a list of {name, property, value}, the client writes them in place of the ones bass maps
+	 * by their property names, see Client.createWriteData()
+	 *
+	 * @type {String}
+	 */
+	static get embedsKey() {
+		return '$embeds';
+	}
+
+	/**
+	 * The key of the mapped data that holds an error of mapping the model, bass ignores
+	 * mapping errors so the client fails the insert or update with it
+	 *
+	 * @type {String}
+	 */
+	static get mappingErrorKey() {
+		return '$mappingError';
+	}
+
 	/**
 	 * Map an object of criteria to the correct types for
 	 * the database to use
 	 *
+	 * Property names are renamed to their field names and every value is converted by its
+	 * field type, recursively through logical operators ($or, $and, $nor), comparison
+	 * operators ($in, $gt, $elemMatch, etc.) and dot notation paths
+	 *
+	 * Keys that are not properties, field names or paths of the document are passed to MongoDB
+	 * as is, so that fields that are not mapped (ie. written by other applications) can still be
+	 * queried. A misspelt property then matches no documents rather than being dropped from the
+	 * criteria, which would match (and update or remove) every document.
+	 *
 	 * @param  {Metadata} metadata
 	 * @param  {Object} criteria
 	 * @return {Object}
@@ -39,38 +90,605 @@ module.exports = class Mapper extends AdapterMapper {
 			const value = criteria[key];
 
 			if (key[0] === '$') {
-				// operators
-				// {$or: [{field: value}, {field: {$gte: value}}, {field: [value,list}}]}
-				// {$and: [ ... ]}
-				// {$not: [ ... ]}
-				// etc...
-				// TODO: map all values with their fields (just passing the criteria through for now)
-				dbCriteria[key] = value;
+				dbCriteria[key] = this.mapCriteriaOperatorToDatabase(metadata, key, value);
 				return;
 			}
 
-			let field = metadata.getFieldByProperty(key);
-			if (field) {
-				// mapped criteria field
-				dbCriteria[field.name] = this.convertModelValueToDbValue(field.type, value);
+			const mapped = this.mapCriteriaKeyToDatabase(metadata, key);
+
+			if (mapped.relation && this.isOperatorExpression(value) && value.$elemMatch instanceof Object &&
+				!this.isOperatorExpression(value.$elemMatch)) {
+
+				// {tags: {$elemMatch: {id: ...}}} matches the DBRefs of the relation, not their ids
+				dbCriteria[mapped.relation] = this.mapRelationElemMatchToDatabase(mapped.relation, value);
 				return;
 			}
 
-			const property = metadata.getPropertyByFieldName(key);
-			if (property) {
-				field = metadata.getFieldByProperty(property);
-				if (field && field.type === 'object' && key.indexOf('.') !== -1) {
-					// 'nested.field'
-					dbCriteria[field.name] = this.convertModelValueToDbValue(field.type, value);
-					return;
-				}
+			if (mapped.isRefId) {
+				dbCriteria[mapped.name] = this.mapRefIdCriteriaValueToDatabase(value);
+				return;
 			}
 
+			dbCriteria[mapped.name] = mapped.embed ?
+				this.mapEmbedCriteriaValueToDatabase(mapped.embed, value) :
+				this.mapCriteriaValueToDatabase(mapped.type, value);
 		});
 
 		return dbCriteria;
 	}
 
+	/**
+	 * Map a top level criteria operator
+	 *
+	 * {$or: [{field: value}, {field: {$gte: value}}]}, {$and: [ ... ]}, {$nor: [ ... ]}
+	 *
+	 * @param  {Metadata} metadata
+	 * @param  {String}   operator
+	 * @param  {*}        value
+	 * @return {*}
+	 */
+	mapCriteriaOperatorToDatabase(metadata, operator, value) {
+
+		switch (operator) {
+
+			case '$or':
+			case '$and':
+			case '$nor':
+				if (Array.isArray(value)) {
+					return value.map(criteria => this.mapCriteriaToDatabase(metadata, criteria));
+				}
+				return value;
+
+			case '$not':
+				return this.mapCriteriaToDatabase(metadata, value);
+
+			default:
+				// $text, $where, $expr, $comment, etc.
+				return value;
+		}
+	}
+
+	/**
+	 * Map a criteria key (a property, a field name or a dot notation path) to
+	 * the database name and the type of the value it holds
+	 *
+	 * Paths in to embedded documents are mapped by the embedded document's metadata, the
+	 * result then holds the embed when the key is an embedded document itself.
+	 *
+	 * @param  {Metadata} metadata
+	 * @param  {String}   key
+	 * @return {{name: String, type: String|null, embed: Object|undefined, isRefId: Boolean|undefined}}
+	 */
+	mapCriteriaKeyToDatabase(metadata, key) {
+
+		let field = metadata.getFieldByProperty(key);
+		let property = field ? key : metadata.getPropertyByFieldName(key);
+
+		if (property) {
+			field = metadata.getFieldByProperty(property);
+			const embed = this.getEmbed(metadata, property);
+			return embed ? { name: field.name, type: null, embed: embed } : { name: field.name, type: field.type };
+		}
+
+		const embed = this.getEmbed(metadata, key);
+		if (embed) {
+			return { name: key, type: null, embed: embed };
+		}
+
+		const relation = this.getCriteriaRelation(metadata, key);
+		if (relation) {
+			// a relation is stored as a DBRef, match it by its id
+			return { name: relation + '.$id', type: null, relation: relation, isRefId: true };
+		}
+
+		const parts = key.split('.');
+
+		if (parts.length > 1) {
+
+			// 'nested.path', rename the root, the rest of the path is only mapped for embedded documents
+			const root = parts.shift();
+			const mapped = this.mapCriteriaKeyToDatabase(metadata, root);
+			const path = parts.join('.');
+
+			if (mapped.name.slice(-4) === '.$id') {
+				// 'relation.id'
+				return { name: mapped.name.slice(0, -4) + '.' + (path === 'id' ? '$id' : path), type: null, isRefId: path === 'id' };
+			}
+
+			if (mapped.embed) {
+
+				// 'embeds.0.property', keep array positions
+				const position = /^(\d+|\$(\[\w*\])?)$/.test(parts[0]) ? parts.shift() + '.' : '';
+
+				if (parts.length === 0) {
+					return { name: mapped.name + '.' + position.slice(0, -1), type: null, embed: Object.assign({}, mapped.embed, { isMany: false }) };
+				}
+
+				const nested = this.mapCriteriaKeyToDatabase(mapped.embed.metadata, parts.join('.'));
+
+				return Object.assign({}, nested, { name: mapped.name + '.' + position + nested.name });
+			}
+
+			return this.mapObjectPathToDatabase(metadata, mapped.name, parts);
+		}
+
+		// not mapped, passed through as is, see mapCriteriaToDatabase()
+		return { name: key, type: null };
+	}
+
+	/**
+	 * Map a path below an object field
+	 *
+	 * The values of object fields are stored as is, apart from properties that are mapped to a
+	 * path in to the object, ie. @Bass:Field(name="stats.views"). Path segments are renamed to
+	 * those field names, by property or by field name, as deep as they are mapped.
+	 *
+	 * @param  {Metadata}      metadata
+	 * @param  {String}        name     the field name of the object field
+	 * @param  {Array<String>} parts    the rest of the path
+	 * @return {{name: String, type: String|null}}
+	 */
+	mapObjectPathToDatabase(metadata, name, parts) {
+
+		let type = null;
+
+		parts.forEach(part => {
+
+			const field = metadata.getFieldByProperty(part);
+
+			if (field && field.name.indexOf(name + '.') === 0 &&
+				field.name.slice(name.length + 1).indexOf('.') === -1) {
+
+				// the property of a field at this depth
+				name = field.name;
+				type = field.type;
+				return;
+			}
+
+			name += '.' + part;
+
+			const property = metadata.getPropertyByFieldName(name);
+			type = property ? metadata.getFieldByProperty(property).type : null;
+		});
+
+		return { name: name, type: type };
+	}
+
+	/**
+	 * Map an $elemMatch on the DBRefs of a one-to-many relation
+	 *
+	 * The element criteria can only match the DBRef, by the related document's id ("id" or
+	 * "$id") or its collection ("$ref"), other keys are passed as is.
+	 *
+	 * @param  {String} relation the field name of the relation
+	 * @param  {Object} value    the operator expression holding the $elemMatch
+	 * @return {Object}
+	 */
+	mapRelationElemMatchToDatabase(relation, value) {
+
+		const mapped = {};
+
+		Object.keys(value).forEach(operator => {
+
+			if (operator !== '$elemMatch') {
+				// $size, $exists, etc.
+				mapped[operator] = value[operator];
+				return;
+			}
+
+			mapped.$elemMatch = {};
+
+			Object.keys(value.$elemMatch).forEach(key => {
+
+				const operand = value.$elemMatch[key];
+
+				if (key === 'id' || key === '$id') {
+					mapped.$elemMatch.$id = this.mapRefIdCriteriaValueToDatabase(operand);
+				} else {
+					mapped.$elemMatch[key] = operand;
+				}
+			});
+		});
+
+		return mapped;
+	}
+
+	/**
+	 * Map a criteria value on the ids of a relation's DBRefs
+	 *
+	 * Ids are matched in every form they can have in a DBRef, see getRefIdVariants(), so
+	 * equality becomes $in and $ne becomes $nin. Lists match the stored ids exactly.
+	 *
+	 * @param  {*} value
+	 * @return {*}
+	 */
+	mapRefIdCriteriaValueToDatabase(value) {
+
+		const getVariants = ids => _.flatten(ids.map(id => this.getRefIdVariants(id)));
+
+		if (Array.isArray(value)) {
+			return value;
+		}
+
+		if (!this.isOperatorExpression(value)) {
+			return { $in: getVariants([value]) };
+		}
+
+		const mapped = {};
+
+		Object.keys(value).forEach(operator => {
+
+			const operand = value[operator];
+
+			switch (operator) {
+
+				case '$eq':
+					mapped.$in = getVariants([operand]);
+					break;
+
+				case '$ne':
+					mapped.$nin = getVariants([operand]);
+					break;
+
+				case '$in':
+				case '$nin':
+					mapped[operator] = Array.isArray(operand) ? getVariants(operand) : operand;
+					break;
+
+				case '$not':
+					mapped[operator] = this.isOperatorExpression(operand) ?
+						this.mapRefIdCriteriaValueToDatabase(operand) : operand;
+					break;
+
+				default:
+					// $exists, $type, $all, etc.
+					mapped[operator] = operand;
+					break;
+			}
+		});
+
+		return mapped;
+	}
+
+	/**
+	 * Map a (dot notation) property name to its database name, as used in
+	 * projections, relations are mapped to the field holding the DBRef
+	 *
+	 * @param  {Metadata} metadata
+	 * @param  {String}   property
+	 * @return {String}
+	 */
+	mapPropertyNameToDatabase(metadata, property) {
+		return this.getCriteriaRelation(metadata, property) ||
+			this.mapCriteriaKeyToDatabase(metadata, property).name;
+	}
+
+	/**
+	 * Get the database name of a DBRef relation by its property name
+	 *
+	 * @param  {Metadata} metadata
+	 * @param  {String}   property
+	 * @return {String|null}
+	 */
+	getCriteriaRelation(metadata, property) {
+
+		const relations = metadata.relations || {};
+
+		if (relations['one-to-one'] && relations['one-to-one'][property]) {
+			return relations['one-to-one'][property].column || relations['one-to-one'][property].field;
+		}
+
+		if (relations['one-to-many'] && relations['one-to-many'][property]) {
+			return relations['one-to-many'][property].field;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Map a criteria value (a plain value or an operator expression) by a field type
+	 *
+	 * @param  {String|null} type
+	 * @param  {*}           value
+	 * @return {*}
+	 */
+	mapCriteriaValueToDatabase(type, value) {
+
+		if (!type) {
+			return value;
+		}
+
+		// the coordinates of a geometry are not a list of values
+		if (Array.isArray(value) && !GeoJSON.isFieldType(type)) {
+			return value.map(val => this.convertValueToDatabase(type, val));
+		}
+
+		if (!this.isOperatorExpression(value)) {
+			return this.convertValueToDatabase(type, value);
+		}
+
+		const mapped = {};
+
+		Object.keys(value).forEach(operator => {
+
+			const operand = value[operator];
+
+			switch (operator) {
+
+				case '$eq':
+				case '$ne':
+				case '$gt':
+				case '$gte':
+				case '$lt':
+				case '$lte':
+					mapped[operator] = this.convertValueToDatabase(type, operand);
+					break;
+
+				case '$in':
+				case '$nin':
+				case '$all':
+					mapped[operator] = Array.isArray(operand) ?
+						operand.map(val => this.mapCriteriaValueToDatabase(type, val)) : operand;
+					break;
+
+				case '$not':
+					mapped[operator] = this.isOperatorExpression(operand) ?
+						this.mapCriteriaValueToDatabase(type, operand) : operand;
+					break;
+
+				case '$elemMatch':
+					// {$elemMatch: {$gte: 80}} matches values of the field's type, criteria on the
+					// documents of a field that is not an embedded document have no metadata to be
+					// mapped by and are passed as is, see mapEmbedCriteriaValueToDatabase() and
+					// mapRelationElemMatchToDatabase() for embedded and related documents
+					mapped[operator] = this.isOperatorExpression(operand) ?
+						this.mapCriteriaValueToDatabase(type, operand) : operand;
+					break;
+
+				case '$near':
+				case '$nearSphere':
+				case '$geoWithin':
+				case '$geoIntersects':
+					mapped[operator] = this.mapGeoOperandToDatabase(operand);
+					break;
+
+				default:
+					// $exists, $type, $size, $regex, $options, $mod, etc.
+					mapped[operator] = operand;
+					break;
+			}
+		});
+
+		return mapped;
+	}
+
+	/**
+	 * Map the operand of a geo operator, validating its GeoJSON $geometry
+	 *
+	 * Legacy shapes ($box, $polygon, $center, $centerSphere) and coordinate pairs are passed as is.
+	 *
+	 * @param  {*} operand
+	 * @return {*}
+	 * @throws {Error} for invalid geometries
+	 */
+	mapGeoOperandToDatabase(operand) {
+
+		if (!(operand instanceof Object) || !operand.$geometry) {
+			return operand;
+		}
+
+		return Object.assign({}, operand, { $geometry: GeoJSON.geometry(operand.$geometry) });
+	}
+
+	/**
+	 * Map a criteria value for an embedded document, matching a whole embedded
+	 * document or matching embedded documents with $elemMatch
+	 *
+	 * @param  {Object} embed see getEmbed()
+	 * @param  {*}      value
+	 * @return {*}
+	 */
+	mapEmbedCriteriaValueToDatabase(embed, value) {
+
+		if (!this.isOperatorExpression(value)) {
+
+			const data = this.mapEmbedToData(Object.assign({}, embed, { isMany: Array.isArray(value) }), value);
+			const error = ConversionError.find(data);
+
+			if (error) {
+				throw error.error;
+			}
+
+			return data;
+		}
+
+		const mapped = {};
+
+		Object.keys(value).forEach(operator => {
+
+			const operand = value[operator];
+
+			switch (operator) {
+
+				case '$elemMatch':
+					mapped[operator] = this.isOperatorExpression(operand) ?
+						operand : this.mapCriteriaToDatabase(embed.metadata, operand);
+					break;
+
+				case '$eq':
+				case '$ne':
+					mapped[operator] = this.mapEmbedCriteriaValueToDatabase(embed, operand);
+					break;
+
+				case '$in':
+				case '$nin':
+				case '$all':
+					mapped[operator] = Array.isArray(operand) ?
+						operand.map(val => this.mapEmbedCriteriaValueToDatabase(embed, val)) : operand;
+					break;
+
+				default:
+					// $exists, $size, $type, etc.
+					mapped[operator] = operand;
+					break;
+			}
+		});
+
+		return mapped;
+	}
+
+	/**
+	 * Get the embedded document of an embed-one or embed-many property
+	 *
+	 * @param  {Metadata} metadata
+	 * @param  {String}   property
+	 * @return {{metadata: Metadata, isMany: Boolean}|null}
+	 */
+	getEmbed(metadata, property) {
+
+		const embeds = metadata.embeds || {};
+		const one = embeds.one && embeds.one[property];
+		const many = embeds.many && embeds.many[property];
+
+		if ((!one && !many) || !this.registry) {
+			return null;
+		}
+
+		return {
+			metadata: this.registry.getMetadataByName((one || many).document),
+			isMany: !one
+		};
+	}
+
+	/**
+	 * Get the embed-one and embed-many properties of a document with their field names
+	 *
+	 * @param  {Metadata} metadata
+	 * @return {Array<{property: String, name: String, embed: Object}>}
+	 */
+	getEmbeddedProperties(metadata) {
+
+		const embeds = metadata.embeds || {};
+
+		return Object.keys(embeds.one || {}).concat(Object.keys(embeds.many || {})).map(property => {
+			const field = metadata.getFieldByProperty(property);
+			return { property: property, name: field ? field.name : property, embed: this.getEmbed(metadata, property) };
+		}).filter(property => property.embed !== null);
+	}
+
+	/**
+	 * Map an embedded model (or an array of them for embed-many) to data
+	 *
+	 * @param  {Object} embed see getEmbed()
+	 * @param  {*}      value
+	 * @return {*}
+	 */
+	mapEmbedToData(embed, value) {
+
+		if (embed.isMany) {
+			return Array.isArray(value) ? value.map(item => this.mapEmbeddedModelToData(embed.metadata, item)) : value;
+		}
+
+		return this.mapEmbeddedModelToData(embed.metadata, value);
+	}
+
+	/**
+	 * Map embedded data (or an array of it for embed-many) to a model
+	 *
+	 * @param  {Object} embed see getEmbed()
+	 * @param  {*}      value
+	 * @return {*}
+	 */
+	mapEmbedToModel(embed, value) {
+
+		if (embed.isMany) {
+			return Array.isArray(value) ? value.map(item => this.mapEmbeddedDataToModel(embed.metadata, item)) : value;
+		}
+
+		return this.mapEmbeddedDataToModel(embed.metadata, value);
+	}
+
+	/**
+	 * Map an embedded model to data, converting every field by its type
+	 * and nested embedded documents recursively
+	 *
+	 * @param  {Metadata} metadata the embedded document's metadata
+	 * @param  {Object}   model
+	 * @return {Object}
+	 */
+	mapEmbeddedModelToData(metadata, model) {
+
+		if (!(model instanceof Object)) {
+			return model;
+		}
+
+		const data = {};
+		const embedded = this.getEmbeddedProperties(metadata);
+
+		metadata.fields.forEach(field => {
+			if (model[field.property] !== undefined && !embedded.some(property => property.property === field.property)) {
+				data[field.name] = this.convertModelValueToDbValue(field.type, model[field.property]);
+			}
+		});
+
+		embedded.forEach(property => {
+			if (model[property.property] !== undefined) {
+				data[property.name] = this.mapEmbedToData(property.embed, model[property.property]);
+			}
+		});
+
+		return data;
+	}
+
+	/**
+	 * Map embedded data to a model of the embedded document, converting every
+	 * field by its type and nested embedded documents recursively
+	 *
+	 * @param  {Metadata} metadata the embedded document's metadata
+	 * @param  {Object}   data
+	 * @return {Object}
+	 */
+	mapEmbeddedDataToModel(metadata, data) {
+
+		if (!(data instanceof Object)) {
+			return data;
+		}
+
+		const model = typeof metadata.proto === 'function' ? new metadata.proto() : {};
+		const embedded = this.getEmbeddedProperties(metadata);
+
+		metadata.fields.forEach(field => {
+			if (data[field.name] !== undefined && !embedded.some(property => property.property === field.property)) {
+				model[field.property] = this.convertDbValueToModelValue(field.type, data[field.name]);
+			}
+		});
+
+		embedded.forEach(property => {
+			if (data[property.name] !== undefined) {
+				model[property.property] = this.mapEmbedToModel(property.embed, data[property.name]);
+			}
+		});
+
+		return model;
+	}
+
+	/**
+	 * See if a value is an operator expression, ie. {$gt: 5, $lt: 10}
+	 *
+	 * @param  {*}       value
+	 * @return {Boolean}
+	 */
+	isOperatorExpression(value) {
+
+		if (!(value instanceof Object) || Array.isArray(value) || value instanceof Date || value instanceof RegExp) {
+			return false;
+		}
+
+		const keys = Object.keys(value);
+
+		return keys.length !== 0 && keys.every(key => key[0] === '$');
+	}
+
 	/**
 	 * Convert a dot notation (such as used in find) to the appropiate mapped field name
 	 * @param {Metadata} metadata
@@ -90,133 +708,302 @@ module.exports = class Mapper extends AdapterMapper {
 	/**
 	 * Convert a Javascript value to a db value
 	 *
-	 * @param {String} type the field type (string, number, objectid, etc...)
+	 * Bass maps the fields of a model in driver callbacks, so a value that can not be converted
+	 * does not throw: its ConversionError is returned instead, and convertModelRelationsToData()
+	 * fails the write with it (see Mapper.mappingErrorKey), a Query fails in Client.findByQuery()
+	 *
+	 * @param {String} type the field type (string, number, objectid, etc...), see mapping/types
 	 * @param  {*} value
-	 * @return {*}
+	 * @return {*|ConversionError}
 	 */
 	convertModelValueToDbValue(type, value) {
 
-		if (value === undefined || value === null) {
-			return value;
+		try {
+			return this.convertValueToDatabase(type, value);
+		} catch (err) {
+			return new ConversionError(type, err);
 		}
+	}
 
-		let converted = value;
+	/**
+	 * Convert a Javascript value to a db value, used for criteria and ids
+	 *
+	 * Bass passes the conditions of a Query with operators it does not know, ie. the geo
+	 * operators of Query.withinBox(), as values, so they are mapped like criteria
+	 *
+	 * @param  {String} type the field type (string, number, objectid, etc...), see mapping/types
+	 * @param  {*}      value
+	 * @return {*}
+	 * @throws {Error} for values that can not be converted to the type
+	 */
+	convertValueToDatabase(type, value) {
 
-		switch (type){
-			case 'objectid':
-				if (!(value instanceof Object)) {
-					converted = new ObjectID(value);
-				}
-				break;
+		if (this.isOperatorExpression(value)) {
+			return this.mapCriteriaValueToDatabase(type, value);
+		}
 
-			case 'date':
-				if (!(value instanceof Date)) {
-					converted = new Date(value);
-					if (converted.toString() === 'Invalid Date') {
-						converted = value;
-					}
-				}
-				break;
+		return types.convertToDatabaseValue(type, value);
+	}
 
-			case 'binary':
-				if (!(value instanceof Binary)) {
-					if (!Buffer.isBuffer(value)) {
-						try {
-							value = Buffer.from(value);
-						} catch (e) {
-							console.error(e.stack || e);
-						}
-					}
-					value = new Binary(value);
+	/**
+	 * Convert a db value to a Javascript value
+	 *
+	 * @param {String} type the field type (string, number, objectid, etc...), see mapping/types
+	 * @param  {*} value
+	 * @return {*}
+	 */
+	convertDbValueToModelValue(type, value) {
+		return types.convertToJavascriptValue(type, value);
+	}
+
+	/**
+	 * Convert relations on a model to data to insert
+	 *
+	 * Related models are referenced by their ids, so the related models of relations that
+	 * cascade persist have to be persisted before the model, see util/cascade-persist. A related
+	 * model of such a relation that has no id fails the write, see Mapper.mappingErrorKey, as
+	 * does a field value that could not be converted, see convertModelValueToDbValue().
+	 * 
+	 * @param  {MetaData} metadata
+	 * @param  {Object}   model
+	 * @param  {Object}   data
+	 * @param  {Function} cb
+	 * @return {void}
+	 */
+	convertModelRelationsToData(metadata, model, data, cb) {
+
+		let error = null;
+
+		// related models of cascading relations without an id were not persisted before the model
+		const isPersisted = (relationMetadata, property, related) => {
+
+			const id = related[relationMetadata.idField || 'id'];
+
+			if (error || (id !== undefined && id !== null) || !getRelationCascade(metadata, property).persist) {
+				return true;
+			}
+
+			error = new Error('The related model of "' + metadata.name + '.' + property + '" has no id, ' +
+				'persist it before the model (see cascadePersist())');
+
+			return false;
+		};
+
+		// one-to-one
+		Object.keys(metadata.relations['one-to-one'] || {}).forEach(property => {
+
+			const relation = metadata.relations['one-to-one'][property];
+			const relationMetadata = this.registry.getMetadataByName(relation.document);
+			const lazy = this.getUnloadedRelation(model, property);
+
+			if (lazy) {
+				data[relation.column] = new DBRef(relationMetadata.collection, lazy.ids[0]);
+				return;
+			}
+
+			const related = model[property];
+
+			if (typeof related === 'undefined' || related === null) {
+				return;
+			}
+
+			if (isPersisted(relationMetadata, property, related)) {
+				data[relation.column] = this.createDBRef(relationMetadata, related);
+			}
+		});
+
+		// one-to-many
+		Object.keys(metadata.relations['one-to-many'] || {}).forEach(property => {
+
+			const relation = metadata.relations['one-to-many'][property];
+			const relationMetadata = this.registry.getMetadataByName(relation.document);
+			const lazy = this.getUnloadedRelation(model, property);
+
+			if (lazy) {
+				data[relation.field] = lazy.ids.map(id => new DBRef(relationMetadata.collection, id));
+				return;
+			}
+
+			// only part of the relation was loaded, leave it as it is
+			if (this.isTruncatedRelation(model, property)) {
+				return;
+			}
+
+			data[relation.field] = (model[property] || [])
+				.filter(oneToManyDoc => oneToManyDoc && isPersisted(relationMetadata, property, oneToManyDoc))
+				.map(oneToManyDoc => this.createDBRef(relationMetadata, oneToManyDoc));
+		});
+
+		// join collection relations
+		const joins = {};
+
+		getAdapterRelations(metadata).filter(relation => relation.joinCollection).forEach(relation => {
+
+			const property = relation.property;
+
+			if (!Array.isArray(model[property]) || this.isTruncatedRelation(model, property)) {
+				return;
+			}
+
+			const relationMetadata = this.registry.getMetadataByName(relation.document);
+			const idField = relationMetadata.getFieldByProperty(relationMetadata.idField);
+
+			joins[property] = model[property]
+				.filter(joinedDoc => joinedDoc && isPersisted(relationMetadata, property, joinedDoc))
+				.map(joinedDoc => joinedDoc[relationMetadata.idField])
+				.filter(id => id !== undefined && id !== null)
+				.map(id => idField ? this.convertValueToDatabase(idField.type, id) : id);
+		});
+
+		// embedded documents, bass maps embeds again by their property name after this, the
+		// client writes these under their field names instead, see Mapper.embedsKey
+		const embeds = this.getEmbeddedProperties(metadata).map(property => {
+
+			const isLoaded = !Array.isArray(model.__loadedFields) || model.__loadedFields.indexOf(property.name) !== -1;
+
+			return {
+				name: property.name,
+				property: property.property,
+				value: model[property.property] === undefined || !isLoaded ?
+					undefined : this.mapEmbedToData(property.embed, model[property.property])
+			};
+		});
+
+		// a model loaded with a projection only writes the fields it loaded,
+		// undefined fields are left out of the update
+		if (Array.isArray(model.__loadedFields)) {
+			Object.keys(data).forEach(name => {
+				if (model.__loadedFields.indexOf(name) === -1) {
+					data[name] = undefined;
 				}
-				break;
+			});
+		}
+
+		if (Object.keys(joins).length !== 0) {
+			data[Mapper.joinsKey] = joins;
+		}
+
+		if (embeds.length !== 0) {
+			data[Mapper.embedsKey] = embeds;
 		}
 
-		return converted;
+		// values that could not be converted to their field type, see convertModelValueToDbValue()
+		if (!error) {
+			error = ConversionError.find(data);
+		}
+
+		// bass does not handle mapping errors, the client fails the write
+		if (error) {
+			data[Mapper.mappingErrorKey] = error;
+		}
+
+		if (typeof cb === 'function') {
+			cb(error, data);
+		}
+	}
+
+	/**
+	 * Get a lazy relation of a model that was not loaded, see LazyRelationBatch
+	 *
+	 * @param  {Object} model
+	 * @param  {String} property
+	 * @return {Object|null}
+	 */
+	getUnloadedRelation(model, property) {
+		const lazy = model.__lazyRelations && model.__lazyRelations[property];
+		return lazy && !lazy.isLoaded ? lazy : null;
 	}
 
 	/**
-	 * Convert a db value to a Javascript value
+	 * Mark a to-many relation of a model that was cut off by its limit, so that it is not saved
 	 *
-	 * @param {String} type the field type (string, number, objectid, etc...)
-	 * @param  {*} value
-	 * @return {*}
+	 * @param  {Object} model
+	 * @param  {String} property
+	 * @return {void}
 	 */
-	convertDbValueToModelValue(type, value) {
+	markTruncatedRelation(model, property) {
 
-		if (value === undefined || value === null) {
-			return value;
+		if (!model.__truncatedRelations) {
+			Object.defineProperty(model, '__truncatedRelations', { value: {}, writable: false, enumerable: false });
 		}
 
-		let converted = value;
+		model.__truncatedRelations[property] = true;
+	}
 
-		switch (type) {
-			case 'objectid' :
-				if (value instanceof ObjectID || value.constructor === ObjectID || value.constructor.name === 'ObjectID') {
-					converted = value.toHexString();
-				}
-				break;
+	/**
+	 * See if a to-many relation of a model was cut off by its limit
+	 *
+	 * @param  {Object}  model
+	 * @param  {String}  property
+	 * @return {Boolean}
+	 */
+	isTruncatedRelation(model, property) {
+		return !!(model.__truncatedRelations && model.__truncatedRelations[property]);
+	}
 
-			case 'date' :
-				if (typeof value === 'string') {
-					converted = new Date(value);
-					if (converted.toString() === 'Invalid Date') {
-						converted = value;
-					}
-				}
-				break;
+	/**
+	 * Map a sort in property names to the database
+	 *
+	 * @param  {Metadata}    metadata
+	 * @param  {Object|null} sort     {property: 1|-1|'asc'|'desc'}
+	 * @return {Object|null}
+	 */
+	mapSortToDatabase(metadata, sort) {
 
-			case 'binary' :
-				if (value instanceof Binary) {
-					converted = Buffer.from(value.buffer);
-				}
-				break;
+		if (!sort) {
+			return null;
 		}
 
-		return converted;
+		const dbSort = {};
+
+		Object.keys(sort).forEach(property => {
+			const direction = String(sort[property]).toLowerCase();
+			dbSort[this.mapPropertyNameToDatabase(metadata, property)] =
+				direction === '-1' || direction === 'desc' ? -1 : 1;
+		});
+
+		return dbSort;
 	}
 
 	/**
-	 * Convert relations on a model to data to insert
-	 * 
-	 * @param  {MetaData} metadata
+	 * Create the DBRef to a related model
+	 *
+	 * @param  {Metadata} relationMetadata
 	 * @param  {Object}   model
-	 * @param  {Object}   data
-	 * @param  {Function} cb
-	 * @return {void}
+	 * @return {DBRef}
 	 */
-	convertModelRelationsToData(metadata, model, data, cb) {
-
-		var i,
-			relation,
-			relationMetadata;
+	createDBRef(relationMetadata, model) {
+		return new DBRef(relationMetadata.collection, model[relationMetadata.idField || 'id']);
+	}
 
-		// one-to-one
-		for (i in metadata.relations['one-to-one']){
+	/**
+	 * Get the forms a related id can have in a DBRef
+	 *
+	 * DBRefs hold the id of the related model as the model has it, a hex string for object
+	 * ids, but DBRefs that hold an ObjectID are matched as well.
+	 *
+	 * @param  {*} id
+	 * @return {Array<*>}
+	 */
+	getRefIdVariants(id) {
 
-			relation = metadata.relations['one-to-one'][i];
-			relationMetadata = this.registry.getMetadataByName(relation.document);
-			
-			if (typeof model[i] !== 'undefined' && model[i] !== null) {
-				data[relation.column] = new DBRef(relationMetadata.collection, model[i].id);
-			}
+		if (id instanceof ObjectID) {
+			return [id.toHexString(), id];
 		}
 
-		// one-to-many
-		for (i in metadata.relations['one-to-many']){
-			relation = metadata.relations['one-to-many'][i];
-			relationMetadata = this.registry.getMetadataByName(relation.document);
-
-			data[relation.field] = [];
+		const dbId = this.convertRefIdToDatabase(id);
 
-			model[i].forEach(function(oneToManyDoc){
-				data[relation.field].push(new DBRef(relationMetadata.collection, oneToManyDoc.id));
-			});
-		}
+		return dbId === id ? [id] : [id, dbId];
+	}
 
-		if (typeof cb === 'function') {
-			cb(null, data);
-		}
+	/**
+	 * Convert the id of a DBRef to the id of the related document, hex strings are object ids
+	 *
+	 * @param  {*} id
+	 * @return {*}
+	 */
+	convertRefIdToDatabase(id) {
+		return typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id) ? new ObjectID(id) : id;
 	}
 
 	/**
@@ -231,6 +1018,52 @@ module.exports = class Mapper extends AdapterMapper {
 	 */
 	mapPartialRelationsToModel(model, metadata, data, cb) {
 
+		// mark models that were loaded with a projection, see Client.markPartialDocuments()
+		if (Array.isArray(data.__loadedFields)) {
+			Object.defineProperty(model, '__loadedFields', {
+				value: data.__loadedFields,
+				writable: false,
+				enumerable: false
+			});
+		}
+
+		// related documents that were looked up with the data, see Client.findAggregated()
+		if (data.__populated instanceof Object) {
+			Object.defineProperty(model, '__populated', {
+				value: data.__populated,
+				writable: false,
+				enumerable: false
+			});
+		}
+
+		// the relevance of a text search, also set on the document's "textScore" property if it has one
+		if (typeof data.__textScore === 'number') {
+
+			Object.defineProperty(model, '__textScore', {
+				value: data.__textScore,
+				writable: false,
+				enumerable: false
+			});
+
+			if (getAdapterMetadata(metadata).textScore) {
+				model[getAdapterMetadata(metadata).textScore] = data.__textScore;
+			}
+		}
+
+		// the distance of a near query in meters, also set on the document's "distance" property if it has one
+		if (typeof data.__distance === 'number') {
+
+			Object.defineProperty(model, '__distance', {
+				value: data.__distance,
+				writable: false,
+				enumerable: false
+			});
+
+			if (getAdapterMetadata(metadata).distance) {
+				model[getAdapterMetadata(metadata).distance] = data.__distance;
+			}
+		}
+
 		var relations = metadata.getRelations();
 
 		var keys = Object.keys(metadata.relations['one-to-one']);
@@ -246,15 +1079,28 @@ module.exports = class Mapper extends AdapterMapper {
 			var relation = relations['one-to-many'][keys[i]];
 
 
-			model[relation.field] = data[relation.field].map(function(el){ return el.oid; });
+			if (Array.isArray(data[relation.field])) {
+				model[relation.field] = data[relation.field].map(function(el){ return el.oid; });
+			}
 		}
 
+		// embedded documents
+		this.getEmbeddedProperties(metadata).forEach(property => {
+			if (data[property.name] !== undefined) {
+				model[property.property] = this.mapEmbedToModel(property.embed, data[property.name]);
+			}
+		});
+
 		cb(null, model);
 	}
 
 	/**
 	 * Run queries on a collection of partial models and merge the related
 	 * models in to each model
+	 *
+	 * Lazy relations (see util/relation-fetch) are not loaded, they get an accessor that loads
+	 * them for all of the models on first access instead, see addLazyRelations(). Relations that
+	 * were populated by the query are mapped from the looked up documents, see addPopulatedCalls()
 	 * 
 	 * @param  {Manager}  manager
 	 * @param  {Metadata} metadata
@@ -272,8 +1118,16 @@ module.exports = class Mapper extends AdapterMapper {
 		var calls = [];
 		var self = this;
 
-		this.addOneToOneCalls(manager, metadata, data, calls);
-		this.addOneToManyCalls(manager, metadata, data, calls);
+		try {
+			this.addPopulatedCalls(manager, metadata, data, calls);
+			this.addLazyRelations(manager, metadata, data);
+			this.addOneToOneCalls(manager, metadata, data, calls);
+			this.addOneToManyCalls(manager, metadata, data, calls);
+			this.addAdapterRelationCalls(manager, metadata, data, calls);
+		} catch (err) {
+			cb(err);
+			return;
+		}
 
 		async.parallel(calls, function(err) {
 
@@ -286,6 +1140,188 @@ module.exports = class Mapper extends AdapterMapper {
 		});
 	}
 
+	/**
+	 * See if a relation of every partial model was populated by the query
+	 *
+	 * @param  {Array<Object>} data     the partial models
+	 * @param  {String}        property
+	 * @return {Boolean}
+	 */
+	isPopulatedRelation(data, property) {
+		return data.length !== 0 && data.every(model => model.__populated instanceof Object &&
+			Array.isArray(model.__populated[property]));
+	}
+
+	/**
+	 * Add the calls that map the populated relations of a collection of partial models
+	 *
+	 * The looked up documents of every relation are mapped at once, so that their own
+	 * populated relations are mapped the same way.
+	 *
+	 * @param  {Manager}       manager
+	 * @param  {Metadata}      metadata
+	 * @param  {Array<Object>} data     the partial models
+	 * @param  {Array}         calls
+	 * @return {void}
+	 */
+	addPopulatedCalls(manager, metadata, data, calls) {
+
+		const relations = metadata.relations;
+		const idField = metadata.getFieldByProperty(metadata.idField);
+		const adapterRelations = getAdapterRelations(metadata);
+
+		Object.keys(relations['one-to-one'] || {})
+			.concat(Object.keys(relations['one-to-many'] || {}))
+			.concat(adapterRelations.map(relation => relation.property))
+			.filter(property => this.isPopulatedRelation(data, property))
+			.forEach(property => {
+
+				const adapterRelation = adapterRelations.find(relation => relation.property === property);
+				const relation = adapterRelation || relations['one-to-one'][property] || relations['one-to-many'][property];
+				const relationMetadata = this.registry.getMetadataByName(relation.document);
+				const relatedIdFieldName = relationMetadata.getIdFieldName();
+
+				calls.push(cb => {
+
+					// every related document once
+					const documents = _.uniqBy(_.flatten(data.map(model => model.__populated[property])),
+						doc => String(doc[relatedIdFieldName]));
+
+					const ids = documents.map(doc => String(doc[relatedIdFieldName]));
+
+					const relationManager = manager.session.getManagerForModelName(relation.document);
+
+					relationManager.mapDataToModels(relationMetadata, documents, (err, models) => {
+
+						if (err) {
+							cb(err);
+							return;
+						}
+
+						const modelMap = {};
+
+						models.forEach((model, idx) => {
+							modelMap[ids[idx]] = model;
+						});
+
+						const getModels = model => model.__populated[property]
+							.map(doc => modelMap[String(doc[relatedIdFieldName])])
+							.filter(related => related);
+
+						if (adapterRelation) {
+
+							const related = {};
+
+							data.forEach(model => {
+								const id = model[metadata.idField];
+								related[String(idField ? this.convertValueToDatabase(idField.type, id) : id)] = getModels(model);
+							});
+
+							this.assignRelatedModels(metadata, adapterRelation, data, related);
+
+							// the lookup was limited, the relation may have been cut off
+							if (adapterRelation.limit) {
+								data.forEach(model => {
+									if ([].concat(model[property] || []).length >= adapterRelation.limit) {
+										this.markTruncatedRelation(model, property);
+									}
+								});
+							}
+
+						} else if (relations['one-to-one'][property]) {
+
+							data.forEach(model => {
+								model[relation.field] = getModels(model)[0] || null;
+							});
+
+						} else {
+
+							const order = getRelationOrder(metadata, property);
+
+							data.forEach(model => {
+
+								let related = getModels(model);
+
+								// in the order of the references unless the lookup was sorted
+								if (!order.sort) {
+									const refs = (Array.isArray(model[relation.field]) ? model[relation.field] : []).map(String);
+									related = refs.map(ref => related.find(doc => String(doc[relationMetadata.idField]) === ref))
+										.filter(doc => doc);
+								}
+
+								if (order.limit && related.length > order.limit) {
+									related = related.slice(0, order.limit);
+									this.markTruncatedRelation(model, relation.field);
+								}
+
+								model[relation.field] = related;
+							});
+						}
+
+						cb(null);
+					});
+				});
+			});
+	}
+
+	/**
+	 * Replace the lazy relations of a collection of partial models with accessors
+	 * that load them in one batch
+	 *
+	 * @param  {Manager}       manager
+	 * @param  {Metadata}      metadata
+	 * @param  {Array<Object>} data     the partial models
+	 * @return {void}
+	 */
+	addLazyRelations(manager, metadata, data) {
+
+		['one-to-one', 'one-to-many'].forEach(type => {
+
+			const isMany = type === 'one-to-many';
+
+			Object.keys(metadata.relations[type] || {}).forEach(property => {
+
+				if (getRelationFetch(metadata, property) !== 'lazy' || this.isPopulatedRelation(data, property)) {
+					return;
+				}
+
+				const relation = metadata.relations[type][property];
+				const relationMetadata = this.registry.getMetadataByName(relation.document);
+				const idPropertyName = relationMetadata.getIdPropertyName();
+
+				const load = (ids, cb) => {
+
+					const relationManager = manager.session.getManagerForModelName(relation.document);
+
+					relationManager.getRepository(relation.document).getReaderClient().findWhereIn(
+						relationMetadata, relationMetadata.getIdFieldName(), ids.map(id => this.convertRefIdToDatabase(id)),
+						null, null, (err, relatedData) => {
+
+							if (err) {
+								cb(err);
+								return;
+							}
+
+							relationManager.mapDataToModels(relationMetadata, relatedData, cb);
+						});
+				};
+
+				const batch = new LazyRelationBatch(isMany, load, model => model[idPropertyName]);
+
+				data.forEach(model => {
+
+					const value = model[relation.field];
+
+					if (isMany && Array.isArray(value)) {
+						batch.attach(model, relation.field, value);
+					} else if (!isMany && value !== null && typeof value !== 'undefined') {
+						batch.attach(model, relation.field, [value]);
+					}
+				});
+			});
+		});
+	}
+
 	addOneToOneCalls(manager, metadata, data, calls) {
 
 		// var start = new Date();
@@ -295,6 +1331,10 @@ module.exports = class Mapper extends AdapterMapper {
 		var keys = Object.keys(metadata.relations['one-to-one']);
 		for (var i = 0, j = keys.length; i < j; i++) {
 
+			if (getRelationFetch(metadata, keys[i]) === 'lazy' || self.isPopulatedRelation(data, keys[i])) {
+				continue;
+			}
+
 			var relation = metadata.relations['one-to-one'][keys[i]];
 			var relationMetadata = self.registry.getMetadataByName(relation.document);
 			var idFieldName = relationMetadata.getIdFieldName();
@@ -401,9 +1441,14 @@ module.exports = class Mapper extends AdapterMapper {
 		var keys = Object.keys(metadata.relations['one-to-many']);
 		for (var i = 0, j = keys.length; i < j; i++) {
 
+			if (getRelationFetch(metadata, keys[i]) === 'lazy' || self.isPopulatedRelation(data, keys[i])) {
+				continue;
+			}
+
 			var relation = metadata.relations['one-to-many'][keys[i]];
+			var order = getRelationOrder(metadata, keys[i]);
 
-			(function(data, relation) {
+			(function(data, relation, order) {
 
 				calls.push(function(cb){
 
@@ -426,7 +1471,9 @@ module.exports = class Mapper extends AdapterMapper {
 						var relationManager = manager.session.getManagerForModelName(relation.document);
 
 
-						relationManager.getRepository(relation.document).getReaderClient().findWhereIn(relationMetadata, idFieldName, ids, null, null, function(err, relatedData) {
+						var sort = self.mapSortToDatabase(relationMetadata, order.sort);
+
+						relationManager.getRepository(relation.document).getReaderClient().findWhereIn(relationMetadata, idFieldName, ids, sort, null, function(err, relatedData) {
 
 						
 							if (err) {
@@ -451,9 +1498,21 @@ module.exports = class Mapper extends AdapterMapper {
 
 										data.forEach(function(obj) {
 											var tmp = [];
-											obj[relation.field].forEach(function(id) {
-												tmp.push(docMap[id]);
-											});
+											if (sort) {
+												// keep the order of the query
+												var refs = obj[relation.field].map(String);
+												tmp = documents.filter(function(doc) {
+													return refs.indexOf(String(doc[relationMetadata.getIdPropertyName()])) !== -1;
+												});
+											} else {
+												obj[relation.field].forEach(function(id) {
+													tmp.push(docMap[id]);
+												});
+											}
+											if (order.limit && tmp.length > order.limit) {
+												tmp = tmp.slice(0, order.limit);
+												self.markTruncatedRelation(obj, relation.field);
+											}
 											obj[relation.field] = tmp;
 										});
 
@@ -468,7 +1527,7 @@ module.exports = class Mapper extends AdapterMapper {
 						cb(null);
 					}
 				});
-			})(data, relation);
+			})(data, relation, order);
 		}
 
 		// var end = new Date();
@@ -477,6 +1536,209 @@ module.exports = class Mapper extends AdapterMapper {
 		// console.log('add one-to-many calls: ' + metadata.name + ' - ' + time);
 	}
 
+	/**
+	 * Add the calls that load the inverse and join collection relations of a
+	 * collection of partial models, see util/adapter-relations
+	 *
+	 * @param  {Manager}       manager
+	 * @param  {Metadata}      metadata
+	 * @param  {Array<Object>} data     the partial models
+	 * @param  {Array}         calls
+	 * @return {void}
+	 */
+	addAdapterRelationCalls(manager, metadata, data, calls) {
+
+		const idField = metadata.getFieldByProperty(metadata.idField);
+
+		getAdapterRelations(metadata).filter(relation => !this.isPopulatedRelation(data, relation.property)).forEach(relation => {
+
+			calls.push(cb => {
+
+				const ids = data
+					.map(model => model[metadata.idField])
+					.filter(id => id !== undefined && id !== null)
+					.map(id => idField ? this.convertValueToDatabase(idField.type, id) : id);
+
+				const load = relation.mappedBy ?
+					this.loadMappedByRelation.bind(this) : this.loadJoinRelation.bind(this);
+
+				if (ids.length === 0) {
+					this.assignRelatedModels(metadata, relation, data, {});
+					cb(null);
+					return;
+				}
+
+				load(manager, metadata, relation, ids, (err, related) => {
+
+					if (!err) {
+						this.assignRelatedModels(metadata, relation, data, related);
+					}
+
+					cb(err || null);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Load the related models of an inverse relation, by the back reference of the related documents
+	 *
+	 * @param  {Manager}       manager
+	 * @param  {Metadata}      metadata
+	 * @param  {Object}        relation see util/adapter-relations
+	 * @param  {Array<*>}      ids      the database ids of the models
+	 * @param  {Function}      cb       receives the related models by model id
+	 * @return {void}
+	 */
+	loadMappedByRelation(manager, metadata, relation, ids, cb) {
+
+		const relationMetadata = this.registry.getMetadataByName(relation.document);
+		const backReference = this.getCriteriaRelation(relationMetadata, relation.mappedBy);
+
+		if (!backReference) {
+			cb(new Error('Relation "' + metadata.name + '.' + relation.property + '" is mapped by unknown relation "' +
+				relation.document + '.' + relation.mappedBy + '"'));
+			return;
+		}
+
+		const relationManager = manager.session.getManagerForModelName(relation.document);
+
+		relationManager.getRepository(relation.document).getReaderClient().findWhereIn(
+			relationMetadata, backReference + '.$id', _.flatten(ids.map(id => this.getRefIdVariants(id))),
+			this.mapSortToDatabase(relationMetadata, relation.sort), null,
+			(err, relatedData) => {
+
+				if (err) {
+					cb(err);
+					return;
+				}
+
+				// the references are gone once the data is mapped
+				const references = relatedData.map(doc => [].concat(doc[backReference] || [])
+					.filter(ref => ref && ref.oid !== undefined && ref.oid !== null)
+					.map(ref => String(ref.oid)));
+
+				relationManager.mapDataToModels(relationMetadata, relatedData, (err, documents) => {
+
+					if (err) {
+						cb(err);
+						return;
+					}
+
+					const related = {};
+
+					documents.forEach((doc, idx) => {
+						references[idx].forEach(id => {
+							related[id] = related[id] || [];
+							related[id].push(doc);
+						});
+					});
+
+					cb(null, related);
+				});
+			});
+	}
+
+	/**
+	 * Load the related models of a join collection relation
+	 *
+	 * @param  {Manager}       manager
+	 * @param  {Metadata}      metadata
+	 * @param  {Object}        relation see util/adapter-relations
+	 * @param  {Array<*>}      ids      the database ids of the models
+	 * @param  {Function}      cb       receives the related models by model id
+	 * @return {void}
+	 */
+	loadJoinRelation(manager, metadata, relation, ids, cb) {
+
+		const relationMetadata = this.registry.getMetadataByName(relation.document);
+		const relationManager = manager.session.getManagerForModelName(relation.document);
+		const ownerClient = manager.session.getManagerForModelName(metadata.name).getRepository(metadata.name).getReaderClient();
+
+		ownerClient.findJoins(relation.joinCollection, relation.joinColumn, ids, (err, rows) => {
+
+			if (err) {
+				cb(err);
+				return;
+			}
+
+			const relatedIds = _.uniqBy(rows.map(row => row[relation.inverseJoinColumn]), String);
+
+			if (relatedIds.length === 0) {
+				cb(null, {});
+				return;
+			}
+
+			relationManager.getRepository(relation.document).getReaderClient().findWhereIn(
+				relationMetadata, relationMetadata.getIdFieldName(), relatedIds,
+				this.mapSortToDatabase(relationMetadata, relation.sort), null, (err, relatedData) => {
+
+					if (err) {
+						cb(err);
+						return;
+					}
+
+					const relatedDataIds = relatedData.map(doc => String(doc[relationMetadata.getIdFieldName()]));
+
+					relationManager.mapDataToModels(relationMetadata, relatedData, (err, documents) => {
+
+						if (err) {
+							cb(err);
+							return;
+						}
+
+						const related = {};
+
+						ids.forEach(id => {
+
+							const joined = rows
+								.filter(row => String(row[relation.joinColumn]) === String(id))
+								.map(row => String(row[relation.inverseJoinColumn]));
+
+							// in the order of the query
+							related[String(id)] = documents.filter((doc, idx) => joined.indexOf(relatedDataIds[idx]) !== -1);
+						});
+
+						cb(null, related);
+					});
+				});
+		});
+	}
+
+	/**
+	 * Assign the loaded models of an inverse or join collection relation to their models
+	 *
+	 * @param  {Metadata}      metadata
+	 * @param  {Object}        relation see util/adapter-relations
+	 * @param  {Array<Object>} data     the partial models
+	 * @param  {Object}        related  the related models by model (database) id
+	 * @return {void}
+	 */
+	assignRelatedModels(metadata, relation, data, related) {
+
+		const idField = metadata.getFieldByProperty(metadata.idField);
+
+		data.forEach(model => {
+
+			const id = model[metadata.idField];
+			const dbId = id !== undefined && id !== null && idField ? this.convertValueToDatabase(idField.type, id) : id;
+
+			let models = related[String(dbId)] || [];
+
+			if (!relation.isMany) {
+				model[relation.property] = models[0] || null;
+				return;
+			}
+
+			if (relation.limit && models.length > relation.limit) {
+				models = models.slice(0, relation.limit);
+				this.markTruncatedRelation(model, relation.property);
+			}
+
+			model[relation.property] = models;
+		});
+	}
+
 
 
 	// convertDataRelationToDocument(metadata, fieldName, data, model, mapper, cb) {
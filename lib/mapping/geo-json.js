@@ -0,0 +1,200 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Validation of GeoJSON geometries, in to the { type, coordinates } objects that MongoDB stores
+ *
+ * Positions are [longitude, latitude] pairs (with an optional altitude), and can also be given as
+ * { lng, lat } / { longitude, latitude } objects. A polygon can be given as a single ring.
+ */
+const GeoJSON = module.exports = {
+
+	/**
+	 * The field types of the geometries, see mapping/types
+	 *
+	 * @type {Object} hash of field type to GeoJSON type, null for any geometry
+	 */
+	fieldTypes: {
+		'point': 'Point',
+		'multipoint': 'MultiPoint',
+		'linestring': 'LineString',
+		'multilinestring': 'MultiLineString',
+		'polygon': 'Polygon',
+		'multipolygon': 'MultiPolygon',
+		'geometry': null
+	},
+
+	/**
+	 * See if a field type is a geometry
+	 *
+	 * @param  {String}  type
+	 * @return {Boolean}
+	 */
+	isFieldType: function(type) {
+		return typeof type === 'string' && GeoJSON.fieldTypes.hasOwnProperty(type.toLowerCase());
+	},
+
+	/**
+	 * Validate a geometry
+	 *
+	 * @param  {Object|Array} value
+	 * @param  {String}       [type] the expected GeoJSON type, any geometry if it is not given
+	 * @return {Object}
+	 * @throws {Error} for invalid geometries, or geometries of another type
+	 */
+	geometry: function(value, type) {
+
+		if (Array.isArray(value) || GeoJSON.isPositionObject(value)) {
+			value = { type: type || 'Point', coordinates: value };
+		}
+
+		if (!(value instanceof Object) || typeof value.type !== 'string') {
+			throw new Error('Invalid GeoJSON geometry: ' + JSON.stringify(value));
+		}
+
+		if (type && value.type !== type) {
+			throw new Error('Expected a GeoJSON ' + type + ', got: ' + JSON.stringify(value));
+		}
+
+		const geometry = { type: value.type };
+
+		if (value.type === 'GeometryCollection') {
+
+			if (!Array.isArray(value.geometries)) {
+				throw new Error('Invalid GeoJSON GeometryCollection: ' + JSON.stringify(value));
+			}
+
+			geometry.geometries = value.geometries.map(member => GeoJSON.geometry(member));
+
+		} else {
+			geometry.coordinates = GeoJSON.coordinates(value.type, value.coordinates);
+		}
+
+		// a custom crs selects strict winding order for big polygons
+		if (value.crs) {
+			geometry.crs = value.crs;
+		}
+
+		return geometry;
+	},
+
+	/**
+	 * Validate the coordinates of a geometry type
+	 *
+	 * @param  {String} type
+	 * @param  {*}      coordinates
+	 * @return {Array}
+	 * @throws Error
+	 */
+	coordinates: function(type, coordinates) {
+
+		const list = (min, map) => {
+			if (!Array.isArray(coordinates) || coordinates.length < min) {
+				throw new Error('Invalid GeoJSON ' + type + ' coordinates: ' + JSON.stringify(coordinates));
+			}
+			return coordinates.map(map);
+		};
+
+		switch (type) {
+
+			case 'Point':
+				return GeoJSON.position(coordinates);
+
+			case 'MultiPoint':
+				return list(1, position => GeoJSON.position(position));
+
+			case 'LineString':
+				return list(2, position => GeoJSON.position(position));
+
+			case 'MultiLineString':
+				return list(1, line => GeoJSON.coordinates('LineString', line));
+
+			case 'Polygon':
+
+				// a single ring
+				if (Array.isArray(coordinates) && coordinates.length !== 0 &&
+					(GeoJSON.isPositionObject(coordinates[0]) || typeof (coordinates[0] || [])[0] === 'number')) {
+
+					coordinates = [coordinates];
+				}
+
+				return list(1, ring => GeoJSON.ring(ring));
+
+			case 'MultiPolygon':
+				return list(1, polygon => GeoJSON.coordinates('Polygon', polygon));
+
+			default:
+				throw new Error('Unknown GeoJSON type: ' + type);
+		}
+	},
+
+	/**
+	 * Validate a linear ring of a polygon, which has to be closed
+	 *
+	 * @param  {Array} ring
+	 * @return {Array}
+	 * @throws Error
+	 */
+	ring: function(ring) {
+
+		if (!Array.isArray(ring) || ring.length < 4) {
+			throw new Error('A GeoJSON polygon ring needs at least 4 positions: ' + JSON.stringify(ring));
+		}
+
+		const positions = ring.map(position => GeoJSON.position(position));
+		const first = positions[0];
+		const last = positions[positions.length - 1];
+
+		if (first[0] !== last[0] || first[1] !== last[1]) {
+			throw new Error('A GeoJSON polygon ring has to end with its first position: ' + JSON.stringify(ring));
+		}
+
+		return positions;
+	},
+
+	/**
+	 * Validate a position
+	 *
+	 * @param  {Array|Object} position [longitude, latitude] or { lng, lat }
+	 * @return {Array<Number>}
+	 * @throws {Error} for positions that are not numbers or out of range
+	 */
+	position: function(position) {
+
+		if (GeoJSON.isPositionObject(position)) {
+			position = [
+				[position.lng, position.lon, position.longitude].find(value => value !== undefined),
+				position.lat !== undefined ? position.lat : position.latitude
+			];
+		}
+
+		if (!Array.isArray(position) || position.length < 2 || position.length > 3 ||
+			position.some(value => typeof value !== 'number' || !isFinite(value))) {
+
+			throw new Error('Invalid GeoJSON position: ' + JSON.stringify(position));
+		}
+
+		if (position[0] < -180 || position[0] > 180 || position[1] < -90 || position[1] > 90) {
+			throw new Error('GeoJSON position out of range, expected [longitude, latitude]: ' + JSON.stringify(position));
+		}
+
+		return position.slice();
+	},
+
+	/**
+	 * See if a value is a position given as an object
+	 *
+	 * @param  {*}       value
+	 * @return {Boolean}
+	 */
+	isPositionObject: function(value) {
+		return value instanceof Object && !Array.isArray(value) && value.type === undefined &&
+			(value.lat !== undefined || value.latitude !== undefined);
+	}
+};
@@ -0,0 +1,113 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * The TypeRegistry holds the mapping types that convert field values
+ * between models and the database
+ *
+ * A type is an object with two functions, which are never called with null or undefined:
+ *
+ *     {
+ *         convertToDatabaseValue: function(value) { ... },   // model value to database value
+ *         convertToJavascriptValue: function(value) { ... }  // database value to model value
+ *     }
+ */
+module.exports = class TypeRegistry {
+
+	constructor() {
+
+		/**
+		 * Hash of type name to type
+		 *
+		 * @type {Object}
+		 */
+		this.types = {};
+	}
+
+	/**
+	 * Register a type, replacing a type with the same name
+	 *
+	 * @param  {String} name the field type name, as used in @Bass:Field(type="...")
+	 * @param  {Object} type
+	 * @return {TypeRegistry}
+	 * @throws Error
+	 */
+	register(name, type) {
+
+		if (typeof name !== 'string' || name.length === 0) {
+			throw new Error('A mapping type needs a name');
+		}
+
+		if (!type || typeof type.convertToDatabaseValue !== 'function' ||
+			typeof type.convertToJavascriptValue !== 'function') {
+			throw new Error('Mapping type "' + name + '" must implement convertToDatabaseValue and convertToJavascriptValue');
+		}
+
+		// field types are lower cased by bass
+		this.types[name.toLowerCase()] = type;
+
+		return this;
+	}
+
+	/**
+	 * Get a type by name
+	 *
+	 * @param  {String} name
+	 * @return {Object|null}
+	 */
+	get(name) {
+		return (typeof name === 'string' && this.types[name.toLowerCase()]) || null;
+	}
+
+	/**
+	 * See if a type is registered
+	 *
+	 * @param  {String}  name
+	 * @return {Boolean}
+	 */
+	has(name) {
+		return this.get(name) !== null;
+	}
+
+	/**
+	 * Convert a model value to a database value
+	 *
+	 * @param  {String} name  the type name
+	 * @param  {*}      value
+	 * @return {*}      the value as is if the type is unknown
+	 */
+	convertToDatabaseValue(name, value) {
+
+		const type = this.get(name);
+
+		if (!type || value === undefined || value === null) {
+			return value;
+		}
+
+		return type.convertToDatabaseValue(value);
+	}
+
+	/**
+	 * Convert a database value to a model value
+	 *
+	 * @param  {String} name  the type name
+	 * @param  {*}      value
+	 * @return {*}      the value as is if the type is unknown
+	 */
+	convertToJavascriptValue(name, value) {
+
+		const type = this.get(name);
+
+		if (!type || value === undefined || value === null) {
+			return value;
+		}
+
+		return type.convertToJavascriptValue(value);
+	}
+};
@@ -0,0 +1,40 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+const { Binary } = require('mongodb');
+
+/**
+ * Binaries are Buffers on models
+ */
+module.exports = {
+
+	convertToDatabaseValue: function(value){
+		if (value instanceof Binary) {
+			return value;
+		}
+		if (Buffer.isBuffer(value)) {
+			return new Binary(value);
+		}
+		// Buffer.from() also takes numbers and objects, which would not be what was meant
+		if (typeof value !== 'string' && !Array.isArray(value) && !(value instanceof ArrayBuffer) &&
+			!ArrayBuffer.isView(value)) {
+			throw new Error('Invalid binary: expected a Buffer, a string, an array of bytes or an ArrayBuffer, got ' +
+				(value === null ? 'null' : typeof value));
+		}
+		return new Binary(Buffer.from(value));
+	},
+
+	convertToJavascriptValue: function(value){
+		if (value instanceof Binary) {
+			return value.value(true);
+		}
+		return value;
+	}
+
+};
@@ -0,0 +1,31 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Dates are Date objects on models, strings and timestamps are parsed
+ */
+module.exports = {
+
+	convertToDatabaseValue: function(value){
+		if (value instanceof Date) {
+			return value;
+		}
+		const date = new Date(value);
+		return date.toString() === 'Invalid Date' ? value : date;
+	},
+
+	convertToJavascriptValue: function(value){
+		if (typeof value !== 'string') {
+			return value;
+		}
+		const date = new Date(value);
+		return date.toString() === 'Invalid Date' ? value : date;
+	}
+
+};
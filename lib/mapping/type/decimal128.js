@@ -0,0 +1,32 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+const { Decimal128 } = require('mongodb');
+
+/**
+ * Decimal128 values are strings on models, so that they keep their precision
+ * (ie. for amounts of money)
+ */
+module.exports = {
+
+	convertToDatabaseValue: function(value){
+		if (value instanceof Decimal128) {
+			return value;
+		}
+		return Decimal128.fromString(String(value));
+	},
+
+	convertToJavascriptValue: function(value){
+		if (value instanceof Decimal128 || value._bsontype === 'Decimal128') {
+			return value.toString();
+		}
+		return value;
+	}
+
+};
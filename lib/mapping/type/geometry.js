@@ -0,0 +1,33 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local modules
+const GeoJSON = require('../geo-json');
+
+/**
+ * Geometries are GeoJSON objects on models and in the database, the coordinates
+ * are validated on the way in, see geo-json
+ *
+ * @param  {String|null} geometryType the GeoJSON type, null for any geometry
+ * @return {Object}
+ */
+module.exports = function(geometryType) {
+
+	return {
+
+		convertToDatabaseValue: function(value){
+			return GeoJSON.geometry(value, geometryType || undefined);
+		},
+
+		convertToJavascriptValue: function(value){
+			return value;
+		}
+
+	};
+};
@@ -0,0 +1,33 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+const { Long } = require('mongodb');
+
+/**
+ * 64 bit integers are numbers on models, or strings when they are
+ * too large to be represented by a number
+ */
+module.exports = {
+
+	convertToDatabaseValue: function(value){
+		if (value instanceof Long) {
+			return value;
+		}
+		return typeof value === 'number' ? Long.fromNumber(value) : Long.fromString(String(value));
+	},
+
+	convertToJavascriptValue: function(value){
+		if (!(value instanceof Long || value._bsontype === 'Long')) {
+			return value;
+		}
+		const number = value.toNumber();
+		return Number.isSafeInteger(number) ? number : value.toString();
+	}
+
+};
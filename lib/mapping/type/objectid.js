@@ -1,11 +1,31 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+const { ObjectID } = require('mongodb');
+
+/**
+ * ObjectIDs are hex strings on models
+ */
 module.exports = {
 
 	convertToDatabaseValue: function(value){
-
+		if (value instanceof Object) {
+			return value;
+		}
+		return new ObjectID(value);
 	},
 
 	convertToJavascriptValue: function(value){
-		
+		if (value instanceof ObjectID || value._bsontype === 'ObjectID' || value.constructor.name === 'ObjectID') {
+			return value.toHexString();
+		}
+		return value;
 	}
 
-};
\ No newline at end of file
+};
@@ -0,0 +1,34 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+const { BSONRegExp } = require('mongodb');
+
+/**
+ * Regular expressions are RegExp objects on models, strings are either
+ * "/pattern/flags" or a pattern without flags
+ */
+module.exports = {
+
+	convertToDatabaseValue: function(value){
+		if (value instanceof RegExp || value instanceof BSONRegExp) {
+			return value;
+		}
+		const match = /^\/(.*)\/([a-z]*)$/.exec(String(value));
+		return match ? new RegExp(match[1], match[2]) : new RegExp(String(value));
+	},
+
+	convertToJavascriptValue: function(value){
+		if (value instanceof BSONRegExp || value._bsontype === 'BSONRegExp') {
+			// flags that javascript does not support (x, l) are dropped
+			return new RegExp(value.pattern, value.options.replace(/[^gimsuy]/g, ''));
+		}
+		return value;
+	}
+
+};
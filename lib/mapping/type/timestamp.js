@@ -0,0 +1,35 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+const { Timestamp } = require('mongodb');
+
+/**
+ * BSON timestamps are Dates on models (the increment is not kept)
+ */
+module.exports = {
+
+	convertToDatabaseValue: function(value){
+		if (value instanceof Timestamp) {
+			return value;
+		}
+		const date = value instanceof Date ? value : new Date(value);
+		if (isNaN(date.getTime())) {
+			throw new Error('Invalid timestamp: ' + value);
+		}
+		return Timestamp.fromBits(0, Math.floor(date.getTime() / 1000));
+	},
+
+	convertToJavascriptValue: function(value){
+		if (value instanceof Timestamp || value._bsontype === 'Timestamp') {
+			return new Date(value.getHighBits() * 1000);
+		}
+		return value;
+	}
+
+};
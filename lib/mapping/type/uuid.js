@@ -0,0 +1,37 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+const { Binary } = require('mongodb');
+
+/**
+ * UUIDs are strings on models ("xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx")
+ * and binaries of the UUID subtype in the database
+ */
+module.exports = {
+
+	convertToDatabaseValue: function(value){
+		if (value instanceof Binary) {
+			return value;
+		}
+		const hex = String(value).replace(/-/g, '');
+		if (!/^[0-9a-f]{32}$/i.test(hex)) {
+			throw new Error('Invalid UUID: ' + value);
+		}
+		return new Binary(Buffer.from(hex, 'hex'), Binary.SUBTYPE_UUID);
+	},
+
+	convertToJavascriptValue: function(value){
+		if (!(value instanceof Binary) || value.sub_type !== Binary.SUBTYPE_UUID) {
+			return value;
+		}
+		const hex = value.value(true).toString('hex');
+		return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join('-');
+	}
+
+};
@@ -0,0 +1,37 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local modules
+const GeoJSON = require('./geo-json');
+const TypeRegistry = require('./type-registry');
+const geometry = require('./type/geometry');
+
+/**
+ * The adapter's type registry, exposed as adapter.types so that
+ * applications can register their own types:
+ *
+ *     require('bass-mongodb').types.register('money', {
+ *         convertToDatabaseValue: value => ...,
+ *         convertToJavascriptValue: value => ...
+ *     });
+ *
+ * @type {TypeRegistry}
+ */
+module.exports = new TypeRegistry()
+	.register('objectid', require('./type/objectid'))
+	.register('date', require('./type/date'))
+	.register('binary', require('./type/binary'))
+	.register('decimal128', require('./type/decimal128'))
+	.register('long', require('./type/long'))
+	.register('uuid', require('./type/uuid'))
+	.register('regex', require('./type/regex'))
+	.register('timestamp', require('./type/timestamp'));
+
+// point, polygon, etc.
+Object.keys(GeoJSON.fieldTypes).forEach(name => module.exports.register(name, geometry(GeoJSON.fieldTypes[name])));
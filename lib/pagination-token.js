@@ -0,0 +1,123 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// third-party modules
+const { Decimal128, Long, ObjectID } = require('mongodb');
+
+/**
+ * The PaginationToken encodes the position of a keyset (seek) paginated query
+ *
+ * A token holds the sort specification and the sort values of the last result of a page,
+ * encoded as an opaque url safe string. ObjectIDs, Dates, Decimal128s and Longs keep their types.
+ */
+module.exports = class PaginationToken {
+
+	/**
+	 * Encode a token
+	 *
+	 * @param  {Object}        sort   the sort specification, ie. {created_at: -1, _id: -1}
+	 * @param  {Array<*>}      values the sort values of the last result, in the order of the sort
+	 * @return {String}
+	 */
+	static encode(sort, values) {
+
+		const json = JSON.stringify({
+			s: sort,
+			v: values.map(value => PaginationToken.encodeValue(value))
+		});
+
+		return Buffer.from(json, 'utf8').toString('base64')
+			.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+	}
+
+	/**
+	 * Decode a token for a sort specification
+	 *
+	 * @param  {String}   token
+	 * @param  {Object}   sort the sort specification of the query the token is used for
+	 * @return {Array<*>} the sort values
+	 * @throws Error      if the token is malformed or was created for a different sort
+	 */
+	static decode(token, sort) {
+
+		let decoded;
+
+		try {
+			decoded = JSON.parse(Buffer.from(
+				String(token).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+		} catch (e) {
+			decoded = null;
+		}
+
+		if (!decoded || !Array.isArray(decoded.v) || !(decoded.s instanceof Object)) {
+			throw new Error('Invalid pagination token: ' + token);
+		}
+
+		if (JSON.stringify(decoded.s) !== JSON.stringify(sort)) {
+			throw new Error('Invalid pagination token: the token was created for the sort ' + JSON.stringify(decoded.s) +
+				', not ' + JSON.stringify(sort));
+		}
+
+		return decoded.v.map(value => PaginationToken.decodeValue(value));
+	}
+
+	/**
+	 * Encode a single value, keeping its BSON type
+	 *
+	 * @param  {*} value
+	 * @return {*}
+	 */
+	static encodeValue(value) {
+
+		if (value instanceof ObjectID || (value instanceof Object && value._bsontype === 'ObjectID')) {
+			return { $oid: value.toHexString() };
+		}
+
+		if (value instanceof Date) {
+			return { $date: value.getTime() };
+		}
+
+		if (value instanceof Decimal128) {
+			return { $decimal: value.toString() };
+		}
+
+		if (value instanceof Long) {
+			return { $long: value.toString() };
+		}
+
+		return value === undefined ? null : value;
+	}
+
+	/**
+	 * Decode a single value
+	 *
+	 * @param  {*} value
+	 * @return {*}
+	 */
+	static decodeValue(value) {
+
+		if (value instanceof Object && typeof value.$oid === 'string') {
+			return new ObjectID(value.$oid);
+		}
+
+		if (value instanceof Object && typeof value.$date === 'number') {
+			return new Date(value.$date);
+		}
+
+		if (value instanceof Object && typeof value.$decimal === 'string') {
+			return Decimal128.fromString(value.$decimal);
+		}
+
+		if (value instanceof Object && typeof value.$long === 'string') {
+			return Long.fromString(value.$long);
+		}
+
+		return value;
+	}
+};
@@ -0,0 +1,237 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * The QueryPlan summarizes the explain output of a find or aggregation, see Client.explain()
+ *
+ *     {
+ *         stages: ['FETCH', 'IXSCAN'],         // the stages of the winning plan(s)
+ *         indexes: ['status_1'],               // the indexes that are used
+ *         isCollectionScan: false,             // a COLLSCAN stage reads every document
+ *         hasInMemorySort: false,              // a SORT stage sorts without an index
+ *         missingIndex: null,                  // an index key that would support the query
+ *         docsExamined: 12,                    // with executionStats, null otherwise
+ *         keysExamined: 12,
+ *         returned: 12,
+ *         executionTimeMillis: 1,
+ *         explain: { ... }                     // the raw explain output
+ *     }
+ */
+module.exports = class QueryPlan {
+
+	/**
+	 *
+	 * @param {Object} explain    the explain output
+	 * @param {Object} [criteria] the mapped criteria, to suggest a missing index
+	 * @param {Object} [sort]     the mapped sort, to suggest a missing index
+	 */
+	constructor(explain, criteria, sort) {
+
+		/**
+		 * The raw explain output
+		 *
+		 * @type {Object}
+		 */
+		this.explain = explain;
+
+		/**
+		 * The stages of the winning plan(s), from the top
+		 *
+		 * @type {Array<String>}
+		 */
+		this.stages = [];
+
+		/**
+		 * The names of the indexes that the winning plan(s) use
+		 *
+		 * @type {Array<String>}
+		 */
+		this.indexes = [];
+
+		this.findQueryPlanners(explain).forEach(planner => this.collectStages(planner.winningPlan));
+
+		/**
+		 * @type {Boolean}
+		 */
+		this.isCollectionScan = this.stages.indexOf('COLLSCAN') !== -1;
+
+		/**
+		 * @type {Boolean}
+		 */
+		this.hasInMemorySort = this.stages.indexOf('SORT') !== -1;
+
+		/**
+		 * An index key that would avoid the collection scan or in memory sort
+		 *
+		 * @type {Object|null}
+		 */
+		this.missingIndex = this.isCollectionScan || this.hasInMemorySort ?
+			this.suggestIndex(criteria || {}, sort || {}) : null;
+
+		const stats = this.findExecutionStats(explain);
+
+		/**
+		 * @type {Number|null}
+		 */
+		this.docsExamined = stats ? stats.totalDocsExamined : null;
+
+		/**
+		 * @type {Number|null}
+		 */
+		this.keysExamined = stats ? stats.totalKeysExamined : null;
+
+		/**
+		 * @type {Number|null}
+		 */
+		this.returned = stats ? stats.nReturned : null;
+
+		/**
+		 * @type {Number|null}
+		 */
+		this.executionTimeMillis = stats ? stats.executionTimeMillis : null;
+	}
+
+	/**
+	 * Find the query planner sections of a find, aggregation or sharded explain output
+	 *
+	 * @param  {Object} explain
+	 * @return {Array<Object>}
+	 * @protected
+	 */
+	findQueryPlanners(explain) {
+
+		if (!(explain instanceof Object)) {
+			return [];
+		}
+
+		if (explain.queryPlanner) {
+			return [explain.queryPlanner];
+		}
+
+		let planners = [];
+
+		// aggregations, the query of the first stage
+		(Array.isArray(explain.stages) ? explain.stages : []).forEach(stage => {
+			planners = planners.concat(this.findQueryPlanners(stage.$cursor || stage.$geoNearCursor));
+		});
+
+		// aggregations on sharded collections
+		Object.keys(explain.shards instanceof Object ? explain.shards : {}).forEach(shard => {
+			planners = planners.concat(this.findQueryPlanners(explain.shards[shard]));
+		});
+
+		return planners;
+	}
+
+	/**
+	 * Find the execution stats of an explain output with the executionStats verbosity
+	 *
+	 * @param  {Object} explain
+	 * @return {Object|null}
+	 * @protected
+	 */
+	findExecutionStats(explain) {
+
+		if (!(explain instanceof Object)) {
+			return null;
+		}
+
+		if (explain.executionStats) {
+			return explain.executionStats;
+		}
+
+		const stage = (Array.isArray(explain.stages) ? explain.stages : []).find(stage => stage.$cursor);
+
+		return stage ? this.findExecutionStats(stage.$cursor) : null;
+	}
+
+	/**
+	 * Collect the stages and indexes of a plan, recursively
+	 *
+	 * @param  {Object} plan
+	 * @return {void}
+	 * @protected
+	 */
+	collectStages(plan) {
+
+		if (!(plan instanceof Object)) {
+			return;
+		}
+
+		if (typeof plan.stage === 'string') {
+
+			this.stages.push(plan.stage);
+
+			if (plan.indexName && this.indexes.indexOf(plan.indexName) === -1) {
+				this.indexes.push(plan.indexName);
+			}
+		}
+
+		// slot based plans (5.0+) wrap the plan in queryPlan, sharded plans list the shards
+		['inputStage', 'queryPlan', 'winningPlan', 'outerStage', 'innerStage', 'thenStage', 'elseStage']
+			.forEach(name => this.collectStages(plan[name]));
+
+		[].concat(plan.inputStages || [], plan.shards || []).forEach(child => this.collectStages(child));
+	}
+
+	/**
+	 * Suggest an index key for criteria and a sort: the fields that are matched by equality,
+	 * then the sort, then the fields that are matched by range
+	 *
+	 * @param  {Object} criteria
+	 * @param  {Object} sort
+	 * @return {Object|null} null if there are no fields to index
+	 * @protected
+	 */
+	suggestIndex(criteria, sort) {
+
+		const equality = [];
+		const range = [];
+
+		const collect = criteria => Object.keys(criteria).forEach(key => {
+
+			if (key === '$and' && Array.isArray(criteria[key])) {
+				criteria[key].forEach(collect);
+				return;
+			}
+
+			// $or, $text, $expr, etc. are not indexed by one key
+			if (key[0] === '$') {
+				return;
+			}
+
+			const value = criteria[key];
+			const isRange = value instanceof Object && Object.keys(value).some(operator => operator[0] === '$' && operator !== '$eq');
+
+			(isRange ? range : equality).push(key);
+		});
+
+		collect(criteria);
+
+		const key = {};
+
+		equality.forEach(field => {
+			key[field] = 1;
+		});
+
+		Object.keys(sort).forEach(field => {
+			if (key[field] === undefined && typeof sort[field] === 'number') {
+				key[field] = sort[field];
+			}
+		});
+
+		range.forEach(field => {
+			if (key[field] === undefined) {
+				key[field] = 1;
+			}
+		});
+
+		return Object.keys(key).length === 0 ? null : key;
+	}
+};
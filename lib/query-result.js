@@ -0,0 +1,43 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+const BassQueryResult = require('bass').QueryResult;
+
+/**
+ * The QueryResult adds the token for the next page of a keyset paginated query, see Query.after()
+ */
+module.exports = class QueryResult extends BassQueryResult {
+
+	/**
+	 *
+	 * @param {Query}  query
+	 * @param {Array}  [data]
+	 */
+	constructor(query, data) {
+
+		super(query, data);
+
+		/**
+		 * The token to pass to Query.after() to fetch the next page,
+		 * null when this is the last page
+		 *
+		 * @type {String|null}
+		 */
+		this.nextToken = null;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	toJSON() {
+		const json = super.toJSON();
+		json.nextToken = this.nextToken;
+		return json;
+	}
+};
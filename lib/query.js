@@ -1,6 +1,704 @@
 
 const BassQuery = require('bass').Query;
 
+// local modules
+const GeoJSON = require('./mapping/geo-json');
+
+/**
+ * The radius of the earth in meters, to convert distances to radians
+ *
+ * @type {Number}
+ */
+const EARTH_RADIUS = 6378100;
+
 module.exports = class Query extends BassQuery {
-	
-}
\ No newline at end of file
+
+	/**
+	 * The condition that holds the pagination token
+	 *
+	 * The token travels with the conditions so that it survives bass' mapping of the query
+	 *
+	 * @type {String}
+	 */
+	static get afterCondition() {
+		return '$after';
+	}
+
+	/**
+	 * The condition that holds the relations to populate
+	 *
+	 * @type {String}
+	 */
+	static get populateCondition() {
+		return '$populate';
+	}
+
+	/**
+	 * The condition that holds the text search
+	 *
+	 * @type {String}
+	 */
+	static get textCondition() {
+		return '$text';
+	}
+
+	/**
+	 * The field that the relevance score of a text search is projected in to
+	 *
+	 * Mapped models expose the score as model.__textScore, see Mapper.mapPartialRelationsToModel()
+	 *
+	 * @type {String}
+	 */
+	static get textScoreField() {
+		return '__textScore';
+	}
+
+	/**
+	 * The condition that holds the criteria of the builder methods (exists(), regex(), elemMatch(),
+	 * or(), etc.), a list of criteria in property names that are all matched
+	 *
+	 * The criteria are mapped by the adapter's Mapper, which bass does not do for nested conditions
+	 *
+	 * @type {String}
+	 */
+	static get criteriaCondition() {
+		return '$criteria';
+	}
+
+	/**
+	 * The condition that holds the cursor options, see hint(), collation(), maxTimeMS() and comment()
+	 *
+	 * @type {String}
+	 */
+	static get optionsCondition() {
+		return '$options';
+	}
+
+	/**
+	 * Add a list of criteria to criteria, matching all of them
+	 *
+	 * Criteria are merged in where their keys are not taken yet, and added to $and otherwise
+	 *
+	 * @param  {Object}        criteria
+	 * @param  {Array<Object>} list
+	 * @return {Object} new criteria
+	 */
+	static mergeCriteria(criteria, list) {
+
+		const merged = Object.assign({}, criteria);
+		const and = [].concat(merged.$and || []);
+
+		list.forEach(item => {
+			if (Object.keys(item).some(key => Object.prototype.hasOwnProperty.call(merged, key))) {
+				and.push(item);
+			} else {
+				Object.assign(merged, item);
+			}
+		});
+
+		if (and.length !== 0) {
+			merged.$and = and;
+		}
+
+		return merged;
+	}
+
+	/**
+	 * The condition that holds the point to sort the results by distance to, see near()
+	 *
+	 * @type {String}
+	 */
+	static get nearCondition() {
+		return '$geoNear';
+	}
+
+	/**
+	 * The field that the distance of a near query is returned in
+	 *
+	 * Mapped models expose the distance as model.__distance, see Mapper.mapPartialRelationsToModel()
+	 *
+	 * @type {String}
+	 */
+	static get distanceField() {
+		return '__distance';
+	}
+
+	/**
+	 * Paginate by seeking past the last result of the previous page instead of skipping results
+	 *
+	 * Pass null to get the first page, and the QueryResult's nextToken to get the following pages.
+	 * The results are sorted by the query's sort with the id as tiebreaker, a limit is required
+	 * and skip can not be used.
+	 *
+	 * @param  {String|null} token
+	 * @return {Query}
+	 */
+	after(token) {
+		this._conditions[Query.afterCondition] = token === undefined ? null : token;
+		return this;
+	}
+
+	/**
+	 * Get the pagination token
+	 *
+	 * @return {String|null|undefined} undefined if the query is not keyset paginated
+	 */
+	getAfter() {
+		return this._conditions[Query.afterCondition];
+	}
+
+	/**
+	 * Search the text index of the collection
+	 *
+	 *     query.search('coffee -decaf', { language: 'english' }).sortByScore();
+	 *
+	 * @param  {String}  text                         the terms, "quoted phrases" and -negated terms
+	 * @param  {Object}  [options]
+	 * @param  {String}  [options.language]           the language for the stop words and stemming
+	 * @param  {Boolean} [options.caseSensitive]
+	 * @param  {Boolean} [options.diacriticSensitive]
+	 * @return {Query}
+	 */
+	search(text, options) {
+
+		options = options || {};
+
+		this._conditions[Query.textCondition] = {
+			search: String(text),
+			language: options.language || null,
+			caseSensitive: !!options.caseSensitive,
+			diacriticSensitive: !!options.diacriticSensitive,
+			sortByScore: !!(this.getSearch() && this.getSearch().sortByScore)
+		};
+
+		return this;
+	}
+
+	/**
+	 * Sort the results of a text search by relevance, before the query's sort
+	 *
+	 * @return {Query}
+	 * @throws {Error} if the query does not search
+	 */
+	sortByScore() {
+
+		if (!this.getSearch()) {
+			throw new Error('sortByScore() requires a text search, see Query.search()');
+		}
+
+		this._conditions[Query.textCondition].sortByScore = true;
+
+		return this;
+	}
+
+	/**
+	 * Get the text search
+	 *
+	 * @return {Object|undefined} undefined if the query does not search
+	 */
+	getSearch() {
+		return this._conditions[Query.textCondition];
+	}
+
+	/**
+	 * Load relations in the same round trip, with $lookup stages, instead of with a query per relation
+	 *
+	 *     query.populate(['author', 'comments', 'comments.author']);
+	 *     query.populate('*', 2);  // every relation, and every relation of the related documents
+	 *
+	 * @param  {Array<String>|String} [relations='*'] property paths, "*" for every relation
+	 * @param  {Number}               [depth]         how deep to populate, defaults to the deepest path
+	 * @return {Query}
+	 */
+	populate(relations, depth) {
+		this._conditions[Query.populateCondition] = {
+			relations: [].concat(relations || '*'),
+			depth: depth || null
+		};
+		return this;
+	}
+
+	/**
+	 * Get the relations to populate
+	 *
+	 * @return {{relations: Array<String>, depth: Number|null}|undefined} undefined if nothing is populated
+	 */
+	getPopulate() {
+		return this._conditions[Query.populateCondition];
+	}
+
+	/**
+	 * Match documents that have (or do not have) a field
+	 *
+	 *     query.where('deletedAt').exists(false);
+	 *
+	 * @param  {String}  [path]        the property, defaults to the current field
+	 * @param  {Boolean} [exists=true]
+	 * @return {Query}
+	 */
+	exists(path, exists) {
+
+		[path, exists] = this.resolvePathArguments('exists', arguments);
+
+		return this.addFieldCriteria(path, { $exists: exists === undefined ? true : !!exists });
+	}
+
+	/**
+	 * Match a regular expression
+	 *
+	 *     query.where('title').regex(/^mongo/i);
+	 *     query.regex('title', /^mongo/i);
+	 *     query.regex('title', { pattern: '^mongo  # prefix', flags: 'ix' });
+	 *
+	 * The pattern is never a string so that it can not be taken for a path, the object form
+	 * allows the x flag, which RegExps do not have.
+	 *
+	 * @param  {String}        [path]   the property, defaults to the current field
+	 * @param  {RegExp|Object} pattern  a RegExp, or { pattern, flags } with flags in i, m, x and s
+	 * @return {Query}
+	 * @throws {Error} for invalid patterns or flags
+	 */
+	regex(path, pattern) {
+
+		[path, pattern] = this.resolvePathArguments('regex', arguments);
+
+		let source;
+		let flags;
+
+		if (pattern instanceof RegExp) {
+			source = pattern.source;
+			flags = pattern.flags.replace(/[^ims]/g, '');
+		} else if (pattern instanceof Object && typeof pattern.pattern === 'string') {
+			source = pattern.pattern;
+			flags = pattern.flags || '';
+		} else {
+			throw new Error('Invalid regex, expected a RegExp or { pattern, flags }: ' + pattern);
+		}
+
+		if (typeof flags !== 'string' || !/^[imxs]*$/.test(flags)) {
+			throw new Error('Invalid regex flags "' + flags + '", expected i, m, x or s');
+		}
+
+		try {
+			new RegExp(source);
+		} catch (err) {
+			throw new Error('Invalid regex: ' + err.message);
+		}
+
+		const condition = { $regex: source };
+
+		if (flags) {
+			condition.$options = flags;
+		}
+
+		return this.addFieldCriteria(path, condition);
+	}
+
+	/**
+	 * Match arrays with at least one element that matches all of the criteria
+	 *
+	 *     query.where('comments').elemMatch({ author: userId, approved: true });
+	 *     query.where('comments').elemMatch(q => q.where('likes').gte(10).where('spam').exists(false));
+	 *     query.where('scores').elemMatch({ $gte: 80, $lt: 90 });
+	 *
+	 * The criteria are in the property names of the embedded document.
+	 *
+	 * @param  {String}          [path]   the property, defaults to the current field
+	 * @param  {Object|Function} criteria criteria, or a function that builds them on a Query
+	 * @return {Query}
+	 */
+	elemMatch(path, criteria) {
+
+		[path, criteria] = this.resolvePathArguments('elemMatch', arguments);
+
+		return this.addFieldCriteria(path, { $elemMatch: this.buildCriteria(criteria, 'elemMatch') });
+	}
+
+	/**
+	 * Match any of the criteria
+	 *
+	 *     query.or([{ status: 'draft' }, q => q.where('publishedAt').gt(new Date())]);
+	 *
+	 * @param  {Array<Object|Function>} conditions criteria, or functions that build them on a Query
+	 * @return {Query}
+	 */
+	or(conditions) {
+		return this.addLogicalCriteria('$or', conditions);
+	}
+
+	/**
+	 * Match none of the criteria, see or()
+	 *
+	 * @param  {Array<Object|Function>} conditions
+	 * @return {Query}
+	 */
+	nor(conditions) {
+		return this.addLogicalCriteria('$nor', conditions);
+	}
+
+	/**
+	 * Match all of the criteria, see or()
+	 *
+	 * @param  {Array<Object|Function>} conditions
+	 * @return {Query}
+	 */
+	and(conditions) {
+		return this.addLogicalCriteria('$and', conditions);
+	}
+
+	/**
+	 * Use an index, by its name or its key in property names
+	 *
+	 * @param  {String|Object} index
+	 * @return {Query}
+	 */
+	hint(index) {
+
+		if (!(typeof index === 'string' && index.length !== 0) &&
+			!(index instanceof Object && !Array.isArray(index) && Object.keys(index).length !== 0)) {
+
+			throw new Error('Invalid hint, expected an index name or key: ' + JSON.stringify(index));
+		}
+
+		return this.setCursorOption('hint', index);
+	}
+
+	/**
+	 * Compare strings by the rules of a language
+	 *
+	 * @param  {Object} collation  { locale: 'en', strength: 2, ... }
+	 * @return {Query}
+	 */
+	collation(collation) {
+
+		if (!(collation instanceof Object) || typeof collation.locale !== 'string') {
+			throw new Error('Invalid collation, expected an object with a locale: ' + JSON.stringify(collation));
+		}
+
+		return this.setCursorOption('collation', collation);
+	}
+
+	/**
+	 * Limit the time the query may take
+	 *
+	 * @param  {Number} ms
+	 * @return {Query}
+	 */
+	maxTimeMS(ms) {
+
+		if (typeof ms !== 'number' || ms < 0 || Math.floor(ms) !== ms) {
+			throw new Error('Invalid maxTimeMS, expected a positive integer: ' + ms);
+		}
+
+		return this.setCursorOption('maxTimeMS', ms);
+	}
+
+	/**
+	 * Add a comment to the query, to find it in the profiler and the logs
+	 *
+	 * @param  {String} comment
+	 * @return {Query}
+	 */
+	comment(comment) {
+		return this.setCursorOption('comment', String(comment));
+	}
+
+	/**
+	 * Get the cursor options
+	 *
+	 * @return {Object} hint, collation, maxTimeMS and comment, in property names
+	 */
+	getCursorOptions() {
+		return Object.assign({}, this._conditions[Query.optionsCondition]);
+	}
+
+	/**
+	 * Compile the conditions to criteria in property names, see or() and elemMatch()
+	 *
+	 * The cursor options are not part of the criteria.
+	 *
+	 * @return {Object}
+	 * @throws {Error} for conditions that are not criteria, such as a text search
+	 */
+	toCriteria() {
+
+		const criteria = {};
+
+		Object.keys(this._conditions).forEach(key => {
+
+			if (key === Query.criteriaCondition || key === Query.optionsCondition) {
+				return;
+			}
+
+			if (key[0] === '$') {
+				throw new Error('The ' + key + ' condition can not be nested in other criteria');
+			}
+
+			const condition = this._conditions[key];
+
+			if (!(condition instanceof Object) || Array.isArray(condition) || condition instanceof Date ||
+				condition instanceof RegExp || BassQuery.operators.every(operator => condition[operator] === undefined)) {
+
+				criteria[key] = condition;
+				return;
+			}
+
+			// {gt: 5} to {$gt: 5}
+			criteria[key] = {};
+			Object.keys(condition).forEach(operator => {
+				criteria[key][BassQuery.isOperator(operator) && operator[0] !== '$' ? '$' + operator : operator] = condition[operator];
+			});
+		});
+
+		return Query.mergeCriteria(criteria, this._conditions[Query.criteriaCondition] || []);
+	}
+
+	/**
+	 * Build criteria from criteria or a function that builds them on a Query
+	 *
+	 * @param  {Object|Function} criteria
+	 * @param  {String}          method   the method for errors
+	 * @return {Object}
+	 * @protected
+	 */
+	buildCriteria(criteria, method) {
+
+		if (typeof criteria === 'function') {
+			const query = new Query();
+			criteria(query);
+			return query.toCriteria();
+		}
+
+		if (!(criteria instanceof Object) || Array.isArray(criteria)) {
+			throw new Error(method + '() expects criteria or a function, got: ' + JSON.stringify(criteria));
+		}
+
+		return criteria;
+	}
+
+	/**
+	 * Add criteria to the criteria condition
+	 *
+	 * @param  {Object} criteria
+	 * @return {Query}
+	 * @protected
+	 */
+	addCriteria(criteria) {
+		this._conditions[Query.criteriaCondition] = (this._conditions[Query.criteriaCondition] || []).concat([criteria]);
+		return this;
+	}
+
+	/**
+	 * Add an operator expression for a property to the criteria condition
+	 *
+	 * @param  {String} path
+	 * @param  {Object} expression
+	 * @return {Query}
+	 * @protected
+	 */
+	addFieldCriteria(path, expression) {
+		const criteria = {};
+		criteria[path] = expression;
+		return this.addCriteria(criteria);
+	}
+
+	/**
+	 * Add a logical operator to the criteria condition
+	 *
+	 * @param  {String}                  operator   $or, $nor or $and
+	 * @param  {Array<Object|Function>}  conditions
+	 * @return {Query}
+	 * @protected
+	 */
+	addLogicalCriteria(operator, conditions) {
+
+		const method = operator.slice(1);
+
+		if (!Array.isArray(conditions) || conditions.length === 0) {
+			throw new Error(method + '() expects a list of criteria');
+		}
+
+		const criteria = {};
+		criteria[operator] = conditions.map(condition => this.buildCriteria(condition, method));
+
+		return this.addCriteria(criteria);
+	}
+
+	/**
+	 * Set a cursor option
+	 *
+	 * @param  {String} name
+	 * @param  {*}      value
+	 * @return {Query}
+	 * @protected
+	 */
+	setCursorOption(name, value) {
+		this._conditions[Query.optionsCondition] = Object.assign({}, this._conditions[Query.optionsCondition], { [name]: value });
+		return this;
+	}
+
+	/**
+	 * Find the documents near a point, nearest first, with their distance in meters
+	 *
+	 *     query.near('location', [13.4, 52.5], { maxDistance: 5000 });
+	 *     query.where('location').near({ lng: 13.4, lat: 52.5 });
+	 *
+	 * The query is run as a $geoNear aggregation, which requires a 2dsphere index on the field.
+	 *
+	 * @param  {String}       [path]                the property, defaults to the current field
+	 * @param  {Array|Object} point                 a GeoJSON point or a position
+	 * @param  {Object}       [options]
+	 * @param  {Number}       [options.maxDistance] in meters
+	 * @param  {Number}       [options.minDistance] in meters
+	 * @return {Query}
+	 */
+	near(path, point, options) {
+
+		[path, point, options] = this.resolvePathArguments('near', arguments);
+
+		options = options || {};
+
+		this._conditions[Query.nearCondition] = {
+			property: path,
+			point: GeoJSON.geometry(point, 'Point'),
+			maxDistance: typeof options.maxDistance === 'number' ? options.maxDistance : null,
+			minDistance: typeof options.minDistance === 'number' ? options.minDistance : null
+		};
+
+		return this;
+	}
+
+	/**
+	 * Get the point that the results are sorted by distance to
+	 *
+	 * @return {Object|undefined} undefined if the query is not a near query
+	 */
+	getNear() {
+		return this._conditions[Query.nearCondition];
+	}
+
+	/**
+	 * Find the documents within a box
+	 *
+	 * The box is searched as a polygon, so its edges are geodesic lines rather than lines
+	 * of constant latitude.
+	 *
+	 * @param  {String}       [path]      the property, defaults to the current field
+	 * @param  {Array|Object} bottomLeft  the south west position
+	 * @param  {Array|Object} topRight    the north east position
+	 * @return {Query}
+	 */
+	withinBox(path, bottomLeft, topRight) {
+
+		[path, bottomLeft, topRight] = this.resolvePathArguments('withinBox', arguments);
+
+		const sw = GeoJSON.position(bottomLeft);
+		const ne = GeoJSON.position(topRight);
+
+		return this.addGeoCondition(path, '$geoWithin', {
+			$geometry: {
+				type: 'Polygon',
+				coordinates: [[[sw[0], sw[1]], [ne[0], sw[1]], [ne[0], ne[1]], [sw[0], ne[1]], [sw[0], sw[1]]]]
+			}
+		});
+	}
+
+	/**
+	 * Find the documents within a polygon
+	 *
+	 * @param  {String}       [path]   the property, defaults to the current field
+	 * @param  {Array|Object} polygon  a GeoJSON (multi) polygon, or a ring of positions
+	 * @return {Query}
+	 */
+	withinPolygon(path, polygon) {
+
+		[path, polygon] = this.resolvePathArguments('withinPolygon', arguments);
+
+		const geometry = polygon && polygon.type === 'MultiPolygon' ?
+			GeoJSON.geometry(polygon) : GeoJSON.geometry(polygon, 'Polygon');
+
+		return this.addGeoCondition(path, '$geoWithin', { $geometry: geometry });
+	}
+
+	/**
+	 * Find the documents within a circle on the earth's surface
+	 *
+	 * @param  {String}       [path]  the property, defaults to the current field
+	 * @param  {Array|Object} center  a GeoJSON point or a position
+	 * @param  {Number}       radius  in meters
+	 * @return {Query}
+	 */
+	withinCircle(path, center, radius) {
+
+		[path, center, radius] = this.resolvePathArguments('withinCircle', arguments);
+
+		if (typeof radius !== 'number' || !(radius >= 0)) {
+			throw new Error('withinCircle() requires a radius in meters, got: ' + radius);
+		}
+
+		return this.addGeoCondition(path, '$geoWithin', {
+			$centerSphere: [GeoJSON.geometry(center, 'Point').coordinates, radius / EARTH_RADIUS]
+		});
+	}
+
+	/**
+	 * Find the documents whose geometry intersects a geometry
+	 *
+	 * @param  {String}       [path]    the property, defaults to the current field
+	 * @param  {Object|Array} geometry  any GeoJSON geometry, or a position
+	 * @return {Query}
+	 */
+	intersects(path, geometry) {
+
+		[path, geometry] = this.resolvePathArguments('intersects', arguments);
+
+		return this.addGeoCondition(path, '$geoIntersects', { $geometry: GeoJSON.geometry(geometry) });
+	}
+
+	/**
+	 * Add a geo operator to the conditions of a field
+	 *
+	 * @param  {String} path
+	 * @param  {String} operator
+	 * @param  {Object} value
+	 * @return {Query}
+	 * @protected
+	 */
+	addGeoCondition(path, operator, value) {
+
+		const condition = this._conditions[path];
+
+		this._conditions[path] = Object.assign(
+			{},
+			condition instanceof Object && !Array.isArray(condition) ? condition : {},
+			{ [operator]: value }
+		);
+
+		return this;
+	}
+
+	/**
+	 * Resolve the arguments of a method that was called with or without a path
+	 *
+	 * @param  {String}    method
+	 * @param  {Arguments} args
+	 * @return {Array} the arguments, starting with the path
+	 * @throws {Error} if there is no path and no current field
+	 * @protected
+	 */
+	resolvePathArguments(method, args) {
+
+		args = Array.prototype.slice.call(args);
+
+		if (typeof args[0] !== 'string') {
+
+			if (this._currentField === null) {
+				throw new Error(method + ' must be called after where()');
+			}
+
+			args.unshift(this._currentField);
+		}
+
+		return args;
+	}
+}
@@ -0,0 +1,291 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// native modules
+const EventEmitter = require('events');
+
+/**
+ * The RetryPolicy retries operations that failed with a transient error, such as a primary
+ * stepdown or a network error during a replica set failover, with exponential backoff and jitter
+ *
+ * It is configured with the "retry" connection option:
+ *
+ *     options: {
+ *         retry: {
+ *             maxAttempts: 3,      // including the first attempt
+ *             initialDelay: 100,   // in ms, the delay before the first retry
+ *             maxDelay: 2000,      // in ms
+ *             factor: 2,           // the delay is multiplied by the factor for every retry
+ *             jitter: true,        // wait a random delay up to the backoff delay
+ *             retryWrites: true,   // false to only retry reads
+ *             log: 'warn'          // the logger level, false to only emit events
+ *         }
+ *     }
+ *
+ * Errors are classified by classify():
+ *
+ * - "unavailable" errors (no server could be selected, or the server is not the primary) mean
+ *   that the operation was not executed, every operation is retried
+ * - "transient" errors (network errors, interrupted operations) mean that a write may have been
+ *   applied, only reads and idempotent writes are retried
+ *
+ * Every retry is emitted as a "retry" event:
+ *
+ *     connection.getRetryPolicy().on('retry', event => ...);
+ *
+ *     { operation: 'findBy', collection: 'posts', attempt: 1, delay: 83, error: Error }
+ */
+module.exports = class RetryPolicy extends EventEmitter {
+
+	/**
+	 * Server error codes of operations that were rejected before they were executed
+	 *
+	 * NotWritablePrimary, NotPrimaryNoSecondaryOk, NotPrimaryOrSecondary, LegacyNotPrimary
+	 *
+	 * @type {Array<Number>}
+	 */
+	static get unavailableCodes() {
+		return [10107, 13435, 13436, 10058];
+	}
+
+	/**
+	 * Server error codes of operations that were interrupted or lost their connection
+	 *
+	 * HostUnreachable, HostNotFound, NetworkTimeout, ShutdownInProgress, PrimarySteppedDown,
+	 * ExceededTimeLimit, SocketException, InterruptedAtShutdown, InterruptedDueToReplStateChange
+	 *
+	 * @type {Array<Number>}
+	 */
+	static get transientCodes() {
+		return [6, 7, 89, 91, 189, 262, 9001, 11600, 11602];
+	}
+
+	/**
+	 *
+	 * @param {Object} [options] see the "retry" connection option
+	 * @param {Logger} [logger]
+	 */
+	constructor(options, logger) {
+
+		super();
+
+		options = options || {};
+
+		/**
+		 * The maximum number of attempts, including the first one
+		 *
+		 * @type {Number}
+		 */
+		this.maxAttempts = this.validateNumber(options, 'maxAttempts', 3, 1);
+
+		/**
+		 * @type {Number}
+		 */
+		this.initialDelay = this.validateNumber(options, 'initialDelay', 100, 0);
+
+		/**
+		 * @type {Number}
+		 */
+		this.maxDelay = this.validateNumber(options, 'maxDelay', 2000, 0);
+
+		/**
+		 * @type {Number}
+		 */
+		this.factor = this.validateNumber(options, 'factor', 2, 1);
+
+		/**
+		 * @type {Boolean}
+		 */
+		this.hasJitter = options.jitter !== false;
+
+		/**
+		 * @type {Boolean}
+		 */
+		this.isRetryingWrites = options.retryWrites !== false;
+
+		/**
+		 * The logger level, or false
+		 *
+		 * @type {String|Boolean}
+		 */
+		this.logLevel = options.log === undefined ? 'warn' : options.log;
+
+		/**
+		 * @type {Logger|null}
+		 */
+		this.logger = logger || null;
+	}
+
+	/**
+	 * Validate a numeric option
+	 *
+	 * @param  {Object} options
+	 * @param  {String} name
+	 * @param  {Number} defaultValue
+	 * @param  {Number} min
+	 * @return {Number}
+	 * @throws Error
+	 * @protected
+	 */
+	validateNumber(options, name, defaultValue, min) {
+
+		const value = options[name];
+
+		if (value === undefined || value === null) {
+			return defaultValue;
+		}
+
+		if (typeof value !== 'number' || !isFinite(value) || value < min) {
+			throw new Error('Invalid bass-mongodb retry option: "' + name + '" must be a number of at least ' + min);
+		}
+
+		return value;
+	}
+
+	/**
+	 * Classify an error
+	 *
+	 * @param  {Error}       err
+	 * @return {String|null} "unavailable", "transient" or null if the error is not retryable
+	 */
+	classify(err) {
+
+		if (!(err instanceof Object)) {
+			return null;
+		}
+
+		const name = err.name || '';
+		const message = err.message || '';
+
+		// write concern errors carry the code in their result
+		const code = err.code !== undefined ? err.code : (err.result && err.result.code);
+
+		if (name === 'MongoServerSelectionError' || name === 'MongoTimeoutError' ||
+			this.constructor.unavailableCodes.indexOf(code) !== -1 ||
+			/not master|not primary/i.test(message) && code === undefined) {
+
+			return 'unavailable';
+		}
+
+		if (name === 'MongoNetworkError' || name === 'MongoNetworkTimeoutError' ||
+			this.constructor.transientCodes.indexOf(code) !== -1 ||
+			/node is recovering/i.test(message) && code === undefined ||
+			typeof err.hasErrorLabel === 'function' && err.hasErrorLabel('RetryableWriteError')) {
+
+			return 'transient';
+		}
+
+		return null;
+	}
+
+	/**
+	 * See if an operation that failed with an error can be retried
+	 *
+	 * @param  {Error}   err
+	 * @param  {Object}  operation { isWrite, isIdempotent }
+	 * @return {Boolean}
+	 */
+	isRetryable(err, operation) {
+
+		const type = this.classify(err);
+
+		if (type === null) {
+			return false;
+		}
+
+		if (!operation.isWrite) {
+			return true;
+		}
+
+		if (!this.isRetryingWrites || this.isPartialWrite(err)) {
+			return false;
+		}
+
+		return type === 'unavailable' || !!operation.isIdempotent;
+	}
+
+	/**
+	 * See if a write failed part way, bulk write errors carry the result of what was written
+	 *
+	 * @param  {Error}   err
+	 * @return {Boolean}
+	 */
+	isPartialWrite(err) {
+
+		const result = err.result;
+
+		return result instanceof Object &&
+			['nInserted', 'nUpserted', 'nMatched', 'nRemoved'].some(name => result[name] > 0);
+	}
+
+	/**
+	 * Get the delay before a retry
+	 *
+	 * @param  {Number} attempt the number of the failed attempt, from 1
+	 * @return {Number} in ms
+	 */
+	getDelay(attempt) {
+
+		const delay = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.factor, attempt - 1));
+
+		return this.hasJitter ? Math.round(Math.random() * delay) : delay;
+	}
+
+	/**
+	 * Run an operation, retrying it while it fails with retryable errors
+	 *
+	 * @param  {Object}   operation { name, collection, isWrite, isIdempotent }
+	 * @param  {Function} fn        fn(cb) runs the operation
+	 * @param  {Function} cb        receives the arguments of the last attempt
+	 * @return {void}
+	 */
+	run(operation, fn, cb) {
+
+		const attempt = number => fn(function(err) {
+
+			if (!err || number >= this.maxAttempts || !this.isRetryable(err, operation)) {
+				cb.apply(null, arguments);
+				return;
+			}
+
+			const event = {
+				operation: operation.name,
+				collection: operation.collection || null,
+				attempt: number,
+				delay: this.getDelay(number),
+				error: err
+			};
+
+			this.log(event);
+			this.emit('retry', event);
+
+			setTimeout(() => attempt(number + 1), event.delay);
+
+		}.bind(this));
+
+		attempt(1);
+	}
+
+	/**
+	 * Log a retry if we have a logger
+	 *
+	 * @param  {Object} event
+	 * @return {void}
+	 */
+	log(event) {
+
+		if (!this.logLevel || !this.logger || typeof this.logger[this.logLevel] !== 'function') {
+			return;
+		}
+
+		this.logger[this.logLevel]('[bass-mongodb] - retry ' + event.operation +
+			(event.collection ? ' [' + event.collection + ']' : '') + ': attempt ' + event.attempt +
+			' failed: ' + event.error.message + ' : retrying in ' + event.delay + 'ms');
+	}
+};
@@ -0,0 +1,213 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local modules
+const getAdapterMetadata = require('./util/adapter-metadata');
+
+/**
+ * The SchemaBuilder derives a MongoDB $jsonSchema validator from Bass metadata
+ *
+ * Fields are required when the field has "required: true" or when the property is listed in
+ * metadata.adapters['bass-mongodb'].validation.required. Required fields may not be null unless
+ * the field has "nullable: true", other fields may be null unless the field has "nullable: false".
+ *
+ * The document's validation settings can add to the generated schema:
+ *
+ *     metadata.adapters['bass-mongodb'].validation = {
+ *         required: ['title'],
+ *         additionalProperties: false,
+ *         properties: { title: { minLength: 1 } }  // merged in to the generated property schemas
+ *     }
+ */
+module.exports = class SchemaBuilder {
+
+	/**
+	 * Bass field types mapped to BSON types
+	 *
+	 * @type {Object}
+	 */
+	static get types() {
+		return {
+			'string': ['string'],
+			'text': ['string'],
+			'number': ['int', 'long', 'double', 'decimal'],
+			'integer': ['int', 'long'],
+			'int': ['int', 'long'],
+			'float': ['double', 'decimal'],
+			'double': ['double', 'decimal'],
+			'boolean': ['bool'],
+			'bool': ['bool'],
+			'date': ['date'],
+			'objectid': ['objectId'],
+			'binary': ['binData'],
+			'decimal128': ['decimal'],
+			'long': ['long'],
+			'uuid': ['binData'],
+			'regex': ['regex'],
+			'timestamp': ['timestamp'],
+			'object': ['object'],
+			'array': ['array'],
+			'point': ['object'],
+			'multipoint': ['object'],
+			'linestring': ['object'],
+			'multilinestring': ['object'],
+			'polygon': ['object'],
+			'multipolygon': ['object'],
+			'geometry': ['object']
+		};
+	}
+
+	/**
+	 *
+	 * @param {MetadataRegistry} [metadataRegistry] needed to build schemas for embedded documents
+	 */
+	constructor(metadataRegistry) {
+		this.metadataRegistry = metadataRegistry || null;
+	}
+
+	/**
+	 * Build the $jsonSchema for a document
+	 *
+	 * @param  {Metadata} metadata
+	 * @return {Object}
+	 */
+	build(metadata) {
+		return this.buildDocumentSchema(metadata, []);
+	}
+
+	/**
+	 * Build the object schema for a (embedded) document
+	 *
+	 * @param  {Metadata}      metadata
+	 * @param  {Array<String>} parents  names of the documents we are nested in, to stop on recursion
+	 * @return {Object}
+	 * @protected
+	 */
+	buildDocumentSchema(metadata, parents) {
+
+		const validation = getAdapterMetadata(metadata).validation || {};
+		const requiredProperties = validation.required || [];
+		const extraProperties = validation.properties || {};
+
+		const schema = {
+			bsonType: 'object',
+			properties: {}
+		};
+
+		const required = [];
+
+		metadata.fields.forEach(field => {
+
+			const isRequired = field.required === true || requiredProperties.indexOf(field.property) !== -1;
+			const isNullable = field.property !== metadata.idField &&
+				(isRequired ? field.nullable === true : field.nullable !== false);
+
+			let fieldSchema = this.buildRelationSchema(metadata, field, parents) || this.buildFieldSchema(field);
+
+			if (extraProperties[field.property]) {
+				fieldSchema = Object.assign({}, fieldSchema, extraProperties[field.property]);
+			}
+
+			if (isNullable && fieldSchema.bsonType) {
+				fieldSchema.bsonType = [].concat(fieldSchema.bsonType, ['null']);
+			}
+
+			if (isRequired) {
+				required.push(field.name);
+			}
+
+			schema.properties[field.name] = fieldSchema;
+		});
+
+		// DBRef relations are not mapped as fields
+		const relations = metadata.relations || {};
+
+		Object.keys(relations['one-to-one'] || {}).forEach(property => {
+			const relation = relations['one-to-one'][property];
+			const name = relation.column || relation.field;
+			if (name && !schema.properties[name]) {
+				schema.properties[name] = { bsonType: ['object', 'null'] };
+			}
+		});
+
+		Object.keys(relations['one-to-many'] || {}).forEach(property => {
+			const relation = relations['one-to-many'][property];
+			if (relation.field && !schema.properties[relation.field]) {
+				schema.properties[relation.field] = { bsonType: ['array', 'null'] };
+			}
+		});
+
+		if (required.length !== 0) {
+			schema.required = required;
+		}
+
+		if (validation.additionalProperties === false) {
+			schema.additionalProperties = false;
+		}
+
+		return schema;
+	}
+
+	/**
+	 * Build the schema for a scalar field
+	 *
+	 * @param  {Field} field
+	 * @return {Object}
+	 * @protected
+	 */
+	buildFieldSchema(field) {
+
+		const types = SchemaBuilder.types;
+
+		if (types[field.type]) {
+			return { bsonType: types[field.type].slice() };
+		}
+
+		// unknown types are not validated
+		return {};
+	}
+
+	/**
+	 * Build the schema for an embedded document field
+	 *
+	 * @param  {Metadata}      metadata
+	 * @param  {Field}         field
+	 * @param  {Array<String>} parents
+	 * @return {Object|null}
+	 * @protected
+	 */
+	buildRelationSchema(metadata, field, parents) {
+
+		const embeds = metadata.embeds || {};
+		const one = embeds.one && embeds.one[field.property];
+		const many = embeds.many && embeds.many[field.property];
+		const embed = one || many;
+
+		if (!embed || !this.metadataRegistry || parents.indexOf(embed.document) !== -1) {
+			return null;
+		}
+
+		let embeddedMetadata;
+
+		try {
+			embeddedMetadata = this.metadataRegistry.getMetadataByName(embed.document);
+		} catch (e) {
+			return null;
+		}
+
+		const schema = this.buildDocumentSchema(embeddedMetadata, parents.concat([metadata.name]));
+
+		if (one) {
+			schema.bsonType = [schema.bsonType];
+			return schema;
+		}
+
+		return { bsonType: ['array'], items: schema };
+	}
+};
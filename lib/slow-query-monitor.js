@@ -0,0 +1,281 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// native modules
+const EventEmitter = require('events');
+
+/**
+ * The SlowQueryMonitor reports queries that take longer than a threshold, with their explain
+ * plan so that collection scans and missing indexes show up before they become incidents
+ *
+ * It is configured with the "slowQueries" connection option:
+ *
+ *     options: {
+ *         slowQueries: {
+ *             threshold: 100,            // in ms
+ *             explain: true,             // explain slow queries, see QueryPlan
+ *             verbosity: 'queryPlanner', // or 'executionStats', which runs the query again
+ *             explainInterval: 60000,    // in ms, how long the plan of a query shape is reused
+ *             log: 'warn'                // the logger level, false to only emit events
+ *         }
+ *     }
+ *
+ * Queries of the same shape (the operation, collection and criteria without their values) are
+ * explained once per interval, later reports of the shape in that interval reuse its plan, so
+ * that a slow query that runs a lot does not multiply the load with explains.
+ *
+ * Every slow query is emitted as a "slowQuery" event:
+ *
+ *     connection.getSlowQueryMonitor().on('slowQuery', report => ...);
+ *
+ *     {
+ *         operation: 'findByQuery',   // findByQuery, findBy or updateBy
+ *         collection: 'posts',
+ *         criteria: { ... },          // the mapped criteria
+ *         elapsed: 350,               // in ms
+ *         plan: QueryPlan,            // null if the query is not explained
+ *         isCachedPlan: false,        // whether the plan is the one of an earlier query of the shape
+ *         isCollectionScan: true,
+ *         missingIndex: { status: 1 },
+ *         error: null                 // the error of the explain, if it failed
+ *     }
+ */
+module.exports = class SlowQueryMonitor extends EventEmitter {
+
+	/**
+	 *
+	 * @param {Object} [options] see the "slowQueries" connection option
+	 * @param {Logger} [logger]
+	 */
+	constructor(options, logger) {
+
+		super();
+
+		options = options || {};
+
+		/**
+		 * @type {Number}
+		 */
+		this.threshold = typeof options.threshold === 'number' ? options.threshold : 100;
+
+		/**
+		 * @type {Boolean}
+		 */
+		this.isExplaining = options.explain !== false;
+
+		/**
+		 * @type {String}
+		 */
+		this.verbosity = options.verbosity || 'queryPlanner';
+
+		/**
+		 * How long the plan of a query shape is reused, in ms
+		 *
+		 * @type {Number}
+		 */
+		this.explainInterval = typeof options.explainInterval === 'number' ? options.explainInterval : 60000;
+
+		/**
+		 * The explains by query shape, in the order they were made
+		 *
+		 * @type {Map<String, {time: Number, plan: QueryPlan|null, error: Error|null, callbacks: Array<Function>|null}>}
+		 */
+		this.explains = new Map();
+
+		/**
+		 * The logger level, or false
+		 *
+		 * @type {String|Boolean}
+		 */
+		this.logLevel = options.log === undefined ? 'warn' : options.log;
+
+		/**
+		 * @type {Logger|null}
+		 */
+		this.logger = logger || null;
+	}
+
+	/**
+	 * See if an operation took long enough to be reported
+	 *
+	 * @param  {Number}  elapsed in ms
+	 * @return {Boolean}
+	 */
+	isSlow(elapsed) {
+		return elapsed >= this.threshold;
+	}
+
+	/**
+	 * Report a slow operation, explaining it first
+	 *
+	 * @param  {Object}   report   operation, collection, criteria and elapsed
+	 * @param  {Function} explain  explain(verbosity, cb) explains the query, cb receives a QueryPlan
+	 * @param  {Function} [cb]     called with the report once it was emitted
+	 * @return {void}
+	 */
+	report(report, explain, cb) {
+
+		report = Object.assign({
+			plan: null,
+			isCachedPlan: false,
+			isCollectionScan: null,
+			missingIndex: null,
+			error: null
+		}, report);
+
+		const done = () => {
+
+			this.log(report);
+			this.emit('slowQuery', report);
+
+			if (typeof cb === 'function') {
+				cb(report);
+			}
+		};
+
+		if (!this.isExplaining) {
+			done();
+			return;
+		}
+
+		const shape = this.getShape(report);
+		const now = Date.now();
+		const cached = this.explains.get(shape);
+
+		const explained = (isCached, err, plan) => {
+
+			report.isCachedPlan = isCached;
+
+			if (err) {
+				report.error = err;
+			} else {
+				report.plan = plan;
+				report.isCollectionScan = plan.isCollectionScan;
+				report.missingIndex = plan.missingIndex;
+			}
+
+			done();
+		};
+
+		if (cached && now - cached.time < this.explainInterval) {
+
+			if (cached.callbacks) {
+				// still explaining
+				cached.callbacks.push((err, plan) => explained(true, err, plan));
+			} else {
+				explained(true, cached.error, cached.plan);
+			}
+
+			return;
+		}
+
+		const entry = { time: now, plan: null, error: null, callbacks: [] };
+
+		this.explains.delete(shape);
+		this.explains.set(shape, entry);
+		this.pruneExplains(now);
+
+		explain(this.verbosity, (err, plan) => {
+
+			const callbacks = entry.callbacks;
+
+			entry.plan = plan || null;
+			entry.error = err || null;
+			entry.callbacks = null;
+
+			explained(false, err, plan);
+			callbacks.forEach(callback => callback(err, plan));
+		});
+	}
+
+	/**
+	 * Get the shape of a reported query, its operation, collection and criteria without values
+	 *
+	 * @param  {Object} report
+	 * @return {String}
+	 */
+	getShape(report) {
+
+		const getValueShape = value => {
+
+			if (Array.isArray(value)) {
+				return value.map(getValueShape).filter((item, index, items) =>
+					items.findIndex(other => JSON.stringify(other) === JSON.stringify(item)) === index);
+			}
+
+			if (value instanceof Object && Object.getPrototypeOf(value) === Object.prototype) {
+
+				const shape = {};
+
+				Object.keys(value).sort().forEach(key => {
+					shape[key] = getValueShape(value[key]);
+				});
+
+				return shape;
+			}
+
+			return 1;
+		};
+
+		return JSON.stringify([report.operation, report.collection, getValueShape(report.criteria || {})]);
+	}
+
+	/**
+	 * Forget the explains of shapes whose interval is over
+	 *
+	 * @param  {Number} now
+	 * @return {void}
+	 */
+	pruneExplains(now) {
+
+		for (const [shape, entry] of this.explains) {
+
+			// in the order they were made, the rest is newer
+			if (now - entry.time < this.explainInterval) {
+				return;
+			}
+
+			this.explains.delete(shape);
+		}
+	}
+
+	/**
+	 * Log a report if we have a logger
+	 *
+	 * @param  {Object} report
+	 * @return {void}
+	 */
+	log(report) {
+
+		if (!this.logLevel || !this.logger || typeof this.logger[this.logLevel] !== 'function') {
+			return;
+		}
+
+		let message = '[bass-mongodb] - slow ' + report.operation + ' [' + report.collection + ']: ' +
+			JSON.stringify(report.criteria) + ' : ' + report.elapsed + 'ms';
+
+		if (report.plan) {
+			message += ' : ' + report.plan.stages.join(' < ');
+		}
+
+		if (report.isCollectionScan) {
+			message += ' : collection scan';
+		}
+
+		if (report.missingIndex) {
+			message += ' : missing index ' + JSON.stringify(report.missingIndex);
+		}
+
+		if (report.error) {
+			message += ' : explain failed: ' + report.error.message;
+		}
+
+		this.logger[this.logLevel](message);
+	}
+};
@@ -0,0 +1,25 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Get the bass-mongodb specific settings of a document's metadata
+ *
+ * These live in metadata.adapters['bass-mongodb'] and are set by
+ * annotation handlers or by the application, ie:
+ *
+ *     metadata.adapters['bass-mongodb'] = {
+ *         indexes: [{ fields: { createdAt: -1 }, expireAfterSeconds: 3600 }]
+ *     };
+ *
+ * @param  {Metadata} metadata
+ * @return {Object}
+ */
+module.exports = function getAdapterMetadata(metadata) {
+	return (metadata && metadata.adapters && metadata.adapters['bass-mongodb']) || {};
+};
@@ -0,0 +1,82 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local modules
+const getAdapterMetadata = require('./adapter-metadata');
+const getRelationOrder = require('./relation-order');
+
+/**
+ * Get the relations of a document that are not stored on the document itself
+ *
+ * These are configured in the document's adapter metadata, and are either the inverse side of a
+ * relation of the related document (mappedBy), or many-to-many relations through a join collection:
+ *
+ *     metadata.adapters['bass-mongodb'].relations = {
+ *         // the groups whose "members" relation references this user
+ *         groups: { type: 'many-to-many', document: 'Group', mappedBy: 'members', sort: { name: 1 } },
+ *         // rows of { user_id: ObjectID, role_id: ObjectID } in the user_roles collection
+ *         roles: { type: 'many-to-many', document: 'Role', joinCollection: 'user_roles', joinColumn: 'user_id', inverseJoinColumn: 'role_id' },
+ *         // the profile whose "user" relation references this user
+ *         profile: { type: 'one-to-one', document: 'Profile', mappedBy: 'user' }
+ *     };
+ *
+ * Entries for the relations that bass maps itself only hold their sort and limit, see util/relation-order.
+ *
+ * @param  {Metadata} metadata
+ * @return {Array<Object>}
+ * @throws {Error} for invalid relations
+ */
+module.exports = function getAdapterRelations(metadata) {
+
+	const relations = metadata.relations || {};
+	const config = getAdapterMetadata(metadata).relations || {};
+
+	return Object.keys(config).filter(property => {
+
+		return !(relations['one-to-one'] && relations['one-to-one'][property]) &&
+			!(relations['one-to-many'] && relations['one-to-many'][property]);
+
+	}).map(property => {
+
+		const relation = config[property];
+		const name = '"' + metadata.name + '.' + property + '"';
+		const type = relation.type || (relation.joinCollection ? 'many-to-many' : 'one-to-many');
+
+		if (['one-to-one', 'one-to-many', 'many-to-many'].indexOf(type) === -1) {
+			throw new Error('Relation ' + name + ' has an unknown type: ' + type);
+		}
+
+		if (!relation.document) {
+			throw new Error('Relation ' + name + ' needs a document');
+		}
+
+		if (!relation.mappedBy && !relation.joinCollection) {
+			throw new Error('Relation ' + name + ' needs a mappedBy or a joinCollection');
+		}
+
+		if (relation.joinCollection && (!relation.joinColumn || !relation.inverseJoinColumn)) {
+			throw new Error('Relation ' + name + ' needs a joinColumn and an inverseJoinColumn');
+		}
+
+		const order = getRelationOrder(metadata, property);
+
+		return {
+			property: property,
+			type: type,
+			isMany: type !== 'one-to-one',
+			document: relation.document,
+			mappedBy: relation.mappedBy || null,
+			joinCollection: relation.joinCollection || null,
+			joinColumn: relation.joinColumn || null,
+			inverseJoinColumn: relation.inverseJoinColumn || null,
+			sort: order.sort,
+			limit: order.limit
+		};
+	});
+};
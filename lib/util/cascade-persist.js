@@ -0,0 +1,89 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local modules
+const getAdapterRelations = require('./adapter-relations');
+const getRelationCascade = require('./relation-cascade');
+
+/**
+ * Persist a document and the related models of its relations that cascade persist
+ *
+ * The related models are persisted and flushed first (recursively, one at a time), so that they
+ * have their ids when the document's DBRefs are mapped. The document itself is only persisted,
+ * it is written by the next flush:
+ *
+ *     await cascadePersist(manager, post);
+ *     await manager.flush();
+ *
+ * In a transaction (see manager.startTransaction()) the related models are written in it.
+ * Relations that were not loaded are skipped.
+ *
+ * @param  {Manager} manager the bass manager
+ * @param  {Object}  document
+ * @return {Promise} rejected with the error of the first related model that could not be flushed
+ */
+module.exports = function cascadePersist(manager, document) {
+
+	const visited = new Set([document]);
+
+	return persistRelated(manager, document, visited).then(() => manager.persist(document));
+};
+
+/**
+ * Persist and flush the related models of a document's cascading relations
+ *
+ * @param  {Manager} manager
+ * @param  {Object}  document
+ * @param  {Set}     visited  documents that reference each other are persisted once
+ * @return {Promise}
+ */
+function persistRelated(manager, document, visited) {
+
+	const metadata = manager.getMetadataForDocument(document);
+	const mapper = manager.mapper.adapterMapper;
+
+	const related = [];
+
+	getCascadingProperties(metadata).forEach(property => {
+
+		if (mapper.getUnloadedRelation(document, property)) {
+			return;
+		}
+
+		[].concat(document[property] || []).forEach(model => {
+			if (model instanceof Object && !visited.has(model)) {
+				visited.add(model);
+				related.push(model);
+			}
+		});
+	});
+
+	return related.reduce((promise, model) => promise
+		.then(() => persistRelated(manager, model, visited))
+		.then(() => {
+			manager.persist(model);
+			return manager.flush(model);
+		}), Promise.resolve());
+}
+
+/**
+ * Get the properties of the relations of a document that cascade persist
+ *
+ * @param  {Metadata} metadata
+ * @return {Array<String>}
+ */
+function getCascadingProperties(metadata) {
+
+	const relations = metadata.relations || {};
+
+	return Object.keys(relations['one-to-one'] || {})
+		.concat(Object.keys(relations['one-to-many'] || {}))
+		.concat(getAdapterRelations(metadata).filter(relation => relation.joinCollection).map(relation => relation.property))
+		.filter(property => getRelationCascade(metadata, property).persist);
+}
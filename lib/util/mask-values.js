@@ -0,0 +1,74 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Mask the values of a payload (data, criteria, a command, etc.), the default redaction of
+ * logged payloads, see Connection.getRedactor()
+ *
+ * Keys and operators are kept, values are replaced by their type, so that the shape of a
+ * query can be logged without the data it holds:
+ *
+ *     maskValues({ email: 'a@b.c', age: { $gte: 18 } }) // { email: '[string]', age: { $gte: '[number]' } }
+ *
+ * The payload is not modified.
+ *
+ * @param  {*} payload
+ * @return {*}
+ */
+module.exports = function maskValues(payload) {
+
+	if (payload === null || payload === undefined) {
+		return payload;
+	}
+
+	if (Array.isArray(payload)) {
+		return payload.map(maskValues);
+	}
+
+	const type = getValueType(payload);
+
+	if (type !== null) {
+		return '[' + type + ']';
+	}
+
+	const masked = {};
+
+	Object.keys(payload).forEach(key => {
+		masked[key] = maskValues(payload[key]);
+	});
+
+	return masked;
+};
+
+/**
+ * Get the type of a value that is masked as a whole
+ *
+ * @param  {*} value
+ * @return {String|null} null for objects whose values are masked
+ */
+function getValueType(value) {
+
+	if (typeof value !== 'object') {
+		return typeof value;
+	}
+
+	if (value._bsontype) {
+		return value._bsontype;
+	}
+
+	if (value instanceof Date) {
+		return 'date';
+	}
+
+	if (value instanceof RegExp) {
+		return 'regex';
+	}
+
+	return Buffer.isBuffer(value) ? 'buffer' : null;
+}
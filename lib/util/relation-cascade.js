@@ -0,0 +1,46 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local modules
+const getAdapterMetadata = require('./adapter-metadata');
+
+/**
+ * Get the cascade options of a relation
+ *
+ * One-to-one relations take the cascade option of their @Bass:OneToOne annotation, and
+ * every relation can be configured in the document's adapter metadata:
+ *
+ *     metadata.adapters['bass-mongodb'].cascade = {
+ *         author: ['persist'],
+ *         comments: ['persist', 'remove', 'orphanRemoval']
+ *     };
+ *
+ * "all" enables persist and remove.
+ *
+ * @param  {Metadata} metadata
+ * @param  {String}   property the relation property
+ * @return {{persist: Boolean, remove: Boolean, orphanRemoval: Boolean}}
+ */
+module.exports = function getRelationCascade(metadata, property) {
+
+	const relations = metadata.relations || {};
+	const relation = (relations['one-to-one'] && relations['one-to-one'][property]) ||
+		(relations['one-to-many'] && relations['one-to-many'][property]) || {};
+
+	const options = [].concat(relation.cascade || [], (getAdapterMetadata(metadata).cascade || {})[property] || [])
+		.map(option => String(option).toLowerCase());
+
+	const isAll = options.indexOf('all') !== -1;
+
+	return {
+		persist: isAll || options.indexOf('persist') !== -1,
+		remove: isAll || options.indexOf('remove') !== -1,
+		orphanRemoval: options.indexOf('orphanremoval') !== -1
+	};
+};
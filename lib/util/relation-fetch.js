@@ -0,0 +1,36 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local modules
+const getAdapterMetadata = require('./adapter-metadata');
+
+/**
+ * Get the fetch mode of a relation
+ *
+ * Relations are loaded eagerly with the documents that reference them unless the relation
+ * has a "fetch" option, or is configured in the document's adapter metadata:
+ *
+ *     metadata.adapters['bass-mongodb'].fetch = {
+ *         comments: 'lazy'
+ *     };
+ *
+ * @param  {Metadata} metadata
+ * @param  {String}   property the relation property
+ * @return {String}   "eager" or "lazy"
+ */
+module.exports = function getRelationFetch(metadata, property) {
+
+	const relations = metadata.relations || {};
+	const relation = (relations['one-to-one'] && relations['one-to-one'][property]) ||
+		(relations['one-to-many'] && relations['one-to-many'][property]) || {};
+
+	const fetch = (getAdapterMetadata(metadata).fetch || {})[property] || relation.fetch || 'eager';
+
+	return String(fetch).toLowerCase() === 'lazy' ? 'lazy' : 'eager';
+};
@@ -0,0 +1,46 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local modules
+const getAdapterMetadata = require('./adapter-metadata');
+
+/**
+ * Get the sort and limit of a to-many relation
+ *
+ * One-to-many relations take the sort and direction options of their @Bass:OneToMany annotation,
+ * and every relation can be configured in the document's adapter metadata:
+ *
+ *     metadata.adapters['bass-mongodb'].relations = {
+ *         comments: { sort: { createdAt: -1 }, limit: 20 }
+ *     };
+ *
+ * The sort is in property names of the related document, the limit applies per model.
+ *
+ * @param  {Metadata} metadata
+ * @param  {String}   property the relation property
+ * @return {{sort: Object|null, limit: Number|null}}
+ */
+module.exports = function getRelationOrder(metadata, property) {
+
+	const relations = metadata.relations || {};
+	const relation = (relations['one-to-many'] && relations['one-to-many'][property]) || {};
+	const options = (getAdapterMetadata(metadata).relations || {})[property] || {};
+
+	let sort = options.sort || null;
+
+	if (!sort && relation.sort) {
+		sort = {};
+		sort[relation.sort] = String(relation.direction || 'asc').toLowerCase() === 'desc' ? -1 : 1;
+	}
+
+	return {
+		sort: sort,
+		limit: parseInt(options.limit, 10) || null
+	};
+};
@@ -0,0 +1,29 @@
+/*
+ * This file is part of the bass-mongodb library.
+ *
+ * (c) Marc Roulias <marc@lampjunkie.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Run a callback based function and return a Promise for its result
+ *
+ * The Promise is rejected with the error the callback receives, otherwise it is
+ * resolved with the callback's result
+ *
+ * @param  {Function} fn function receiving a node style callback
+ * @return {Promise}
+ */
+module.exports = function toPromise(fn) {
+	return new Promise((resolve, reject) => {
+		fn((err, result) => {
+			if (err) {
+				reject(err);
+			} else {
+				resolve(result);
+			}
+		});
+	});
+};
@@ -0,0 +1,81 @@
+const Client = require('../lib/client');
+
+describe('Client.aggregate()', () => {
+
+    const metadata = {
+        name: 'Order',
+        fields: [{ property: 'id', name: '_id', type: 'ObjectID' }, { property: 'amount', name: 'amount', type: 'Number' }],
+        relations: {},
+        embeds: {},
+        adapters: {},
+        getFieldByProperty(property) {
+            return this.fields.find(field => field.property === property) || null;
+        },
+        getPropertyByFieldName(name) {
+            const field = this.fields.find(field => field.name === name);
+            return field ? field.property : null;
+        },
+        getIdFieldName: () => '_id'
+    };
+
+    const createCursor = documents => {
+        const remaining = documents.slice();
+        return {
+            next: cb => cb(null, remaining.length !== 0 ? remaining.shift() : null),
+            close: jasmine.createSpy('close')
+        };
+    };
+
+    const readAll = (stream, cb) => {
+        const items = [];
+        stream.on('data', item => items.push(item));
+        stream.on('error', err => cb(err, items));
+        stream.on('end', () => cb(null, items));
+    };
+
+    const documents = [1, 2, 3, 4, 5].map(amount => ({ _id: amount, amount: amount }));
+
+    it('hydrates a stream in batches', done => {
+
+        const cursor = createCursor(documents);
+        const client = new Client({ collection: (name, cb) => cb(null, { aggregate: () => cursor }) }, null);
+        const manager = {
+            mapDataToModels: jasmine.createSpy('mapDataToModels').and.callFake((metadata, documents, cb) =>
+                cb(null, documents.map(document => ({ id: document._id, amount: document.amount }))))
+        };
+
+        client.aggregate(metadata, 'orders', [{ $match: { amount: { $gt: 0 } } }], {
+            stream: true,
+            hydrate: true,
+            manager: manager,
+            batchSize: 2
+        }, (err, stream) => {
+
+            readAll(stream, (err, models) => {
+
+                expect(err).toBe(null);
+                expect(models.map(model => model.id)).toEqual([1, 2, 3, 4, 5]);
+                expect(manager.mapDataToModels.calls.allArgs().map(args => args[1].length)).toEqual([2, 2, 1]);
+                expect(cursor.close).toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+    it('fails a hydrated stream on results that do not have the shape of the document', done => {
+
+        const cursor = createCursor([{ _id: 1, total: 5 }]);
+        const client = new Client({ collection: (name, cb) => cb(null, { aggregate: () => cursor }) }, null);
+        const manager = { mapDataToModels: jasmine.createSpy('mapDataToModels') };
+
+        client.aggregate(metadata, 'orders', [], { stream: true, hydrate: true, manager: manager }, (err, stream) => {
+
+            readAll(stream, err => {
+
+                expect(err.message).toMatch(/the result 1 has the unknown fields "total"/);
+                expect(manager.mapDataToModels).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+});
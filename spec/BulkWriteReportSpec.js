@@ -0,0 +1,48 @@
+const BulkWriteReport = require('../lib/bulk-write-report');
+
+describe('BulkWriteReport', () => {
+
+    const createResult = (counts, writeErrors) => Object.assign({
+        getInsertedIds: () => [{ index: 0, _id: 'a' }],
+        getUpsertedIds: () => [{ index: 2, _id: 'b' }],
+        getWriteErrors: () => writeErrors || []
+    }, counts);
+
+    it('reads the counts, ids and write errors of a result', () => {
+
+        const report = BulkWriteReport.fromResult(createResult({ nInserted: 1, nMatched: 2, nModified: 1, nUpserted: 1 }, [
+            { index: 1, code: 11000, errmsg: 'duplicate key' }
+        ]));
+
+        expect(report.insertedCount).toBe(1);
+        expect(report.matchedCount).toBe(2);
+        expect(report.modifiedCount).toBe(1);
+        expect(report.upsertedCount).toBe(1);
+        expect(report.insertedIds).toEqual({ 0: 'a' });
+        expect(report.upsertedIds).toEqual({ 2: 'b' });
+        expect(report.writeErrors).toEqual([{ index: 1, code: 11000, message: 'duplicate key' }]);
+        expect(report.hasErrors()).toBe(true);
+    });
+
+    it('creates an empty report without a result', () => {
+
+        const report = BulkWriteReport.fromResult(null);
+
+        expect(report.matchedCount).toBe(0);
+        expect(report.hasErrors()).toBe(false);
+    });
+
+    it('sees every item but the failed ones as executed in unordered mode', () => {
+
+        const report = BulkWriteReport.fromResult(createResult({}, [{ index: 1, code: 1, errmsg: 'failed' }]));
+
+        expect([0, 1, 2].map(index => report.isExecuted(index, false))).toEqual([true, false, true]);
+    });
+
+    it('sees nothing from the first failed item on as executed in ordered mode', () => {
+
+        const report = BulkWriteReport.fromResult(createResult({}, [{ index: 1, code: 1, errmsg: 'failed' }]));
+
+        expect([0, 1, 2].map(index => report.isExecuted(index, true))).toEqual([true, false, false]);
+    });
+});
@@ -0,0 +1,88 @@
+const cascadePersist = require('../lib/util/cascade-persist');
+
+describe('cascadePersist()', () => {
+
+    const createMetadata = relations => ({
+        relations: relations,
+        adapters: { 'bass-mongodb': { cascade: { author: ['persist'], comments: ['persist'], tags: [] } } }
+    });
+
+    const Post = createMetadata({
+        'one-to-one': { author: { document: 'User' } },
+        'one-to-many': { comments: { document: 'Comment' }, tags: { document: 'Tag' } }
+    });
+
+    const Comment = createMetadata({ 'one-to-one': { author: { document: 'User' } } });
+    const User = createMetadata({});
+
+    /**
+     * Create a manager that records the order in which documents are persisted and flushed
+     */
+    const createManager = failures => {
+
+        const calls = [];
+
+        const manager = {
+            mapper: { adapterMapper: { getUnloadedRelation: (model, property) => model.unloaded === property ? {} : null } },
+            getMetadataForDocument: document => document.metadata,
+            persist: document => calls.push('persist ' + document.name),
+            flush: document => {
+                calls.push('flush ' + document.name);
+                document.id = document.name;
+                return failures && failures[document.name] ? Promise.reject(failures[document.name]) : Promise.resolve();
+            }
+        };
+
+        return { manager: manager, calls: calls };
+    };
+
+    it('writes the related models depth first before it persists the document', done => {
+
+        const { manager, calls } = createManager();
+
+        const author = { name: 'author', metadata: User };
+        const commenter = { name: 'commenter', metadata: User };
+        const post = {
+            name: 'post',
+            metadata: Post,
+            author: author,
+            comments: [{ name: 'comment', metadata: Comment, author: commenter }, { name: 'reply', metadata: Comment, author: author }],
+            tags: [{ name: 'tag', metadata: User }]
+        };
+
+        cascadePersist(manager, post).then(() => {
+
+            expect(calls).toEqual([
+                'persist author', 'flush author',
+                'persist commenter', 'flush commenter',
+                'persist comment', 'flush comment',
+                'persist reply', 'flush reply',
+                'persist post'
+            ]);
+            done();
+        }, done.fail);
+    });
+
+    it('skips relations that were not loaded', done => {
+
+        const { manager, calls } = createManager();
+
+        cascadePersist(manager, { name: 'post', metadata: Post, unloaded: 'author', author: { name: 'author', metadata: User } })
+            .then(() => {
+                expect(calls).toEqual(['persist post']);
+                done();
+            }, done.fail);
+    });
+
+    it('does not persist the document when a related model fails', done => {
+
+        const { manager, calls } = createManager({ author: new Error('duplicate key') });
+
+        cascadePersist(manager, { name: 'post', metadata: Post, author: { name: 'author', metadata: User } })
+            .then(done.fail, err => {
+                expect(err.message).toBe('duplicate key');
+                expect(calls).toEqual(['persist author', 'flush author']);
+                done();
+            });
+    });
+});
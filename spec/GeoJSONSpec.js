@@ -0,0 +1,138 @@
+const GeoJSON = require('../lib/mapping/geo-json');
+const Query = require('../lib/query');
+
+describe('GeoJSON', () => {
+
+    const ring = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+
+    describe('geometry()', () => {
+
+        it('makes points of positions', () => {
+
+            expect(GeoJSON.geometry([13.4, 52.5])).toEqual({ type: 'Point', coordinates: [13.4, 52.5] });
+            expect(GeoJSON.geometry({ lng: 13.4, lat: 52.5 })).toEqual({ type: 'Point', coordinates: [13.4, 52.5] });
+            expect(GeoJSON.geometry({ longitude: 13.4, latitude: 52.5 }, 'Point').coordinates).toEqual([13.4, 52.5]);
+        });
+
+        it('makes polygons of a single ring', () => {
+
+            expect(GeoJSON.geometry(ring, 'Polygon')).toEqual({ type: 'Polygon', coordinates: [ring] });
+        });
+
+        it('validates geometry collections', () => {
+
+            const collection = GeoJSON.geometry({
+                type: 'GeometryCollection',
+                geometries: [{ type: 'Point', coordinates: [1, 2] }, { type: 'LineString', coordinates: [[0, 0], [1, 1]] }]
+            });
+
+            expect(collection.geometries.length).toBe(2);
+            expect(() => GeoJSON.geometry({ type: 'GeometryCollection' })).toThrowError(/Invalid GeoJSON GeometryCollection/);
+        });
+
+        it('keeps a custom crs', () => {
+
+            const crs = { type: 'name', properties: { name: 'urn:x-mongodb:crs:strictwinding:EPSG:4326' } };
+
+            expect(GeoJSON.geometry({ type: 'Polygon', coordinates: [ring], crs: crs }).crs).toBe(crs);
+        });
+
+        it('rejects geometries of another type', () => {
+
+            expect(() => GeoJSON.geometry({ type: 'Point', coordinates: [1, 2] }, 'Polygon'))
+                .toThrowError(/Expected a GeoJSON Polygon/);
+        });
+
+        it('rejects unknown types and invalid values', () => {
+
+            expect(() => GeoJSON.geometry({ type: 'Circle', coordinates: [1, 2] })).toThrowError(/Unknown GeoJSON type/);
+            expect(() => GeoJSON.geometry('point')).toThrowError(/Invalid GeoJSON geometry/);
+            expect(() => GeoJSON.geometry({ type: 'LineString', coordinates: [[0, 0]] }))
+                .toThrowError(/Invalid GeoJSON LineString coordinates/);
+        });
+    });
+
+    describe('ring()', () => {
+
+        it('requires closed rings of at least 4 positions', () => {
+
+            expect(() => GeoJSON.ring([[0, 0], [1, 0], [0, 0]])).toThrowError(/at least 4 positions/);
+            expect(() => GeoJSON.ring([[0, 0], [1, 0], [1, 1], [0, 1]])).toThrowError(/end with its first position/);
+        });
+    });
+
+    describe('position()', () => {
+
+        it('rejects positions that are not numbers or out of range', () => {
+
+            expect(() => GeoJSON.position([1])).toThrowError(/Invalid GeoJSON position/);
+            expect(() => GeoJSON.position(['1', 2])).toThrowError(/Invalid GeoJSON position/);
+            expect(() => GeoJSON.position([52.5, 181])).toThrowError(/out of range/);
+        });
+
+        it('copies positions', () => {
+
+            const position = [1, 2, 3];
+
+            expect(GeoJSON.position(position)).toEqual(position);
+            expect(GeoJSON.position(position)).not.toBe(position);
+        });
+    });
+
+    describe('isFieldType()', () => {
+
+        it('knows the geometry field types', () => {
+
+            expect(GeoJSON.isFieldType('Point')).toBe(true);
+            expect(GeoJSON.isFieldType('geometry')).toBe(true);
+            expect(GeoJSON.isFieldType('string')).toBe(false);
+        });
+    });
+
+    describe('Query helpers', () => {
+
+        let query;
+
+        beforeEach(() => {
+            query = new Query();
+        });
+
+        it('near() keeps the point and the distances', () => {
+
+            query.where('location').near({ lng: 13.4, lat: 52.5 }, { maxDistance: 5000 });
+
+            expect(query.getNear()).toEqual({
+                property: 'location',
+                point: { type: 'Point', coordinates: [13.4, 52.5] },
+                maxDistance: 5000,
+                minDistance: null
+            });
+        });
+
+        it('withinBox() searches a polygon', () => {
+
+            query.withinBox('location', [0, 0], [1, 1]);
+
+            expect(query.getConditions().location).toEqual({
+                $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } }
+            });
+        });
+
+        it('withinCircle() converts the radius to radians', () => {
+
+            query.withinCircle('location', [0, 0], 6378100);
+
+            expect(query.getConditions().location).toEqual({ $geoWithin: { $centerSphere: [[0, 0], 1] } });
+            expect(() => query.withinCircle('location', [0, 0])).toThrowError(/requires a radius/);
+        });
+
+        it('intersects() takes any geometry', () => {
+
+            query.where('area').intersects({ type: 'LineString', coordinates: [[0, 0], [1, 1]] });
+
+            expect(query.getConditions().area).toEqual({
+                $geoIntersects: { $geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } }
+            });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const IndexSyncError = require('../lib/error/index-sync-error');
+const IndexSynchronizer = require('../lib/index-synchronizer');
+
+describe('IndexSynchronizer', () => {
+
+    const fieldNames = { title: 'title', createdAt: 'created_at', email: 'email' };
+
+    const Post = {
+        name: 'Post',
+        collection: 'posts',
+        fields: [],
+        indexes: {
+            single: [{ field: 'email', isUnique: true }],
+            compound: [{ fields: { title: 1, createdAt: -1 }, name: 'title_created' }]
+        },
+        adapters: {},
+        getFieldNameByProperty: property => fieldNames[property]
+    };
+
+    const registry = { metas: { Post: Post } };
+
+    /**
+     * Create a synchronizer on a collection whose listIndexes output is the given indexes
+     */
+    const createSynchronizer = (existing, failures) => {
+
+        failures = failures || {};
+
+        const coll = {
+            indexes: cb => cb(null, existing),
+            dropIndex: jasmine.createSpy('dropIndex').and.callFake((name, cb) => cb(failures[name] || null)),
+            createIndex: jasmine.createSpy('createIndex').and.callFake((key, options, cb) => cb(failures[options.name] || null))
+        };
+
+        const synchronizer = new IndexSynchronizer({ collection: (name, cb) => cb(null, coll) }, null);
+
+        return { synchronizer: synchronizer, coll: coll };
+    };
+
+    const idIndex = { name: '_id_', key: { _id: 1 } };
+    const emailIndex = { name: 'email_1', key: { email: 1 }, unique: true };
+
+    it('creates the declared indexes that do not exist', done => {
+
+        const { synchronizer, coll } = createSynchronizer([idIndex, emailIndex]);
+
+        synchronizer.synchronize(registry, {}, (err, report) => {
+
+            expect(err).toBe(null);
+            expect(report.posts).toEqual({ created: ['title_created'], dropped: [], changed: [], undeclared: [] });
+            expect(coll.createIndex).toHaveBeenCalledWith({ title: 1, created_at: -1 }, { name: 'title_created' }, jasmine.any(Function));
+            expect(coll.dropIndex).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it('reports changed and undeclared indexes without dropping them', done => {
+
+        const { synchronizer, coll } = createSynchronizer([
+            idIndex,
+            { name: 'email_1', key: { email: 1 } },
+            { name: 'title_created', key: { title: 1, created_at: -1 } },
+            { name: 'legacy_1', key: { legacy: 1 } }
+        ]);
+
+        synchronizer.synchronize(registry, {}, (err, report) => {
+
+            expect(report.posts).toEqual({ created: [], dropped: [], changed: ['email_1'], undeclared: ['legacy_1'] });
+            expect(coll.createIndex).not.toHaveBeenCalled();
+            expect(coll.dropIndex).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it('drops undeclared indexes and rebuilds changed ones with dropUndeclared', done => {
+
+        const { synchronizer, coll } = createSynchronizer([
+            idIndex,
+            { name: 'email_1', key: { email: 1 } },
+            { name: 'legacy_1', key: { legacy: 1 } }
+        ]);
+
+        synchronizer.synchronize(registry, { dropUndeclared: true }, (err, report) => {
+
+            expect(report.posts.dropped).toEqual(['legacy_1', 'email_1']);
+            expect(report.posts.created).toEqual(['title_created', 'email_1']);
+            expect(coll.createIndex).toHaveBeenCalledWith({ email: 1 }, { name: 'email_1', unique: true }, jasmine.any(Function));
+            done();
+        });
+    });
+
+    it('only reports what would change in a dry run', done => {
+
+        const { synchronizer, coll } = createSynchronizer([idIndex, { name: 'legacy_1', key: { legacy: 1 } }]);
+
+        synchronizer.synchronize(registry, { dropUndeclared: true, dryRun: true }, (err, report) => {
+
+            expect(report.posts.dropped).toEqual(['legacy_1']);
+            expect(report.posts.created).toEqual(['email_1', 'title_created']);
+            expect(coll.createIndex).not.toHaveBeenCalled();
+            expect(coll.dropIndex).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it('fails with an IndexSyncError that lists the failed indexes after trying the others', done => {
+
+        const { synchronizer } = createSynchronizer([idIndex], { email_1: new Error('duplicate key') });
+
+        synchronizer.synchronize(registry, {}, (err, report) => {
+
+            expect(err instanceof IndexSyncError).toBe(true);
+            expect(err.message).toBe('Could not synchronize indexes: posts.email_1 (duplicate key)');
+            expect(err.errors.map(failure => failure.index)).toEqual(['email_1']);
+            expect(report.posts.created).toEqual(['title_created']);
+            done();
+        });
+    });
+
+    it('treats a collection that does not exist yet as having no indexes', done => {
+
+        const { synchronizer, coll } = createSynchronizer(null);
+
+        coll.indexes = cb => cb(Object.assign(new Error('ns does not exist'), { code: 26 }));
+
+        synchronizer.synchronize(registry, {}, (err, report) => {
+
+            expect(err).toBe(null);
+            expect(report.posts.created).toEqual(['email_1', 'title_created']);
+            done();
+        });
+    });
+});
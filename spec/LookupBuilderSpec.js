@@ -0,0 +1,129 @@
+const LookupBuilder = require('../lib/lookup-builder');
+const Mapper = require('../lib/mapper');
+
+describe('LookupBuilder', () => {
+
+    const createMetadata = (name, fields, relations, adapter) => ({
+        name: name,
+        collection: name.toLowerCase() + 's',
+        idField: 'id',
+        fields: [{ property: 'id', name: '_id', type: 'ObjectID' }].concat(fields),
+        relations: relations || {},
+        embeds: {},
+        adapters: { 'bass-mongodb': adapter || {} },
+        getFieldByProperty(property) {
+            return this.fields.find(field => field.property === property) || null;
+        },
+        getPropertyByFieldName(name) {
+            const field = this.fields.find(field => field.name === name);
+            return field ? field.property : null;
+        },
+        getIdFieldName: () => '_id'
+    });
+
+    const User = createMetadata('User', [{ property: 'name', name: 'user_name', type: 'String' }], {}, {
+        relations: {
+            posts: { document: 'Post', mappedBy: 'author', sort: { createdAt: -1 }, limit: 5 },
+            roles: { document: 'Role', joinCollection: 'user_roles', joinColumn: 'user_id', inverseJoinColumn: 'role_id' }
+        }
+    });
+
+    const Post = createMetadata('Post', [{ property: 'createdAt', name: 'created_at', type: 'Date' }], {
+        'one-to-one': { author: { document: 'User', column: 'author_ref' } },
+        'one-to-many': { tags: { document: 'Tag', field: 'tags', sort: 'name' } }
+    }, {
+        fetch: { tags: 'lazy' }
+    });
+
+    const Tag = createMetadata('Tag', [{ property: 'name', name: 'name', type: 'String' }]);
+    const Role = createMetadata('Role', []);
+
+    const registry = { getMetadataByName: name => ({ User: User, Post: Post, Tag: Tag, Role: Role })[name] };
+
+    let builder;
+
+    beforeEach(() => {
+        builder = new LookupBuilder(registry, new Mapper(registry));
+    });
+
+    const refIds = (field, isMany) => builder.buildRefIdsExpression(field, isMany);
+
+    it('looks up one-to-one references by the ids of their DBRefs', () => {
+
+        expect(builder.build(Post, ['author'])).toEqual([{
+            $lookup: {
+                from: 'users',
+                let: { ids: refIds('$author_ref', false) },
+                pipeline: [{ $match: { $expr: { $in: ['$_id', '$$ids'] } } }],
+                as: '__populated.author'
+            }
+        }]);
+    });
+
+    it('sorts one-to-many references by the sort of their annotation', () => {
+
+        const lookup = builder.build(Post, ['tags'])[0].$lookup;
+
+        expect(lookup.let).toEqual({ ids: refIds('$tags', true) });
+        expect(lookup.pipeline).toEqual([{ $match: { $expr: { $in: ['$_id', '$$ids'] } } }, { $sort: { name: 1 } }]);
+    });
+
+    it('looks up inverse relations by the DBRefs of the owning side, sorted and limited', () => {
+
+        const lookup = builder.build(User, ['posts'])[0].$lookup;
+
+        expect(lookup.from).toBe('posts');
+        expect(lookup.let).toEqual({ id: '$_id' });
+        expect(lookup.pipeline).toEqual([
+            { $match: { $expr: { $in: ['$$id', refIds('$author_ref', false)] } } },
+            { $sort: { created_at: -1 } },
+            { $limit: 5 }
+        ]);
+    });
+
+    it('looks up join collection relations through their rows', () => {
+
+        const lookup = builder.build(User, ['roles'])[0].$lookup;
+
+        expect(lookup.from).toBe('user_roles');
+        expect(lookup.pipeline[0]).toEqual({ $match: { $expr: { $eq: ['$user_id', '$$id'] } } });
+        expect(lookup.pipeline[1].$lookup.from).toBe('roles');
+        expect(lookup.pipeline.slice(2)).toEqual([{ $unwind: '$document' }, { $replaceRoot: { newRoot: '$document' } }]);
+    });
+
+    it('nests the lookups of nested paths', () => {
+
+        const lookup = builder.build(Post, ['author.posts'])[0].$lookup;
+
+        expect(lookup.pipeline.length).toBe(2);
+        expect(lookup.pipeline[1].$lookup.as).toBe('__populated.posts');
+    });
+
+    it('populates every eager relation for "*" as deep as the depth', () => {
+
+        expect(builder.build(Post, ['*']).map(stage => stage.$lookup.as)).toEqual(['__populated.author']);
+
+        const lookup = builder.build(Post, ['*'], 2)[0].$lookup;
+
+        expect(lookup.pipeline.slice(1).map(stage => stage.$lookup.as)).toEqual(['__populated.posts', '__populated.roles']);
+    });
+
+    it('reads the ids of DBRefs as object ids', () => {
+
+        expect(refIds('$author_ref', false)).toEqual({
+            $cond: [{ $eq: [{ $type: '$author_ref' }, 'object'] }, [{
+                $let: {
+                    vars: { pair: { $arrayElemAt: [{ $objectToArray: '$author_ref' }, 1] } },
+                    in: { $convert: { input: '$$pair.v', to: 'objectId', onError: '$$pair.v', onNull: null } }
+                }
+            }], []]
+        });
+
+        expect(refIds('$tags', true).$map.input).toEqual({ $ifNull: ['$tags', []] });
+    });
+
+    it('rejects unknown relations', () => {
+
+        expect(() => builder.build(Post, ['comments'])).toThrowError(/Can not populate unknown relation "Post.comments"/);
+    });
+});
@@ -0,0 +1,144 @@
+const { ObjectID } = require('mongodb');
+
+const Client = require('../lib/client');
+const ConversionError = require('../lib/error/conversion-error');
+const Mapper = require('../lib/mapper');
+const Query = require('../lib/query');
+
+describe('Mapper', () => {
+
+    const createMetadata = (name, fields, embeds) => ({
+        name: name,
+        collection: name.toLowerCase() + 's',
+        idField: 'id',
+        fields: [{ property: 'id', name: '_id', type: 'ObjectID' }].concat(fields),
+        relations: {},
+        embeds: embeds || {},
+        adapters: { 'bass-mongodb': {} },
+        getFieldByProperty(property) {
+            return this.fields.find(field => field.property === property) || null;
+        },
+        getPropertyByFieldName(name) {
+            const field = this.fields.find(field => field.name === name);
+            return field ? field.property : null;
+        },
+        getIdFieldName: () => '_id'
+    });
+
+    const Address = createMetadata('Address', [
+        { property: 'token', name: 'token', type: 'uuid' },
+        { property: 'city', name: 'city_name', type: 'String' }
+    ]);
+
+    const User = createMetadata('User', [
+        { property: 'token', name: 'api_token', type: 'uuid' },
+        { property: 'address', name: 'address', type: 'object' },
+        { property: 'managerId', name: 'manager_id', type: 'ObjectID' },
+        { property: 'stats', name: 'stats', type: 'object' },
+        { property: 'views', name: 'stats.view_count', type: 'Number' }
+    ], { one: { address: { document: 'Address' } } });
+
+    const registry = { getMetadataByName: name => ({ User: User, Address: Address })[name] };
+
+    let mapper;
+
+    beforeEach(() => {
+        mapper = new Mapper(registry);
+    });
+
+    describe('mapCriteriaToDatabase()', () => {
+
+        const id = '5f0000000000000000000001';
+        const otherId = '5f0000000000000000000002';
+
+        it('converts ids to object ids by property and by field name', () => {
+
+            const criteria = mapper.mapCriteriaToDatabase(User, { id: id, manager_id: otherId });
+
+            expect(criteria._id instanceof ObjectID).toBe(true);
+            expect(criteria._id.toHexString()).toBe(id);
+            expect(criteria.manager_id instanceof ObjectID).toBe(true);
+        });
+
+        it('converts ids inside logical and comparison operators', () => {
+
+            const criteria = mapper.mapCriteriaToDatabase(User, {
+                $or: [{ managerId: { $in: [id, otherId] } }, { id: { $ne: id } }],
+                $nor: [{ managerId: { $not: { $eq: otherId } } }]
+            });
+
+            expect(criteria.$or[0].manager_id.$in.map(value => value instanceof ObjectID)).toEqual([true, true]);
+            expect(criteria.$or[1]._id.$ne.toHexString()).toBe(id);
+            expect(criteria.$nor[0].manager_id.$not.$eq instanceof ObjectID).toBe(true);
+        });
+
+        it('maps dot notation paths in to embedded documents and object fields', () => {
+
+            expect(mapper.mapCriteriaToDatabase(User, { 'address.city': 'Paris' })).toEqual({ 'address.city_name': 'Paris' });
+            expect(mapper.mapCriteriaToDatabase(User, { 'stats.views': { $gt: 10 } })).toEqual({ 'stats.view_count': { $gt: 10 } });
+            expect(mapper.mapCriteriaToDatabase(User, { 'stats.likes': 1 })).toEqual({ 'stats.likes': 1 });
+        });
+
+        it('passes unknown keys and operators through as they are', () => {
+
+            const criteria = { legacy_flag: true, $where: 'this.a > 1', misspelt: { $in: [id] } };
+
+            expect(mapper.mapCriteriaToDatabase(User, criteria)).toEqual(criteria);
+        });
+    });
+
+    describe('values that can not be converted', () => {
+
+        it('are returned as a ConversionError instead of throwing', () => {
+
+            const value = mapper.convertModelValueToDbValue('uuid', 'not-a-uuid');
+
+            expect(value instanceof ConversionError).toBe(true);
+            expect(value.type).toBe('uuid');
+            expect(value.message).toMatch(/Invalid UUID: not-a-uuid/);
+        });
+
+        it('fail the write of the model through the mapping error key', done => {
+
+            const model = { token: 'not-a-uuid' };
+            const data = { api_token: mapper.convertModelValueToDbValue('uuid', model.token) };
+
+            mapper.convertModelRelationsToData(User, model, data, (err, data) => {
+
+                expect(err instanceof ConversionError).toBe(true);
+                expect(data[Mapper.mappingErrorKey]).toBe(err);
+
+                const db = { collection: jasmine.createSpy('collection') };
+
+                new Client(db, null).update(User, 'users', '5f0000000000000000000001', data, err => {
+
+                    expect(err.message).toMatch(/Invalid UUID/);
+                    expect(db.collection).not.toHaveBeenCalled();
+                    done();
+                });
+            });
+        });
+
+        it('fail the write of a model with an invalid embedded value', done => {
+
+            mapper.convertModelRelationsToData(User, { address: { token: 'nope' } }, {}, err => {
+
+                expect(err instanceof ConversionError).toBe(true);
+                done();
+            });
+        });
+
+        it('still throw in criteria', () => {
+
+            expect(() => mapper.mapCriteriaToDatabase(User, { token: 'not-a-uuid' })).toThrowError(/Invalid UUID/);
+        });
+
+        it('fail a Query whose conditions bass converted', () => {
+
+            const query = new Query();
+            query.getConditions().api_token = mapper.convertModelValueToDbValue('uuid', 'not-a-uuid');
+
+            expect(() => new Client({}, null).convertQueryToCriteria(query)).toThrowError(/Invalid UUID/);
+        });
+    });
+});
@@ -0,0 +1,171 @@
+const EventEmitter = require('events');
+const { ObjectID } = require('mongodb');
+
+const Client = require('../lib/client');
+const Connection = require('../lib/connection');
+const maskValues = require('../lib/util/mask-values');
+
+describe('Monitoring', () => {
+
+    const createConnection = (monitoring, logger) => {
+        const client = new EventEmitter();
+        const connection = new Connection({}, logger || null, client);
+        connection.options = { monitoring: monitoring };
+        return { connection: connection, client: client };
+    };
+
+    const payload = () => ({
+        email: 'jane@example.com',
+        age: { $gte: 18 },
+        ids: [new ObjectID('5f0000000000000000000001')],
+        createdAt: new Date(0),
+        tags: ['a', null]
+    });
+
+    describe('maskValues()', () => {
+
+        it('keeps the keys and operators and replaces the values by their type', () => {
+
+            expect(maskValues(payload())).toEqual({
+                email: '[string]',
+                age: { $gte: '[number]' },
+                ids: ['[ObjectID]'],
+                createdAt: '[date]',
+                tags: ['[string]', null]
+            });
+        });
+
+        it('leaves the payload as it is', () => {
+
+            const original = payload();
+
+            maskValues(original);
+
+            expect(original).toEqual(payload());
+        });
+    });
+
+    describe('Connection.getRedactor()', () => {
+
+        it('masks values by default', () => {
+
+            expect(createConnection(true).connection.getRedactor()).toBe(maskValues);
+        });
+
+        it('calls the redact option with a copy of the payload', () => {
+
+            const { connection } = createConnection({
+                redact: data => {
+                    data.email = '***';
+                    return data;
+                }
+            });
+
+            const original = payload();
+            const redacted = connection.getRedactor()(original);
+
+            expect(redacted.email).toBe('***');
+            expect(redacted.age).toEqual({ $gte: 18 });
+            expect(original.email).toBe('jane@example.com');
+        });
+
+        it('does not redact with redact: false', () => {
+
+            expect(createConnection({ redact: false }).connection.getRedactor()).toBe(null);
+        });
+    });
+
+    describe('Client.formatPayload()', () => {
+
+        it('logs masked payloads', () => {
+
+            const original = payload();
+            const logged = new Client(createConnection(true).connection, null).formatPayload(original);
+
+            expect(logged).toBe(JSON.stringify(maskValues(original)));
+            expect(logged).not.toContain('jane@example.com');
+            expect(original).toEqual(payload());
+        });
+
+        it('masks payloads without a connection that redacts', () => {
+
+            expect(new Client({}, null).formatPayload({ email: 'jane@example.com' })).toBe('{"email":"[string]"}');
+        });
+    });
+
+    describe('command events', () => {
+
+        it('are emitted through connection.events with masked commands', () => {
+
+            const { connection, client } = createConnection(true);
+            const started = jasmine.createSpy('commandStarted');
+            const succeeded = jasmine.createSpy('commandSucceeded');
+            const command = { find: 'users', filter: { email: 'jane@example.com' } };
+
+            connection.events.on('commandStarted', started);
+            connection.events.on('commandSucceeded', succeeded);
+
+            client.emit('commandStarted', { commandName: 'find', command: command, databaseName: 'app', requestId: 1, connectionId: 'db1:27017' });
+            client.emit('commandSucceeded', { commandName: 'find', reply: { cursor: { firstBatch: [{}, {}] } }, requestId: 1, duration: 3 });
+
+            expect(started).toHaveBeenCalledWith({
+                command: { find: '[string]', filter: { email: '[string]' } },
+                operation: 'find',
+                collection: 'users',
+                database: 'app',
+                requestId: 1,
+                connectionId: 'db1:27017'
+            });
+            expect(command.filter.email).toBe('jane@example.com');
+            expect(succeeded.calls.argsFor(0)[0]).toEqual(jasmine.objectContaining({ collection: 'users', duration: 3, documentCount: 2 }));
+        });
+
+        it('report failures with their error', () => {
+
+            const logger = jasmine.createSpyObj('logger', ['debug']);
+            const { connection, client } = createConnection({ log: 'debug' }, logger);
+            const failed = jasmine.createSpy('commandFailed');
+
+            connection.events.on('commandFailed', failed);
+
+            client.emit('commandFailed', {
+                commandName: 'insert',
+                databaseName: 'app',
+                requestId: 2,
+                duration: 5,
+                failure: { code: 11000, codeName: 'DuplicateKey', message: 'duplicate key' }
+            });
+
+            expect(failed.calls.argsFor(0)[0]).toEqual(jasmine.objectContaining({ errorCode: 11000, errorName: 'DuplicateKey' }));
+            expect(logger.debug).toHaveBeenCalledWith('[bass-mongodb] - command insert: failed: DuplicateKey duplicate key : 5ms');
+        });
+    });
+
+    describe('topology events', () => {
+
+        const description = type => ({ servers: new Map([['db1:27017', { type: type }]]) });
+
+        it('are emitted through connection.events on a disconnect and the reconnect', () => {
+
+            const { connection, client } = createConnection(false);
+            const events = [];
+
+            ['disconnect', 'reconnect', 'close'].forEach(name => connection.events.on(name, event => events.push([name, event])));
+
+            client.emit('topologyDescriptionChanged', { previousDescription: description('RSPrimary'), newDescription: description('Unknown') });
+            client.emit('topologyDescriptionChanged', { previousDescription: description('Unknown'), newDescription: description('RSPrimary') });
+            client.emit('close');
+
+            expect(events.map(event => event[0])).toEqual(['disconnect', 'reconnect', 'close']);
+            expect(events[0][1]).toEqual({ servers: ['db1:27017'] });
+            expect(typeof events[1][1].downtime).toBe('number');
+        });
+
+        it('are not emitted on the connection itself', () => {
+
+            const { connection } = createConnection(false);
+
+            expect(typeof connection.on).toBe('undefined');
+        });
+    });
+});
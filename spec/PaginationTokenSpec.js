@@ -0,0 +1,61 @@
+const { Decimal128, Long, ObjectID } = require('mongodb');
+
+const PaginationToken = require('../lib/pagination-token');
+
+describe('PaginationToken', () => {
+
+    const sort = { created_at: -1, _id: 1 };
+
+    it('encodes url safe tokens', () => {
+
+        const token = PaginationToken.encode(sort, ['???>>>', 1]);
+
+        expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('decodes the values of a token', () => {
+
+        const token = PaginationToken.encode(sort, ['a', 1]);
+
+        expect(PaginationToken.decode(token, sort)).toEqual(['a', 1]);
+    });
+
+    it('keeps the BSON types of the values', () => {
+
+        const id = new ObjectID();
+        const date = new Date('2020-01-02T03:04:05.006Z');
+
+        const values = PaginationToken.decode(PaginationToken.encode(
+            { a: 1, b: 1, c: 1, d: 1 },
+            [id, date, Decimal128.fromString('1.10'), Long.fromString('9007199254740993')]
+        ), { a: 1, b: 1, c: 1, d: 1 });
+
+        expect(values[0] instanceof ObjectID).toBe(true);
+        expect(values[0].equals(id)).toBe(true);
+        expect(values[1] instanceof Date).toBe(true);
+        expect(values[1].getTime()).toBe(date.getTime());
+        expect(values[2] instanceof Decimal128).toBe(true);
+        expect(values[2].toString()).toBe('1.10');
+        expect(values[3] instanceof Long).toBe(true);
+        expect(values[3].toString()).toBe('9007199254740993');
+    });
+
+    it('encodes missing values as null', () => {
+
+        expect(PaginationToken.decode(PaginationToken.encode(sort, [undefined, 1]), sort)).toEqual([null, 1]);
+    });
+
+    it('rejects malformed tokens', () => {
+
+        expect(() => PaginationToken.decode('not a token', sort)).toThrowError(/Invalid pagination token/);
+        expect(() => PaginationToken.decode(Buffer.from('{"s":{}}').toString('base64'), sort))
+            .toThrowError(/Invalid pagination token/);
+    });
+
+    it('rejects tokens of another sort', () => {
+
+        const token = PaginationToken.encode({ created_at: 1, _id: 1 }, ['a', 1]);
+
+        expect(() => PaginationToken.decode(token, sort)).toThrowError(/created for the sort/);
+    });
+});
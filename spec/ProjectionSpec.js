@@ -0,0 +1,116 @@
+const Client = require('../lib/client');
+const Mapper = require('../lib/mapper');
+
+describe('Projections', () => {
+
+    const Post = {
+        name: 'Post',
+        collection: 'posts',
+        idField: 'id',
+        versionProperty: 'version',
+        fields: [
+            { property: 'id', name: '_id', type: 'ObjectID' },
+            { property: 'title', name: 'post_title', type: 'String' },
+            { property: 'body', name: 'body', type: 'String' },
+            { property: 'comments', name: 'comments', type: 'array' },
+            { property: 'version', name: 'version', type: 'Number' }
+        ],
+        relations: { 'one-to-one': { author: { document: 'User', column: 'author_ref' } } },
+        embeds: {},
+        adapters: { 'bass-mongodb': {} },
+        getFieldByProperty(property) {
+            return this.fields.find(field => field.property === property) || null;
+        },
+        getPropertyByFieldName(name) {
+            const field = this.fields.find(field => field.name === name);
+            return field ? field.property : null;
+        },
+        getFieldNameByProperty(property) {
+            const field = this.getFieldByProperty(property);
+            return field ? field.name : null;
+        },
+        getIdFieldName: () => '_id'
+    };
+
+    const client = new Client({}, null);
+
+    describe('Client.createProjection()', () => {
+
+        it('loads the included fields with the id and the version', () => {
+
+            expect(client.createProjection(Post, ['title'])).toEqual({
+                options: { projection: { post_title: 1, version: 1 } },
+                loadedFields: ['post_title', 'version', '_id']
+            });
+        });
+
+        it('loads every field and relation but the excluded ones', () => {
+
+            expect(client.createProjection(Post, { body: 0 })).toEqual({
+                options: { projection: { body: 0 } },
+                loadedFields: ['_id', 'post_title', 'comments', 'version', 'author_ref']
+            });
+        });
+
+        it('does not count sliced or nested fields as loaded', () => {
+
+            expect(client.createProjection(Post, { title: 1, comments: { $slice: 5 } }).loadedFields)
+                .toEqual(['post_title', 'version', '_id']);
+            expect(client.createProjection(Post, { 'comments.text': 0 }).loadedFields)
+                .toEqual(['_id', 'post_title', 'body', 'version', 'author_ref']);
+        });
+
+        it('loads whole documents without a projection', () => {
+
+            expect(client.createProjection(Post, null)).toEqual({ options: {}, loadedFields: null });
+            expect(client.createProjection(Post, [])).toEqual({ options: {}, loadedFields: null });
+        });
+    });
+
+    describe('Client.markPartialDocuments()', () => {
+
+        it('marks the documents with their loaded fields, without making it a field', () => {
+
+            const documents = client.markPartialDocuments([{ _id: 1 }], { loadedFields: ['_id'] });
+
+            expect(documents[0].__loadedFields).toEqual(['_id']);
+            expect(Object.keys(documents[0])).toEqual(['_id']);
+        });
+
+        it('leaves whole documents as they are', () => {
+
+            expect(client.markPartialDocuments([{ _id: 1 }], { loadedFields: null })[0].__loadedFields).toBeUndefined();
+        });
+    });
+
+    describe('partial documents', () => {
+
+        it('do not write the fields they did not load', done => {
+
+            const mapper = new Mapper({ getMetadataByName: () => null });
+            const model = { title: 'a', body: undefined };
+
+            Object.defineProperty(model, '__loadedFields', { value: ['_id', 'post_title', 'version'] });
+
+            mapper.convertModelRelationsToData(Post, model, { post_title: 'a', body: null, comments: null }, (err, data) => {
+
+                expect(err).toBe(null);
+                expect(data.post_title).toBe('a');
+                expect(data.body).toBeUndefined();
+                expect(data.comments).toBeUndefined();
+                done();
+            });
+        });
+
+        it('write every field once they are loaded in full', done => {
+
+            const mapper = new Mapper({ getMetadataByName: () => null });
+
+            mapper.convertModelRelationsToData(Post, { title: 'a' }, { post_title: 'a', body: null }, (err, data) => {
+
+                expect(data.body).toBe(null);
+                done();
+            });
+        });
+    });
+});
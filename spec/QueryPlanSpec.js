@@ -0,0 +1,82 @@
+const QueryPlan = require('../lib/query-plan');
+
+describe('QueryPlan', () => {
+
+    it('collects the stages and indexes of the winning plan', () => {
+
+        const plan = new QueryPlan({
+            queryPlanner: {
+                winningPlan: {
+                    stage: 'FETCH',
+                    inputStage: { stage: 'IXSCAN', indexName: 'status_1' }
+                }
+            }
+        });
+
+        expect(plan.stages).toEqual(['FETCH', 'IXSCAN']);
+        expect(plan.indexes).toEqual(['status_1']);
+        expect(plan.isCollectionScan).toBe(false);
+        expect(plan.hasInMemorySort).toBe(false);
+        expect(plan.missingIndex).toBe(null);
+        expect(plan.docsExamined).toBe(null);
+    });
+
+    it('suggests an index for collection scans: equality fields, then the sort, then ranges', () => {
+
+        const plan = new QueryPlan(
+            { queryPlanner: { winningPlan: { stage: 'SORT', inputStage: { stage: 'COLLSCAN' } } } },
+            { $and: [{ status: 'published' }, { score: { $gt: 3 } }], author: { $eq: 1 }, $or: [{ a: 1 }] },
+            { createdAt: -1 }
+        );
+
+        expect(plan.isCollectionScan).toBe(true);
+        expect(plan.hasInMemorySort).toBe(true);
+        expect(plan.missingIndex).toEqual({ status: 1, author: 1, createdAt: -1, score: 1 });
+    });
+
+    it('reads the query of aggregations and sharded aggregations', () => {
+
+        const plan = new QueryPlan({
+            stages: [
+                { $cursor: { queryPlanner: { winningPlan: { stage: 'COLLSCAN' } } } },
+                { $lookup: {} }
+            ],
+            shards: {
+                shard0: { stages: [{ $cursor: { queryPlanner: { winningPlan: { stage: 'IXSCAN', indexName: 'a_1' } } } }] }
+            }
+        });
+
+        expect(plan.stages).toEqual(['COLLSCAN', 'IXSCAN']);
+        expect(plan.indexes).toEqual(['a_1']);
+    });
+
+    it('reads slot based plans', () => {
+
+        const plan = new QueryPlan({
+            queryPlanner: { winningPlan: { queryPlan: { stage: 'FETCH', inputStage: { stage: 'IXSCAN', indexName: 'b_1' } } } }
+        });
+
+        expect(plan.stages).toEqual(['FETCH', 'IXSCAN']);
+    });
+
+    it('reads the execution stats', () => {
+
+        const plan = new QueryPlan({
+            queryPlanner: { winningPlan: { stage: 'COLLSCAN' } },
+            executionStats: { totalDocsExamined: 100, totalKeysExamined: 0, nReturned: 3, executionTimeMillis: 7 }
+        });
+
+        expect(plan.docsExamined).toBe(100);
+        expect(plan.keysExamined).toBe(0);
+        expect(plan.returned).toBe(3);
+        expect(plan.executionTimeMillis).toBe(7);
+    });
+
+    it('handles explain output without plans', () => {
+
+        const plan = new QueryPlan(null);
+
+        expect(plan.stages).toEqual([]);
+        expect(plan.isCollectionScan).toBe(false);
+    });
+});
@@ -0,0 +1,141 @@
+const Query = require('../lib/query');
+
+describe('Query', () => {
+
+    let query;
+
+    beforeEach(() => {
+        query = new Query();
+    });
+
+    describe('regex()', () => {
+
+        it('matches a RegExp on the current field', () => {
+
+            query.where('title').regex(/^mongo/i);
+
+            expect(query.toCriteria()).toEqual({ title: { $regex: '^mongo', $options: 'i' } });
+        });
+
+        it('matches a RegExp on a path', () => {
+
+            query.regex('title', /^mongo/);
+
+            expect(query.toCriteria()).toEqual({ title: { $regex: '^mongo' } });
+        });
+
+        it('matches a pattern with flags that RegExps do not have', () => {
+
+            query.regex('title', { pattern: '^mongo # prefix', flags: 'ix' });
+
+            expect(query.toCriteria()).toEqual({ title: { $regex: '^mongo # prefix', $options: 'ix' } });
+        });
+
+        it('takes a string as the path, never as the pattern', () => {
+
+            query.where('age').gt(1);
+            query.regex('name', /^a/i);
+
+            expect(query.toCriteria()).toEqual({ age: { $gt: 1 }, name: { $regex: '^a', $options: 'i' } });
+
+            expect(() => query.regex('name', 'i')).toThrowError(/expected a RegExp/);
+            expect(() => new Query().where('name').regex('^a', 'i')).toThrowError(/expected a RegExp/);
+        });
+
+        it('rejects invalid patterns and flags', () => {
+
+            expect(() => query.regex('title', { pattern: '(' })).toThrowError(/Invalid regex/);
+            expect(() => query.regex('title', { pattern: 'a', flags: 'g' })).toThrowError(/Invalid regex flags/);
+        });
+
+        it('requires a field', () => {
+
+            expect(() => query.regex(/^a/)).toThrowError(/regex must be called after where\(\)/);
+        });
+    });
+
+    describe('exists() and elemMatch()', () => {
+
+        it('add criteria on the current field', () => {
+
+            query.where('deletedAt').exists(false)
+                .where('comments').elemMatch(q => q.where('likes').gte(10).where('spam').exists(false));
+
+            expect(query.toCriteria()).toEqual({
+                deletedAt: { $exists: false },
+                comments: { $elemMatch: { likes: { $gte: 10 }, spam: { $exists: false } } }
+            });
+        });
+
+        it('reject criteria that are not objects or functions', () => {
+
+            expect(() => query.elemMatch('comments', 'x')).toThrowError(/elemMatch\(\) expects criteria/);
+        });
+    });
+
+    describe('or(), nor() and and()', () => {
+
+        it('build criteria from objects and functions', () => {
+
+            query.or([{ status: 'published' }, q => q.where('author').equals('a')]);
+
+            expect(query.toCriteria()).toEqual({ $or: [{ status: 'published' }, { author: 'a' }] });
+        });
+
+        it('require a list of criteria', () => {
+
+            expect(() => query.nor([])).toThrowError(/nor\(\) expects a list of criteria/);
+        });
+
+        it('are added to $and when the key is taken', () => {
+
+            query.or([{ a: 1 }]).or([{ b: 2 }]);
+
+            expect(query.toCriteria()).toEqual({ $or: [{ a: 1 }], $and: [{ $or: [{ b: 2 }] }] });
+        });
+    });
+
+    describe('cursor options', () => {
+
+        it('are kept out of the criteria', () => {
+
+            query.where('a').equals(1)
+                .hint({ createdAt: -1 })
+                .collation({ locale: 'en', strength: 2 })
+                .maxTimeMS(2000)
+                .comment('search');
+
+            expect(query.toCriteria()).toEqual({ a: 1 });
+            expect(query.getCursorOptions()).toEqual({
+                hint: { createdAt: -1 },
+                collation: { locale: 'en', strength: 2 },
+                maxTimeMS: 2000,
+                comment: 'search'
+            });
+        });
+
+        it('are validated', () => {
+
+            expect(() => query.hint({})).toThrowError(/Invalid hint/);
+            expect(() => query.collation({})).toThrowError(/Invalid collation/);
+            expect(() => query.maxTimeMS(1.5)).toThrowError(/Invalid maxTimeMS/);
+        });
+    });
+
+    describe('toCriteria()', () => {
+
+        it('prefixes bass operators', () => {
+
+            query.where('age').gte(18).lt(65);
+
+            expect(query.toCriteria()).toEqual({ age: { $gte: 18, $lt: 65 } });
+        });
+
+        it('rejects conditions that can not be nested', () => {
+
+            query.search('coffee');
+
+            expect(() => query.toCriteria()).toThrowError(/\$text condition can not be nested/);
+        });
+    });
+});
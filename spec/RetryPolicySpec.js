@@ -0,0 +1,196 @@
+const RetryPolicy = require('../lib/retry-policy');
+
+describe('RetryPolicy', () => {
+
+    const error = (name, code, message) => {
+        const err = new Error(message || name);
+        err.name = name;
+        if (code !== undefined) {
+            err.code = code;
+        }
+        return err;
+    };
+
+    describe('options', () => {
+
+        it('have defaults', () => {
+
+            const policy = new RetryPolicy();
+
+            expect(policy.maxAttempts).toBe(3);
+            expect(policy.initialDelay).toBe(100);
+            expect(policy.maxDelay).toBe(2000);
+            expect(policy.factor).toBe(2);
+            expect(policy.hasJitter).toBe(true);
+            expect(policy.isRetryingWrites).toBe(true);
+            expect(policy.logLevel).toBe('warn');
+        });
+
+        it('are validated', () => {
+
+            expect(() => new RetryPolicy({ maxAttempts: 0 })).toThrowError(/"maxAttempts" must be a number of at least 1/);
+            expect(() => new RetryPolicy({ initialDelay: '100' })).toThrowError(/"initialDelay"/);
+            expect(() => new RetryPolicy({ factor: 0.5 })).toThrowError(/"factor"/);
+        });
+    });
+
+    describe('classify()', () => {
+
+        const policy = new RetryPolicy();
+
+        it('finds operations that were not executed', () => {
+
+            expect(policy.classify(error('MongoServerSelectionError'))).toBe('unavailable');
+            expect(policy.classify(error('MongoError', 10107))).toBe('unavailable');
+            expect(policy.classify(error('MongoError', undefined, 'not master'))).toBe('unavailable');
+        });
+
+        it('finds operations that were interrupted', () => {
+
+            expect(policy.classify(error('MongoNetworkError'))).toBe('transient');
+            expect(policy.classify(error('MongoError', 11600))).toBe('transient');
+
+            const writeConcernError = error('WriteConcernError');
+            writeConcernError.result = { code: 91 };
+
+            expect(policy.classify(writeConcernError)).toBe('transient');
+        });
+
+        it('does not retry other errors', () => {
+
+            expect(policy.classify(error('MongoError', 11000))).toBe(null);
+            expect(policy.classify(new TypeError('x'))).toBe(null);
+            expect(policy.classify(null)).toBe(null);
+        });
+    });
+
+    describe('isRetryable()', () => {
+
+        it('retries reads after any retryable error', () => {
+
+            const policy = new RetryPolicy();
+
+            expect(policy.isRetryable(error('MongoNetworkError'), { isWrite: false })).toBe(true);
+        });
+
+        it('retries only idempotent writes after interruptions', () => {
+
+            const policy = new RetryPolicy();
+
+            expect(policy.isRetryable(error('MongoNetworkError'), { isWrite: true })).toBe(false);
+            expect(policy.isRetryable(error('MongoNetworkError'), { isWrite: true, isIdempotent: true })).toBe(true);
+            expect(policy.isRetryable(error('MongoServerSelectionError'), { isWrite: true })).toBe(true);
+        });
+
+        it('does not retry partial writes', () => {
+
+            const policy = new RetryPolicy();
+            const err = error('MongoServerSelectionError');
+            err.result = { nInserted: 2 };
+
+            expect(policy.isRetryable(err, { isWrite: true, isIdempotent: true })).toBe(false);
+        });
+
+        it('does not retry writes if retryWrites is off', () => {
+
+            const policy = new RetryPolicy({ retryWrites: false });
+
+            expect(policy.isRetryable(error('MongoServerSelectionError'), { isWrite: true })).toBe(false);
+        });
+    });
+
+    describe('getDelay()', () => {
+
+        it('backs off exponentially up to the maximum delay', () => {
+
+            const policy = new RetryPolicy({ jitter: false, initialDelay: 100, maxDelay: 300 });
+
+            expect(policy.getDelay(1)).toBe(100);
+            expect(policy.getDelay(2)).toBe(200);
+            expect(policy.getDelay(3)).toBe(300);
+        });
+
+        it('waits a random delay up to the backoff delay with jitter', () => {
+
+            const policy = new RetryPolicy({ initialDelay: 100 });
+
+            for (let i = 0; i < 20; i++) {
+                const delay = policy.getDelay(1);
+                expect(delay >= 0 && delay <= 100).toBe(true);
+            }
+        });
+    });
+
+    describe('run()', () => {
+
+        const operation = { name: 'findBy', collection: 'posts', isWrite: false };
+
+        it('retries until the operation succeeds', done => {
+
+            const policy = new RetryPolicy({ initialDelay: 0, log: false });
+            const events = [];
+            let calls = 0;
+
+            policy.on('retry', event => events.push(event));
+
+            policy.run(operation, cb => {
+                calls++;
+                calls < 3 ? cb(error('MongoNetworkError')) : cb(null, 'result');
+            }, (err, result) => {
+
+                expect(err).toBe(null);
+                expect(result).toBe('result');
+                expect(calls).toBe(3);
+                expect(events.map(event => event.attempt)).toEqual([1, 2]);
+                expect(events[0].operation).toBe('findBy');
+                expect(events[0].collection).toBe('posts');
+                done();
+            });
+        });
+
+        it('gives up after the maximum number of attempts', done => {
+
+            const policy = new RetryPolicy({ maxAttempts: 2, initialDelay: 0, log: false });
+            let calls = 0;
+
+            policy.run(operation, cb => {
+                calls++;
+                cb(error('MongoNetworkError', undefined, 'attempt ' + calls));
+            }, err => {
+
+                expect(err.message).toBe('attempt 2');
+                expect(calls).toBe(2);
+                done();
+            });
+        });
+
+        it('does not retry errors that are not retryable', done => {
+
+            const policy = new RetryPolicy({ initialDelay: 0, log: false });
+            let calls = 0;
+
+            policy.run(operation, cb => {
+                calls++;
+                cb(error('MongoError', 11000));
+            }, err => {
+
+                expect(err.code).toBe(11000);
+                expect(calls).toBe(1);
+                done();
+            });
+        });
+
+        it('logs retries', done => {
+
+            const logger = jasmine.createSpyObj('logger', ['warn']);
+            const policy = new RetryPolicy({ maxAttempts: 2, initialDelay: 0 }, logger);
+
+            policy.run(operation, cb => cb(error('MongoNetworkError', undefined, 'reset')), () => {
+
+                expect(logger.warn).toHaveBeenCalledTimes(1);
+                expect(logger.warn.calls.argsFor(0)[0]).toMatch(/retry findBy \[posts\]: attempt 1 failed: reset/);
+                done();
+            });
+        });
+    });
+});
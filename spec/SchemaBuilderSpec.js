@@ -0,0 +1,90 @@
+const SchemaBuilder = require('../lib/schema-builder');
+
+describe('SchemaBuilder', () => {
+
+    const createMetadata = (name, fields, embeds, validation) => ({
+        name: name,
+        idField: 'id',
+        fields: fields,
+        embeds: embeds || {},
+        relations: {},
+        adapters: { 'bass-mongodb': { validation: validation } }
+    });
+
+    const Tag = createMetadata('Tag', [
+        { property: 'label', name: 'label', type: 'string', required: true },
+        { property: 'parent', name: 'parent', type: 'object' }
+    ], { one: { parent: { document: 'Tag' } } });
+
+    const Address = createMetadata('Address', [{ property: 'city', name: 'city', type: 'string' }]);
+
+    const Post = createMetadata('Post', [
+        { property: 'id', name: '_id', type: 'objectid' },
+        { property: 'title', name: 'title', type: 'string' },
+        { property: 'score', name: 'score', type: 'integer', nullable: false },
+        { property: 'slug', name: 'slug', type: 'string', required: true },
+        { property: 'summary', name: 'summary', type: 'string', required: true, nullable: true },
+        { property: 'address', name: 'address', type: 'object' },
+        { property: 'tags', name: 'tags', type: 'array' },
+        { property: 'custom', name: 'custom', type: 'money' }
+    ], {
+        one: { address: { document: 'Address' } },
+        many: { tags: { document: 'Tag' } }
+    }, {
+        required: ['title'],
+        additionalProperties: false,
+        properties: { title: { minLength: 1 }, score: { bsonType: ['int'], minimum: 0 } }
+    });
+
+    const registry = { getMetadataByName: name => ({ Tag: Tag, Address: Address, Post: Post })[name] };
+
+    let schema;
+
+    beforeEach(() => {
+        schema = new SchemaBuilder(registry).buildDocumentSchema(Post, []);
+    });
+
+    it('requires the required fields and the fields of the validation settings', () => {
+
+        expect(schema.required).toEqual(['title', 'slug', 'summary']);
+        expect(schema.additionalProperties).toBe(false);
+    });
+
+    it('allows null unless a field is required or not nullable', () => {
+
+        expect(schema.properties._id).toEqual({ bsonType: ['objectId'] });
+        expect(schema.properties.slug).toEqual({ bsonType: ['string'] });
+        expect(schema.properties.summary).toEqual({ bsonType: ['string', 'null'] });
+        expect(schema.properties.custom).toEqual({});
+    });
+
+    it('merges the properties of the validation settings in to the generated schemas', () => {
+
+        expect(schema.properties.title).toEqual({ bsonType: ['string'], minLength: 1 });
+        expect(schema.properties.score).toEqual({ bsonType: ['int'], minimum: 0 });
+    });
+
+    it('builds the schemas of embedded documents', () => {
+
+        expect(schema.properties.address).toEqual({
+            bsonType: ['object', 'null'],
+            properties: { city: { bsonType: ['string', 'null'] } }
+        });
+
+        expect(schema.properties.tags.bsonType).toEqual(['array', 'null']);
+        expect(schema.properties.tags.items.required).toEqual(['label']);
+    });
+
+    it('stops at documents that embed a document they are nested in', () => {
+
+        const tag = schema.properties.tags.items;
+
+        expect(tag.properties.parent.properties.label).toEqual({ bsonType: ['string'] });
+        expect(tag.properties.parent.properties.parent).toEqual({ bsonType: ['object', 'null'] });
+    });
+
+    it('does not validate embedded documents without a registry', () => {
+
+        expect(new SchemaBuilder().buildDocumentSchema(Post, []).properties.address).toEqual({ bsonType: ['object', 'null'] });
+    });
+});
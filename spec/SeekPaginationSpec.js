@@ -0,0 +1,57 @@
+const Client = require('../lib/client');
+const PaginationToken = require('../lib/pagination-token');
+const Query = require('../lib/query');
+
+describe('Client.createSeekPagination()', () => {
+
+    const client = new Client({}, null);
+    const metadata = { getIdFieldName: () => '_id' };
+
+    const paginate = (sort, values, criteria) => {
+
+        const query = new Query().sort(sort).limit(10);
+        const fullSort = Object.assign({}, sort, { _id: 1 });
+
+        query.after(values ? PaginationToken.encode(fullSort, values) : null);
+
+        return client.createSeekPagination(metadata, query, criteria || {});
+    };
+
+    it('adds the id as tiebreaker to the first page', () => {
+
+        expect(paginate({ score: -1 }, null, { a: 1 })).toEqual({ sort: { score: -1, _id: 1 }, criteria: { a: 1 } });
+    });
+
+    it('seeks past the values of the token', () => {
+
+        expect(paginate({ score: 1 }, [3, 5], { a: 1 }).criteria).toEqual({
+            $and: [{ a: 1 }, { $or: [{ score: { $gt: 3 } }, { score: 3, _id: { $gt: 5 } }] }]
+        });
+    });
+
+    it('keeps nulls after the values of a descending sort', () => {
+
+        expect(paginate({ score: -1 }, [3, 5]).criteria).toEqual({
+            $or: [{ $or: [{ score: { $lt: 3 } }, { score: null }] }, { score: 3, _id: { $gt: 5 } }]
+        });
+    });
+
+    it('seeks past nulls', () => {
+
+        expect(paginate({ score: 1 }, [null, 5]).criteria).toEqual({
+            $or: [{ score: { $ne: null } }, { score: null, _id: { $gt: 5 } }]
+        });
+
+        expect(paginate({ score: -1 }, [null, 5]).criteria).toEqual({
+            $or: [{ score: null, _id: { $gt: 5 } }]
+        });
+    });
+
+    it('requires a limit and no skip', () => {
+
+        expect(() => client.createSeekPagination(metadata, new Query().after(null), {}))
+            .toThrowError(/requires a limit/);
+        expect(() => client.createSeekPagination(metadata, new Query().limit(1).skip(1).after(null), {}))
+            .toThrowError(/can not be combined with skip/);
+    });
+});
@@ -0,0 +1,78 @@
+const SlowQueryMonitor = require('../lib/slow-query-monitor');
+
+describe('SlowQueryMonitor', () => {
+
+    const plan = { stages: ['COLLSCAN'], isCollectionScan: true, missingIndex: { status: 1 } };
+
+    const report = criteria => ({ operation: 'findBy', collection: 'posts', criteria: criteria, elapsed: 150 });
+
+    it('reports slow queries with their plan', done => {
+
+        const monitor = new SlowQueryMonitor({ threshold: 100, log: false });
+
+        expect(monitor.isSlow(99)).toBe(false);
+        expect(monitor.isSlow(100)).toBe(true);
+
+        monitor.report(report({ status: 'draft' }), (verbosity, cb) => cb(null, plan), result => {
+
+            expect(result.plan).toBe(plan);
+            expect(result.isCachedPlan).toBe(false);
+            expect(result.isCollectionScan).toBe(true);
+            expect(result.missingIndex).toEqual({ status: 1 });
+            done();
+        });
+    });
+
+    it('explains a query shape once per interval', () => {
+
+        const monitor = new SlowQueryMonitor({ log: false });
+        const explain = jasmine.createSpy('explain').and.callFake((verbosity, cb) => cb(null, plan));
+        const reports = [];
+
+        monitor.report(report({ status: 'draft', score: { $gt: 1 } }), explain, result => reports.push(result));
+        monitor.report(report({ score: { $gt: 5 }, status: 'published' }), explain, result => reports.push(result));
+        monitor.report(report({ status: { $in: ['a', 'b'] } }), explain, result => reports.push(result));
+
+        expect(explain).toHaveBeenCalledTimes(2);
+        expect(reports.map(result => result.isCachedPlan)).toEqual([false, true, false]);
+        expect(reports[1].plan).toBe(plan);
+    });
+
+    it('shares a running explain with the queries of its shape', () => {
+
+        const monitor = new SlowQueryMonitor({ log: false });
+        const callbacks = [];
+        const reports = [];
+
+        monitor.report(report({ a: 1 }), (verbosity, cb) => callbacks.push(cb), result => reports.push(result));
+        monitor.report(report({ a: 2 }), (verbosity, cb) => callbacks.push(cb), result => reports.push(result));
+
+        expect(callbacks.length).toBe(1);
+        expect(reports.length).toBe(0);
+
+        callbacks[0](new Error('timeout'));
+
+        expect(reports.map(result => result.error.message)).toEqual(['timeout', 'timeout']);
+    });
+
+    it('explains the shape again after the interval', () => {
+
+        const monitor = new SlowQueryMonitor({ explainInterval: 0, log: false });
+        const explain = jasmine.createSpy('explain').and.callFake((verbosity, cb) => cb(null, plan));
+
+        monitor.report(report({ a: 1 }), explain);
+        monitor.report(report({ a: 1 }), explain);
+
+        expect(explain).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not explain when explain is off', () => {
+
+        const monitor = new SlowQueryMonitor({ explain: false, log: false });
+        const explain = jasmine.createSpy('explain');
+
+        monitor.report(report({ a: 1 }), explain);
+
+        expect(explain).not.toHaveBeenCalled();
+    });
+});
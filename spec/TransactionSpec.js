@@ -0,0 +1,98 @@
+const Client = require('../lib/client');
+const Connection = require('../lib/connection');
+
+describe('Transactions', () => {
+
+    const createSession = () => {
+
+        let inTransaction = false;
+
+        return {
+            startTransaction: jasmine.createSpy('startTransaction').and.callFake(() => {
+                inTransaction = true;
+            }),
+            commitTransaction: jasmine.createSpy('commitTransaction').and.callFake(cb => {
+                inTransaction = false;
+                cb(null);
+            }),
+            abortTransaction: jasmine.createSpy('abortTransaction').and.callFake(cb => {
+                inTransaction = false;
+                cb(null);
+            }),
+            inTransaction: () => inTransaction,
+            endSession: jasmine.createSpy('endSession').and.callFake(cb => cb && cb(null))
+        };
+    };
+
+    it('binds the transaction to the client the manager and its unit of work use', done => {
+
+        const session = createSession();
+        const client = new Client({ startSession: () => session }, null);
+
+        client.startTransaction((err, result) => {
+
+            expect(err).toBe(null);
+            expect(result).toBe(client);
+            expect(client.session).toBe(session);
+            expect(client.createOperationOptions().session).toBe(session);
+
+            client.commitTransaction(err => {
+
+                expect(err).toBe(null);
+                expect(session.commitTransaction).toHaveBeenCalled();
+                expect(session.endSession).toHaveBeenCalled();
+                expect(client.session).toBe(null);
+                done();
+            });
+        });
+    });
+
+    it('rolls back and unbinds the transaction', done => {
+
+        const session = createSession();
+        const client = new Client({ startSession: () => session }, null);
+
+        client.startTransaction()
+            .then(() => client.rollbackTransaction())
+            .then(() => {
+                expect(session.abortTransaction).toHaveBeenCalled();
+                expect(client.session).toBe(null);
+                return client.commitTransaction();
+            })
+            .then(done.fail, err => {
+                expect(err.message).toMatch(/There is no transaction to commit/);
+                done();
+            });
+    });
+
+    it('keeps the session of a client copy after its transaction', done => {
+
+        const session = createSession();
+        const client = new Client({}, null).withSession(session);
+
+        client.startTransaction()
+            .then(() => client.commitTransaction())
+            .then(() => {
+                expect(client.session).toBe(session);
+                expect(session.endSession).not.toHaveBeenCalled();
+                done();
+            }, done.fail);
+    });
+
+    it('passes a transaction that can not start to the callback of Connection.withTransaction()', done => {
+
+        const session = createSession();
+        session.startTransaction.and.throwError('Transaction numbers are only allowed on a replica set member');
+
+        const connection = { startSession: () => session, logger: null };
+        const fn = jasmine.createSpy('fn');
+
+        Connection.prototype.withTransaction.call(connection, fn, err => {
+
+            expect(err.message).toMatch(/replica set/);
+            expect(fn).not.toHaveBeenCalled();
+            expect(session.endSession).toHaveBeenCalled();
+            done();
+        });
+    });
+});
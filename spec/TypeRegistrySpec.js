@@ -0,0 +1,99 @@
+const { Binary, Timestamp } = require('mongodb');
+
+const TypeRegistry = require('../lib/mapping/type-registry');
+const types = require('../lib/mapping/types');
+
+describe('TypeRegistry', () => {
+
+    let registry;
+
+    const money = {
+        convertToDatabaseValue: value => Math.round(value * 100),
+        convertToJavascriptValue: value => value / 100
+    };
+
+    beforeEach(() => {
+        registry = new TypeRegistry();
+    });
+
+    it('registers types by lower cased name', () => {
+
+        registry.register('Money', money);
+
+        expect(registry.has('money')).toBe(true);
+        expect(registry.get('MONEY')).toBe(money);
+        expect(registry.get('unknown')).toBe(null);
+    });
+
+    it('rejects types without a name or without both conversion functions', () => {
+
+        expect(() => registry.register('', money)).toThrowError(/needs a name/);
+        expect(() => registry.register('money', { convertToDatabaseValue: value => value }))
+            .toThrowError(/must implement/);
+    });
+
+    it('converts values in both directions', () => {
+
+        registry.register('money', money);
+
+        expect(registry.convertToDatabaseValue('money', 12.34)).toBe(1234);
+        expect(registry.convertToJavascriptValue('money', 1234)).toBe(12.34);
+    });
+
+    it('leaves null, undefined and values of unknown types as is', () => {
+
+        registry.register('money', money);
+
+        expect(registry.convertToDatabaseValue('money', null)).toBe(null);
+        expect(registry.convertToJavascriptValue('money', undefined)).toBe(undefined);
+        expect(registry.convertToDatabaseValue('unknown', 'value')).toBe('value');
+    });
+
+    describe('built in types', () => {
+
+        it('map uuid strings to binaries and back', () => {
+
+            const uuid = '0f8fad5b-d9cb-469f-a165-70867728950e';
+            const value = types.convertToDatabaseValue('uuid', uuid);
+
+            expect(value instanceof Binary).toBe(true);
+            expect(value.sub_type).toBe(Binary.SUBTYPE_UUID);
+            expect(types.convertToJavascriptValue('uuid', value)).toBe(uuid);
+            expect(() => types.convertToDatabaseValue('uuid', 'not-a-uuid')).toThrowError(/Invalid UUID/);
+        });
+
+        it('map buffers and strings to binaries', () => {
+
+            const value = types.convertToDatabaseValue('binary', 'abc');
+
+            expect(value instanceof Binary).toBe(true);
+            expect(types.convertToJavascriptValue('binary', value).toString()).toBe('abc');
+        });
+
+        it('reject binary values that are not bytes', () => {
+
+            expect(() => types.convertToDatabaseValue('binary', 42)).toThrowError(/Invalid binary/);
+            expect(() => types.convertToDatabaseValue('binary', { a: 1 })).toThrowError(/Invalid binary/);
+        });
+
+        it('map dates to timestamps and back', () => {
+
+            const date = new Date('2020-01-02T03:04:05Z');
+            const value = types.convertToDatabaseValue('timestamp', date);
+
+            expect(value instanceof Timestamp).toBe(true);
+            expect(types.convertToJavascriptValue('timestamp', value).getTime()).toBe(date.getTime());
+        });
+
+        it('reject invalid timestamp dates', () => {
+
+            expect(() => types.convertToDatabaseValue('timestamp', 'not a date')).toThrowError(/Invalid timestamp/);
+        });
+
+        it('register the geometry types', () => {
+
+            expect(types.has('point')).toBe(true);
+            expect(types.has('polygon')).toBe(true);
+        });
+    });
+});
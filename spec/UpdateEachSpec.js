@@ -0,0 +1,116 @@
+const Client = require('../lib/client');
+const DocumentNotFoundError = require('../lib/error/document-not-found-error');
+const OptimisticLockError = require('../lib/error/optimistic-lock-error');
+
+describe('Client.updateEach()', () => {
+
+    const ids = ['5f0000000000000000000001', '5f0000000000000000000002', '5f0000000000000000000003'];
+
+    const metadata = {
+        versionProperty: 'version',
+        getIdFieldName: () => '_id',
+        getFieldNameByProperty: property => property
+    };
+
+    /**
+     * Create a client on a collection whose bulk write matches the given counts and whose
+     * documents are the current documents by id
+     */
+    const createClient = (counts, documents, writeErrors) => {
+
+        const coll = {
+            bulkWrite: jasmine.createSpy('bulkWrite').and.callFake((operations, options, cb) => cb(null, {
+                nMatched: counts.matched,
+                nModified: counts.modified,
+                getInsertedIds: () => [],
+                getUpsertedIds: () => [],
+                getWriteErrors: () => writeErrors || []
+            })),
+            find: jasmine.createSpy('find').and.callFake(criteria => ({
+                toArray: cb => cb(null, criteria._id.$in
+                    .filter(id => documents[id.toString()])
+                    .map(id => Object.assign({ _id: id }, documents[id.toString()])))
+            }))
+        };
+
+        const client = new Client({ collection: (name, cb) => cb(null, coll) }, null);
+
+        return { client: client, coll: coll };
+    };
+
+    const update = (id, version) => ({ id: id, data: version ? { version: version, title: 'a' } : { title: 'a' } });
+
+    it('checks the version of versioned items', done => {
+
+        const { client, coll } = createClient({ matched: 2, modified: 2 }, {});
+
+        client.updateEach(metadata, 'posts', [update(ids[0], 3), update(ids[1])], (err, report) => {
+
+            expect(err).toBe(null);
+            expect(coll.bulkWrite.calls.argsFor(0)[0][0].updateOne.filter.version).toBe(2);
+            expect(coll.bulkWrite.calls.argsFor(0)[0][1].updateOne.filter.version).toBeUndefined();
+            expect(coll.find).not.toHaveBeenCalled();
+            expect(report.conflicts).toEqual([]);
+            expect(report.results).toEqual({ 0: { matched: true, modified: true }, 1: { matched: true, modified: true } });
+            done();
+        });
+    });
+
+    it('reports an unmatched versioned item as a conflict even when its document has the new version', done => {
+
+        // somebody else wrote version 3 first
+        const { client } = createClient({ matched: 1, modified: 1 }, { [ids[0]]: { version: 3 }, [ids[1]]: {} });
+
+        client.updateEach(metadata, 'posts', [update(ids[0], 3), update(ids[1])], (err, report) => {
+
+            expect(err).toBe(null);
+            expect(report.results).toEqual({ 0: { matched: false, modified: false }, 1: { matched: true, modified: true } });
+            expect(report.conflicts.length).toBe(1);
+            expect(report.conflicts[0].index).toBe(0);
+            expect(report.conflicts[0].error instanceof OptimisticLockError).toBe(true);
+            done();
+        });
+    });
+
+    it('reports the items of removed documents as not found', done => {
+
+        const { client } = createClient({ matched: 1, modified: 0 }, { [ids[0]]: { version: 3 } });
+
+        client.updateEach(metadata, 'posts', [update(ids[0], 3), update(ids[1])], (err, report) => {
+
+            expect(report.results).toEqual({ 0: { matched: true, modified: true }, 1: { matched: false, modified: false } });
+            expect(report.conflicts.length).toBe(1);
+            expect(report.conflicts[0].index).toBe(1);
+            expect(report.conflicts[0].error instanceof DocumentNotFoundError).toBe(true);
+            done();
+        });
+    });
+
+    it('reports every versioned item as a conflict when the matched count can not tell which one lost', done => {
+
+        const { client } = createClient({ matched: 1, modified: 1 }, { [ids[0]]: { version: 3 }, [ids[1]]: { version: 5 } });
+
+        client.updateEach(metadata, 'posts', [update(ids[0], 3), update(ids[1], 5)], (err, report) => {
+
+            expect(report.results).toEqual({ 0: { matched: null, modified: null }, 1: { matched: null, modified: null } });
+            expect(report.conflicts.map(conflict => conflict.index)).toEqual([0, 1]);
+            done();
+        });
+    });
+
+    it('only looks at the executed items of an ordered bulk write', done => {
+
+        const { client, coll } = createClient({ matched: 0, modified: 0 }, { [ids[2]]: { version: 1 } }, [
+            { index: 1, code: 121, errmsg: 'validation failed' }
+        ]);
+
+        client.updateEach(metadata, 'posts', [update(ids[0], 2), update(ids[1], 2), update(ids[2], 2)], (err, report) => {
+
+            expect(coll.find.calls.argsFor(0)[0]._id.$in.map(id => id.toString())).toEqual([ids[0]]);
+            expect(Object.keys(report.results)).toEqual(['0']);
+            expect(report.conflicts.length).toBe(1);
+            expect(report.conflicts[0].error instanceof DocumentNotFoundError).toBe(true);
+            done();
+        });
+    });
+});
@@ -0,0 +1,91 @@
+const Client = require('../lib/client');
+const DocumentNotFoundError = require('../lib/error/document-not-found-error');
+const OptimisticLockError = require('../lib/error/optimistic-lock-error');
+
+describe('Client.update()', () => {
+
+    const id = '5f0000000000000000000001';
+
+    const metadata = {
+        versionProperty: 'version',
+        relations: {},
+        getIdFieldName: () => '_id',
+        getFieldNameByProperty: property => property
+    };
+
+    /**
+     * Create a client on a collection whose update matches the given count
+     * and whose stored document is the given document
+     */
+    const createClient = (matchedCount, document) => {
+
+        const coll = {
+            updateOne: jasmine.createSpy('updateOne').and.callFake((cond, update, options, cb) => cb(null, {
+                matchedCount: matchedCount,
+                result: { n: matchedCount, ok: 1 }
+            })),
+            findOne: jasmine.createSpy('findOne').and.callFake((cond, options, cb) => cb(null, document))
+        };
+
+        return { client: new Client({ collection: (name, cb) => cb(null, coll) }, null), coll: coll };
+    };
+
+    it('applies versioned data to the previous version of the document', done => {
+
+        const { client, coll } = createClient(1, null);
+
+        client.update(metadata, 'posts', id, { version: 4, title: 'a' }, (err, result) => {
+
+            expect(err).toBe(null);
+            expect(result).toEqual({ n: 1, ok: 1 });
+            expect(coll.updateOne.calls.argsFor(0)[0].version).toBe(3);
+            expect(coll.updateOne.calls.argsFor(0)[1]).toEqual({ $set: jasmine.objectContaining({ version: 4, title: 'a' }) });
+            expect(coll.findOne).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it('fails with an OptimisticLockError when somebody else updated the document', done => {
+
+        const { client, coll } = createClient(0, { _id: id, version: 4 });
+
+        client.update(metadata, 'posts', id, { version: 4, title: 'a' }, (err, result) => {
+
+            expect(err instanceof OptimisticLockError).toBe(true);
+            expect(err.collection).toBe('posts');
+            expect(err.id).toBe(id);
+            expect(err.expectedVersion).toBe(3);
+            expect(err.actualVersion).toBe(4);
+            expect(result).toBe(null);
+            expect(coll.findOne.calls.argsFor(0)[0]._id.toString()).toBe(id);
+            expect(coll.findOne.calls.argsFor(0)[1].projection).toEqual({ version: 1 });
+            done();
+        });
+    });
+
+    it('fails with a DocumentNotFoundError when the document is gone', done => {
+
+        const { client } = createClient(0, null);
+
+        client.update(metadata, 'posts', id, { version: 4, title: 'a' }, (err, result) => {
+
+            expect(err instanceof DocumentNotFoundError).toBe(true);
+            expect(err.id).toBe(id);
+            expect(result).toBe(null);
+            done();
+        });
+    });
+
+    it('does not check unversioned data', done => {
+
+        const { client, coll } = createClient(0, null);
+
+        client.update(metadata, 'posts', id, { title: 'a' }, err => {
+
+            expect(err).toBe(null);
+            expect(coll.updateOne.calls.argsFor(0)[0].version).toBeUndefined();
+            expect(coll.findOne).not.toHaveBeenCalled();
+            done();
+        });
+    });
+});
@@ -0,0 +1,49 @@
+const Client = require('../lib/client');
+
+describe('Client.watch()', () => {
+
+    const metadata = {
+        collection: 'posts',
+        fields: [{ property: 'status', name: 'post_status', type: 'String' }],
+        relations: {},
+        embeds: {},
+        adapters: {},
+        getFieldByProperty(property) {
+            return this.fields.find(field => field.property === property) || null;
+        },
+        getPropertyByFieldName(name) {
+            const field = this.fields.find(field => field.name === name);
+            return field ? field.property : null;
+        },
+        getIdFieldName: () => '_id'
+    };
+
+    const createClient = coll => new Client({ collection: (name, cb) => cb(null, coll) }, null);
+
+    it('matches the criteria against the looked up document of update events', done => {
+
+        const coll = {
+            watch: jasmine.createSpy('watch').and.callFake(() => {
+
+                const [pipeline, options] = coll.watch.calls.argsFor(0);
+
+                expect(options.fullDocument).toBe('updateLookup');
+                expect(pipeline[0].$match.$or).toEqual([{ operationType: 'delete' }, { 'fullDocument.post_status': 'published' }]);
+                done();
+
+                return { on: () => null, close: () => null };
+            })
+        };
+
+        createClient(coll).watch(metadata, { status: 'published' });
+    });
+
+    it('rejects criteria with update events that have no document', () => {
+
+        const coll = { watch: jasmine.createSpy('watch') };
+
+        expect(() => createClient(coll).watch(metadata, { status: 'published' }, { fullDocument: 'default' }))
+            .toThrowError(/Watching posts with criteria requires fullDocument "updateLookup"/);
+        expect(coll.watch).not.toHaveBeenCalled();
+    });
+});